@@ -10,6 +10,7 @@ class DiscordEXApp {
             mcp: null,
             system: null
         };
+        this.activeCalls = new Map();
         
         this.init();
     }
@@ -24,7 +25,8 @@ class DiscordEXApp {
     }
     
     connectSocket() {
-        this.socket = io();
+        // The token makes this dashboard an operator, which may confirm tool calls
+        this.socket = io({ auth: { token: localStorage.getItem('apiToken') || undefined } });
         
         this.socket.on('connect', () => {
             console.log('✅ Connected to Discord EX Platform');
@@ -43,6 +45,11 @@ class DiscordEXApp {
             this.data = data;
             this.updateInterface();
             this.hideLoading();
+            loadPrompts();
+            loadTools();
+            loadSessions();
+            (data.mcp?.activeCalls || []).forEach(call => this.activeCalls.set(call.callId, call));
+            this.renderActiveCalls();
         });
         
         this.socket.on('live-update', (data) => {
@@ -65,12 +72,77 @@ class DiscordEXApp {
             this.handleCommandResult(data);
         });
         
+        this.socket.on('mcp-resource-subscribed', (data) => {
+            console.log('👀 Watching resource:', data.uri);
+        });
+        
+        this.socket.on('mcp-resource-updated', (data) => {
+            console.log('📁 Resource updated:', data.uri);
+            if (this.viewedResource && this.viewedResource.serverId === data.serverId && this.viewedResource.uri === data.uri) {
+                this.renderResourceContents(data.serverId, data.uri, data.contents || []);
+            }
+        });
+        
+        this.socket.on('mcp-call-started', (call) => {
+            this.activeCalls.set(call.callId, call);
+            this.renderActiveCalls();
+        });
+        
+        this.socket.on('mcp-progress', (progress) => {
+            const call = this.activeCalls.get(progress.callId);
+            if (call) {
+                call.progress = progress;
+                this.renderActiveCalls();
+            }
+        });
+        
+        this.socket.on('mcp-call-finished', (call) => {
+            this.activeCalls.delete(call.callId);
+            this.renderActiveCalls();
+        });
+        
+        this.socket.on('mcp-health', () => {
+            this.socket.emit('request-mcp-status');
+        });
+        
+        this.socket.on('mcp-result', (data) => {
+            document.getElementById('tool-output').textContent = (data.result?.content || [])
+                .map(content => content.type === 'text' ? content.text : `(${content.type})`)
+                .join('\n') || JSON.stringify(data.result, null, 2);
+        });
+        
         this.socket.on('error', (error) => {
+            // Calls cancelled on purpose are not errors worth an alert
+            if (error.code === -32800) {
+                document.getElementById('tool-output').textContent = `🛑 ${error.error}`;
+                return;
+            }
+            // A confirmation was issued for this dashboard's call; the same call with its id runs the tool
+            if (error.code === -32020 && error.data && error.data.id) {
+                this.confirmToolCall(error.data);
+                return;
+            }
             console.error('❌ Socket error:', error);
-            this.showNotification('Error: ' + error.message, 'error');
+            const details = (error.details || []).map(detail => `${detail.field} ${detail.message}`).join('; ');
+            this.showNotification('Error: ' + (error.error || error.message) + (details ? ` (${details})` : ''), 'error');
         });
     }
     
+    confirmToolCall(confirmation) {
+        const args = JSON.stringify(confirmation.arguments, null, 2);
+        if (confirm(`Run ${confirmation.tool} on ${confirmation.serverId}?\n\n${args}`)) {
+            this.socket.emit('mcp-call', {
+                serverId: confirmation.serverId,
+                method: 'tools/call',
+                params: { name: confirmation.tool, arguments: confirmation.arguments },
+                confirmationId: confirmation.id
+            });
+        } else {
+            this.socket.emit('mcp-confirmation-cancel', { confirmationId: confirmation.id });
+            document.getElementById('tool-output').textContent = `🛑 ${confirmation.tool} was not run`;
+        }
+    }
+    
     hideLoading() {
         document.getElementById('loading').style.display = 'none';
         document.getElementById('main-content').style.display = 'block';
@@ -151,18 +223,175 @@ class DiscordEXApp {
             mcpData.connections.forEach(conn => {
                 const li = document.createElement('li');
                 li.className = 'connection-item';
-                li.innerHTML = `
-                    <span>${conn.name}</span>
-                    <div>
-                        <span style="font-size: 0.8em; margin-right: 10px;">${conn.messageCount || 0} msgs</span>
-                        <span class="connection-status ${conn.status}"></span>
-                    </div>
-                `;
+
+                // Names, ids and health errors come from the server registry and remote servers, so they are set as text
+                const name = document.createElement('span');
+                name.textContent = conn.name;
+
+                const details = document.createElement('div');
+                const addDetail = (text) => {
+                    const span = document.createElement('span');
+                    span.style.cssText = 'font-size: 0.8em; margin-right: 10px;';
+                    span.textContent = text;
+                    details.appendChild(span);
+                };
+                const health = conn.health || {};
+                if (conn.reconnect && conn.reconnect.state !== 'idle') {
+                    addDetail(`${conn.reconnect.state} (${conn.reconnect.attempts})`);
+                }
+                if (conn.status === 'connected' && health.latencyMs !== null && health.latencyMs !== undefined) {
+                    addDetail(`${health.latencyMs} ms`);
+                }
+                addDetail(`${conn.messageCount || 0} msgs`);
+
+                const reconnect = document.createElement('button');
+                reconnect.className = 'btn';
+                reconnect.style.cssText = 'padding: 2px 8px; font-size: 0.8em;';
+                reconnect.textContent = '🔄';
+                reconnect.addEventListener('click', () => executeCommand('mcp-reconnect', [conn.id]));
+
+                const indicator = document.createElement('span');
+                indicator.className = 'connection-status';
+                indicator.classList.add(conn.status === 'connected' && health.state !== 'unknown' ? health.state : conn.status);
+                indicator.setAttribute('title', [
+                    `Health: ${health.state || 'unknown'}`,
+                    health.averageLatencyMs !== null && health.averageLatencyMs !== undefined ? `Average latency: ${health.averageLatencyMs} ms` : null,
+                    health.lastError ? `Last error: ${health.lastError}` : null
+                ].filter(Boolean).join('\n'));
+
+                details.append(reconnect, indicator);
+                li.append(name, details);
                 connectionList.appendChild(li);
             });
         } else {
             connectionList.innerHTML = '<li>No MCP connections</li>';
         }
+        
+        this.updateResourceServers(mcpData.connections || []);
+    }
+    
+    updateResourceServers(connections) {
+        const select = document.getElementById('resource-server');
+        const selected = select.value;
+        select.innerHTML = '';
+        
+        connections
+            .filter(conn => conn.status === 'connected' && conn.capabilities && conn.capabilities.resources)
+            .forEach(conn => {
+                const option = document.createElement('option');
+                option.value = conn.id;
+                option.textContent = conn.name;
+                option.selected = conn.id === selected;
+                select.appendChild(option);
+            });
+    }
+    
+    renderResources(serverId, resources) {
+        const list = document.getElementById('resource-list');
+        list.innerHTML = '';
+        
+        if (resources.length === 0) {
+            list.innerHTML = '<li>No resources</li>';
+            return;
+        }
+        
+        resources.forEach(resource => {
+            const li = document.createElement('li');
+            li.className = 'connection-item';
+            
+            const label = document.createElement('span');
+            label.textContent = `${resource.name || resource.uri} (${resource.mimeType || 'unknown'})`;
+            label.title = resource.uri;
+            
+            const actions = document.createElement('div');
+            const view = document.createElement('button');
+            view.className = 'btn';
+            view.style.cssText = 'padding: 2px 8px; font-size: 0.8em; margin-right: 5px;';
+            view.textContent = '👁️';
+            view.onclick = () => this.viewResource(serverId, resource.uri);
+            
+            const watch = document.createElement('button');
+            watch.className = 'btn';
+            watch.style.cssText = 'padding: 2px 8px; font-size: 0.8em;';
+            watch.textContent = '🔔';
+            watch.onclick = () => this.socket.emit('mcp-resource-subscribe', { serverId, uri: resource.uri });
+            
+            actions.append(view, watch);
+            li.append(label, actions);
+            list.appendChild(li);
+        });
+    }
+    
+    async viewResource(serverId, uri) {
+        const response = await fetch(`/api/mcp/servers/${encodeURIComponent(serverId)}/resources/read?uri=${encodeURIComponent(uri)}`);
+        const data = await response.json();
+        if (!response.ok) {
+            this.showNotification(data.error || 'Failed to read resource', 'error');
+            return;
+        }
+        
+        this.renderResourceContents(serverId, uri, data.contents);
+    }
+    
+    renderResourceContents(serverId, uri, contents) {
+        this.viewedResource = { serverId, uri };
+        const viewer = document.getElementById('resource-viewer');
+        viewer.innerHTML = '';
+        
+        contents.forEach((content, index) => {
+            if (content.blob !== undefined && (content.mimeType || '').startsWith('image/')) {
+                const img = document.createElement('img');
+                img.src = `/api/mcp/servers/${encodeURIComponent(serverId)}/resources/raw?uri=${encodeURIComponent(uri)}&index=${index}&t=${Date.now()}`;
+                img.alt = content.uri;
+                img.style.maxWidth = '100%';
+                viewer.appendChild(img);
+            } else if (content.blob !== undefined) {
+                const link = document.createElement('a');
+                link.href = `/api/mcp/servers/${encodeURIComponent(serverId)}/resources/raw?uri=${encodeURIComponent(uri)}&index=${index}`;
+                link.textContent = `⬇️ Download ${content.uri} (${content.mimeType || 'binary'})`;
+                link.style.color = '#FFD700';
+                viewer.appendChild(link);
+            } else {
+                const text = document.createElement('div');
+                text.textContent = content.text || '';
+                viewer.appendChild(text);
+            }
+        });
+    }
+    
+    renderActiveCalls() {
+        const list = document.getElementById('active-calls');
+        list.innerHTML = '';
+        
+        if (this.activeCalls.size === 0) {
+            list.innerHTML = '<li>No tool calls running</li>';
+            return;
+        }
+        
+        this.activeCalls.forEach(call => {
+            const li = document.createElement('li');
+            li.className = 'connection-item';
+            
+            const label = document.createElement('span');
+            const progress = call.progress
+                ? ` ${call.progress.progress}${call.progress.total ? `/${call.progress.total}` : ''}${call.progress.message ? ` - ${call.progress.message}` : ''}`
+                : ' ⏳';
+            label.textContent = `${call.serverId}.${call.tool}${progress}`;
+            
+            const cancel = document.createElement('button');
+            cancel.className = 'btn';
+            cancel.style.cssText = 'padding: 2px 8px; font-size: 0.8em;';
+            cancel.textContent = '🛑';
+            cancel.onclick = () => this.socket.emit('mcp-cancel', { callId: call.callId });
+            
+            li.append(label, cancel);
+            list.appendChild(li);
+        });
+    }
+    
+    updateMCPStatus(mcpData) {
+        this.data.mcp = { ...this.data.mcp, ...mcpData };
+        this.updateMCPDisplay(mcpData);
     }
     
     updateMCPStatsOnly(stats) {
@@ -172,6 +401,12 @@ class DiscordEXApp {
         document.getElementById('mcp-messages').textContent = stats.messagesProcessed || 0;
         document.getElementById('mcp-activity').textContent = 
             stats.lastActivity ? new Date(stats.lastActivity).toLocaleTimeString() : 'Never';
+        
+        if (stats.requests) {
+            const queue = document.getElementById('mcp-queue');
+            queue.textContent = `${stats.requests.active} / ${stats.requests.queued}`;
+            queue.title = `Longest recent wait: ${stats.requests.maxWaitMs}ms, timed out: ${stats.requests.timedOut}, rejected: ${stats.requests.rejected}`;
+        }
     }
     
     updateSystemStats(systemData) {
@@ -289,11 +524,14 @@ class DiscordEXApp {
             entry.className = 'log-entry';
             
             const timestamp = new Date(log.timestamp).toLocaleTimeString();
-            entry.innerHTML = `
-                <span class="log-timestamp">${timestamp}</span>
-                <span class="log-type">[${log.type}]</span>
-                <span>${log.message}</span>
-            `;
+            // Log messages can quote tool names, server ids and server output
+            const parts = [['log-timestamp', timestamp], ['log-type', `[${log.type}]`], [null, log.message]];
+            parts.forEach(([className, text]) => {
+                const span = document.createElement('span');
+                if (className) span.className = className;
+                span.textContent = text;
+                entry.append(span, ' ');
+            });
             
             logsContainer.appendChild(entry);
         });
@@ -328,6 +566,8 @@ class DiscordEXApp {
         // Refresh relevant data
         if (data.command === 'system-stats') {
             this.requestSystemStats();
+        } else if (data.command === 'mcp-reconnect') {
+            requestMCPStatus();
         }
     }
     
@@ -346,6 +586,33 @@ class DiscordEXApp {
     }
 }
 
+// Operator routes answer 401 when API_TOKEN is set; ask for it once and keep it in this browser
+async function apiFetch(url, options = {}) {
+    const token = localStorage.getItem('apiToken');
+    const response = await fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), ...(token && { 'Authorization': `Bearer ${token}` }) }
+    });
+    
+    if (response.status === 401 && !options.retried && askForToken()) {
+        return apiFetch(url, { ...options, retried: true });
+    }
+    return response;
+}
+
+function askForToken() {
+    const entered = prompt('This needs the API token (API_TOKEN):');
+    if (!entered) return false;
+    
+    localStorage.setItem('apiToken', entered);
+    // Reconnect so the socket is an operator too
+    if (window.app && window.app.socket) {
+        window.app.socket.auth = { token: entered };
+        window.app.socket.disconnect().connect();
+    }
+    return true;
+}
+
 // Global functions for button clicks
 function requestBotStats() {
     if (window.app && window.app.socket) {
@@ -371,6 +638,169 @@ function executeCommand(command, args = []) {
     }
 }
 
+async function browseResources() {
+    const serverId = document.getElementById('resource-server').value;
+    if (!serverId || !window.app) return;
+    
+    const response = await fetch(`/api/mcp/servers/${encodeURIComponent(serverId)}/resources`);
+    const data = await response.json();
+    if (!response.ok) {
+        window.app.showNotification(data.error || 'Failed to list resources', 'error');
+        return;
+    }
+    
+    window.app.renderResources(serverId, data.resources);
+}
+
+async function loadPrompts() {
+    if (!window.app) return;
+    
+    const response = await fetch('/api/mcp/prompts');
+    const data = await response.json();
+    window.app.prompts = data.prompts || [];
+    
+    const select = document.getElementById('prompt-select');
+    select.innerHTML = '';
+    window.app.prompts.forEach((prompt, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `${prompt.serverName}: ${prompt.name}`;
+        select.appendChild(option);
+    });
+    
+    showPromptArguments();
+}
+
+function showPromptArguments() {
+    const container = document.getElementById('prompt-arguments');
+    container.innerHTML = '';
+    
+    const prompt = window.app && window.app.prompts && window.app.prompts[document.getElementById('prompt-select').value];
+    if (!prompt) return;
+    
+    (prompt.arguments || []).forEach(arg => {
+        const row = document.createElement('div');
+        row.className = 'stat';
+        
+        const label = document.createElement('label');
+        label.textContent = `${arg.name}${arg.required ? ' *' : ''}`;
+        label.title = arg.description || '';
+        
+        const input = document.createElement('input');
+        input.dataset.argument = arg.name;
+        input.placeholder = arg.description || '';
+        
+        row.append(label, input);
+        container.appendChild(row);
+    });
+}
+
+async function renderPrompt() {
+    const prompt = window.app && window.app.prompts && window.app.prompts[document.getElementById('prompt-select').value];
+    if (!prompt) return;
+    
+    const args = {};
+    document.querySelectorAll('#prompt-arguments input').forEach(input => {
+        if (input.value) args[input.dataset.argument] = input.value;
+    });
+    
+    const response = await fetch('/api/mcp/prompts/get', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ serverId: prompt.serverId, name: prompt.name, arguments: args })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        const details = (data.details || []).map(detail => `${detail.field} ${detail.message}`).join('; ');
+        window.app.showNotification(`${data.error}${details ? ` (${details})` : ''}`, 'error');
+        return;
+    }
+    
+    document.getElementById('prompt-output').textContent = (data.result.messages || [])
+        .map(message => `[${message.role}] ${message.content.type === 'text' ? message.content.text : `(${message.content.type})`}`)
+        .join('\n\n');
+}
+
+async function loadTools() {
+    if (!window.app) return;
+    
+    const response = await fetch('/api/mcp/tools');
+    const data = await response.json();
+    
+    const select = document.getElementById('tool-select');
+    select.innerHTML = '';
+    (data.tools || []).forEach(tool => {
+        const option = document.createElement('option');
+        option.value = JSON.stringify({ serverId: tool.serverId, name: tool.name });
+        option.textContent = `${tool.serverId}: ${tool.name}`;
+        option.title = tool.description || '';
+        select.appendChild(option);
+    });
+}
+
+function runTool() {
+    const selected = document.getElementById('tool-select').value;
+    if (!selected || !window.app) return;
+    
+    let args;
+    try {
+        args = JSON.parse(document.getElementById('tool-arguments').value || '{}');
+    } catch (error) {
+        window.app.showNotification(`Arguments must be JSON: ${error.message}`, 'error');
+        return;
+    }
+    
+    const { serverId, name } = JSON.parse(selected);
+    document.getElementById('tool-output').textContent = '';
+    window.app.socket.emit('mcp-call', { serverId, method: 'tools/call', params: { name, arguments: args } });
+}
+
+async function loadSessions() {
+    if (!window.app) return;
+    
+    const response = await apiFetch('/api/conversations');
+    const data = await response.json();
+    // Without the token the card just stays empty; this runs on every page load
+    if (!response.ok) {
+        if (response.status !== 401) {
+            window.app.showNotification(data.error || 'Failed to load sessions', 'error');
+        }
+        return;
+    }
+    
+    const select = document.getElementById('session-select');
+    select.innerHTML = '';
+    (data.sessions || []).forEach(session => {
+        const option = document.createElement('option');
+        option.value = session.id;
+        option.textContent = `${session.status === 'active' ? '🟢' : '⚫'} ${session.serverId}: ${session.tool} · ${session.userTag} · ${new Date(session.startedAt).toLocaleString()}`;
+        select.appendChild(option);
+    });
+    
+    viewSession();
+}
+
+async function viewSession() {
+    const sessionId = document.getElementById('session-select').value;
+    const transcript = document.getElementById('session-transcript');
+    transcript.textContent = '';
+    if (!sessionId || !window.app) return;
+    
+    const response = await apiFetch(`/api/conversations/${encodeURIComponent(sessionId)}`);
+    const data = await response.json();
+    if (!response.ok) {
+        window.app.showNotification(data.error || 'Failed to load session', 'error');
+        return;
+    }
+    
+    const { session, messages } = data;
+    const summary = `${session.messageCount} message(s), ${session.status}${session.endReason ? ` (${session.endReason})` : ''}`;
+    transcript.textContent = [summary, ...messages.map(message => {
+        const author = message.role === 'user' ? message.authorTag : session.tool;
+        return `[${new Date(message.createdAt).toLocaleTimeString()}] ${author}${message.isError ? ' ⚠️' : ''}: ${message.content}`;
+    })].join('\n\n');
+}
+
 function requestSystemStats() {
     executeCommand('system-stats');
 }
@@ -1,6 +1,76 @@
 const express = require('express');
+const { authorizeRequest, checkOrigin } = require('../core/request-auth');
+const { getTransportType } = require('../core/transports');
+const { REDACTED, redactUrl } = require('../core/server-definition');
 const router = express.Router();
 
+// Routes that change the registry, the config or the bot's rules, or read transcripts: API_TOKEN as a bearer token, or local clients without one
+const API_TOKEN = process.env.API_TOKEN || null;
+const API_ALLOWED_ORIGINS = (process.env.API_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+// stdio servers run their command on this host, so the API only registers them when the operator allows it
+const API_ALLOW_STDIO = process.env.API_ALLOW_STDIO === 'true';
+
+function requireOperator(req, res, next) {
+    if (!checkOrigin(req, API_ALLOWED_ORIGINS)) {
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+    if (!authorizeRequest(req, API_TOKEN)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
+// Anyone may ask for a tool call that needs confirmation, but only an operator may confirm it
+function requireOperatorToConfirm(req, res, next) {
+    if (req.body && req.body.confirmationId) {
+        return requireOperator(req, res, next);
+    }
+    next();
+}
+
+const STDIO_FIELDS = ['command', 'args', 'cwd', 'env'];
+
+function rejectStdio(res) {
+    return res.status(403).json({ error: 'stdio servers can only be added through the API when API_ALLOW_STDIO is true' });
+}
+
+// Map bridge errors to HTTP responses, keeping JSON-RPC and validation details
+function sendError(res, error) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({ error: error.message });
+}
+
+// Header and env values, and passwords in URLs, usually carry credentials; never send them back out
+function redactServer(server) {
+    const redactMap = (map) => map && Object.fromEntries(Object.keys(map).map(key => [key, REDACTED]));
+    return {
+        ...server,
+        ...(server.url && { url: redactUrl(server.url) }),
+        ...(server.headers && { headers: redactMap(server.headers) }),
+        ...(server.env && { env: redactMap(server.env) })
+    };
+}
+
+// Redacted values echoed back by a client keep the stored secret
+function restoreRedacted(changes, current) {
+    const restored = { ...changes };
+    if (current.url && restored.url === redactUrl(current.url)) {
+        restored.url = current.url;
+    }
+    for (const field of ['headers', 'env']) {
+        if (restored[field] && typeof restored[field] === 'object') {
+            restored[field] = Object.fromEntries(Object.entries(restored[field]).map(([key, value]) => [
+                key,
+                value === REDACTED && current[field] ? current[field][key] : value
+            ]));
+        }
+    }
+    return restored;
+}
+
 // Middleware to add request logging
 router.use((req, res, next) => {
     console.log(`🌐 API ${req.method} ${req.path}`);
@@ -35,6 +105,10 @@ router.get('/info', (req, res) => {
             info: '/api/info',
             bot: '/api/bot',
             mcp: '/api/mcp',
+            mcpServers: '/api/mcp/servers',
+            mcpTools: '/api/mcp/tools',
+            mcpPrompts: '/api/mcp/prompts',
+            mcpCalls: '/api/mcp/calls',
             logs: '/api/logs'
         }
     });
@@ -51,7 +125,8 @@ router.get('/bot/status', (req, res) => {
         res.json({
             connected: bot.isConnected(),
             demoMode: bot.demoMode,
-            stats: bot.getStats()
+            stats: bot.getStats(),
+            rateLimits: bot.getRateLimitStatus()
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -79,6 +154,129 @@ router.get('/bot/stats', async (req, res) => {
     }
 });
 
+// Per-guild bot settings; the bot reads them through the same store, so changes apply to the next command
+const GUILD_ID_PATTERN = /^\d{17,20}$/;
+
+router.param('guildId', (req, res, next, guildId) => {
+    if (!GUILD_ID_PATTERN.test(guildId)) {
+        return res.status(400).json({ error: 'Invalid guild id' });
+    }
+    next();
+});
+
+router.get('/guilds/:guildId/settings', async (req, res) => {
+    try {
+        const bot = req.app.locals.discordBot;
+        if (!bot) {
+            return res.status(503).json({ error: 'Bot not available' });
+        }
+
+        res.json({ settings: await bot.guildSettings.get(req.params.guildId) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.put('/guilds/:guildId/settings', requireOperator, async (req, res) => {
+    try {
+        const bot = req.app.locals.discordBot;
+        const db = req.app.locals.database;
+        if (!bot) {
+            return res.status(503).json({ error: 'Bot not available' });
+        }
+
+        const { guildId } = req.params;
+        const { guildId: ignored, ...changes } = req.body;
+        const settings = await bot.guildSettings.update(guildId, changes);
+
+        if (db) {
+            await db.logActivity('guild-settings', 'api', `Guild settings updated: ${Object.keys(changes).join(', ')}`, { guildId, changes });
+        }
+
+        res.json({ settings });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.delete('/guilds/:guildId/settings', requireOperator, async (req, res) => {
+    try {
+        const bot = req.app.locals.discordBot;
+        const db = req.app.locals.database;
+        if (!bot) {
+            return res.status(503).json({ error: 'Bot not available' });
+        }
+
+        const { guildId } = req.params;
+        const settings = await bot.guildSettings.reset(guildId);
+
+        if (db) {
+            await db.logActivity('guild-settings', 'api', 'Guild settings reset', { guildId });
+        }
+
+        res.json({ settings });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Command permission rules, keyed by command name or "command.subcommand"
+router.get('/guilds/:guildId/permissions', async (req, res) => {
+    try {
+        const bot = req.app.locals.discordBot;
+        if (!bot) {
+            return res.status(503).json({ error: 'Bot not available' });
+        }
+
+        res.json({ permissions: await bot.commandPermissions.list(req.params.guildId) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.put('/guilds/:guildId/permissions/:command', requireOperator, async (req, res) => {
+    try {
+        const bot = req.app.locals.discordBot;
+        const db = req.app.locals.database;
+        if (!bot) {
+            return res.status(503).json({ error: 'Bot not available' });
+        }
+
+        const { guildId, command } = req.params;
+        const { command: ignored, ...changes } = req.body;
+        const permission = await bot.commandPermissions.update(guildId, command, changes);
+
+        if (db) {
+            await db.logActivity('command-permissions', 'api', `Command permissions updated: ${command}`, { guildId, command, changes });
+        }
+
+        res.json({ permission });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.delete('/guilds/:guildId/permissions/:command', requireOperator, async (req, res) => {
+    try {
+        const bot = req.app.locals.discordBot;
+        const db = req.app.locals.database;
+        if (!bot) {
+            return res.status(503).json({ error: 'Bot not available' });
+        }
+
+        const { guildId, command } = req.params;
+        await bot.commandPermissions.remove(guildId, command);
+
+        if (db) {
+            await db.logActivity('command-permissions', 'api', `Command permissions removed: ${command}`, { guildId, command });
+        }
+
+        res.json({ success: true, command });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
 // MCP Bridge status
 router.get('/mcp/status', (req, res) => {
     try {
@@ -87,9 +285,11 @@ router.get('/mcp/status', (req, res) => {
             return res.status(503).json({ error: 'MCP Bridge not available' });
         }
 
+        const mcpServer = req.app.locals.mcpServer;
         res.json({
             connections: mcpBridge.getConnections(),
-            stats: mcpBridge.getStats()
+            stats: mcpBridge.getStats(),
+            clients: mcpServer ? mcpServer.getSessions() : []
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -110,15 +310,267 @@ router.get('/mcp/connections', async (req, res) => {
         
         res.json({
             live: liveConnections,
-            stored: storedConnections
+            stored: storedConnections.map(conn => ({ ...conn, url: redactUrl(conn.url) }))
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// MCP server registry
+router.get('/mcp/servers', (req, res) => {
+    const mcpBridge = req.app.locals.mcpBridge;
+    if (!mcpBridge) {
+        return res.status(503).json({ error: 'MCP Bridge not available' });
+    }
+
+    res.json({ servers: mcpBridge.getServers().map(redactServer) });
+});
+
+router.get('/mcp/servers/:id', (req, res) => {
+    try {
+        const mcpBridge = req.app.locals.mcpBridge;
+        if (!mcpBridge) {
+            return res.status(503).json({ error: 'MCP Bridge not available' });
+        }
+
+        res.json({ server: redactServer(mcpBridge.getServer(req.params.id)) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.post('/mcp/servers', requireOperator, async (req, res) => {
+    try {
+        const mcpBridge = req.app.locals.mcpBridge;
+        const db = req.app.locals.database;
+        if (!mcpBridge) {
+            return res.status(503).json({ error: 'MCP Bridge not available' });
+        }
+
+        const { id, ...definition } = req.body;
+        if (!API_ALLOW_STDIO && getTransportType(definition) === 'stdio') {
+            return rejectStdio(res);
+        }
+        const server = await mcpBridge.addServer(id, definition);
+
+        if (db) {
+            await db.logActivity('mcp-server', 'api', `MCP server added: ${id}`, { id, transport: server.transport });
+        }
+
+        res.status(201).json({ server: redactServer(server) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.put('/mcp/servers/:id', requireOperator, async (req, res) => {
+    try {
+        const mcpBridge = req.app.locals.mcpBridge;
+        const db = req.app.locals.database;
+        if (!mcpBridge) {
+            return res.status(503).json({ error: 'MCP Bridge not available' });
+        }
+
+        const { id } = req.params;
+        const current = mcpBridge.getServer(id);
+        const { id: ignored, status, lastError, ...changes } = req.body;
+        if (!API_ALLOW_STDIO && getTransportType({ ...current, ...changes }) === 'stdio'
+            && ['transport', ...STDIO_FIELDS].some(field => field in changes)) {
+            return rejectStdio(res);
+        }
+        const server = await mcpBridge.updateServer(id, restoreRedacted(changes, current));
+
+        if (db) {
+            await db.logActivity('mcp-server', 'api', `MCP server updated: ${id}`, { id, fields: Object.keys(changes) });
+        }
+
+        res.json({ server: redactServer(server) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.post('/mcp/servers/:id/:action(enable|disable)', requireOperator, async (req, res) => {
+    try {
+        const mcpBridge = req.app.locals.mcpBridge;
+        const db = req.app.locals.database;
+        if (!mcpBridge) {
+            return res.status(503).json({ error: 'MCP Bridge not available' });
+        }
+
+        const { id, action } = req.params;
+        const server = await mcpBridge.setServerEnabled(id, action === 'enable');
+
+        if (db) {
+            await db.logActivity('mcp-server', 'api', `MCP server ${action}d: ${id}`, { id });
+        }
+
+        res.json({ server: redactServer(server) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.delete('/mcp/servers/:id', requireOperator, async (req, res) => {
+    try {
+        const mcpBridge = req.app.locals.mcpBridge;
+        const db = req.app.locals.database;
+        if (!mcpBridge) {
+            return res.status(503).json({ error: 'MCP Bridge not available' });
+        }
+
+        const { id } = req.params;
+        await mcpBridge.removeServer(id);
+
+        if (db) {
+            await db.logActivity('mcp-server', 'api', `MCP server removed: ${id}`, { id });
+        }
+
+        res.json({ success: true, id });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// MCP resources
+router.get('/mcp/servers/:id/resources', async (req, res) => {
+    try {
+        const mcpBridge = req.app.locals.mcpBridge;
+        if (!mcpBridge) {
+            return res.status(503).json({ error: 'MCP Bridge not available' });
+        }
+
+        const resources = await mcpBridge.listResources(req.params.id);
+        res.json({ resources });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.get('/mcp/servers/:id/resources/templates', async (req, res) => {
+    try {
+        const mcpBridge = req.app.locals.mcpBridge;
+        if (!mcpBridge) {
+            return res.status(503).json({ error: 'MCP Bridge not available' });
+        }
+
+        const resourceTemplates = await mcpBridge.listResourceTemplates(req.params.id);
+        res.json({ resourceTemplates });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.get('/mcp/servers/:id/resources/read', async (req, res) => {
+    try {
+        const mcpBridge = req.app.locals.mcpBridge;
+        if (!mcpBridge) {
+            return res.status(503).json({ error: 'MCP Bridge not available' });
+        }
+
+        const { uri } = req.query;
+        if (!uri) {
+            return res.status(400).json({ error: 'uri is required' });
+        }
+
+        const contents = await mcpBridge.readResource(req.params.id, uri);
+        res.json({ uri, contents });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Serve one content item as-is, decoding base64 blobs, so browsers can render or download it
+router.get('/mcp/servers/:id/resources/raw', async (req, res) => {
+    try {
+        const mcpBridge = req.app.locals.mcpBridge;
+        if (!mcpBridge) {
+            return res.status(503).json({ error: 'MCP Bridge not available' });
+        }
+
+        const { uri, index = 0 } = req.query;
+        if (!uri) {
+            return res.status(400).json({ error: 'uri is required' });
+        }
+
+        const contents = await mcpBridge.readResource(req.params.id, uri);
+        const content = contents[parseInt(index)];
+        if (!content) {
+            return res.status(404).json({ error: `No content at index ${index} for ${uri}` });
+        }
+
+        const body = content.blob !== undefined
+            ? Buffer.from(content.blob, 'base64')
+            : Buffer.from(content.text || '', 'utf8');
+
+        res.type(content.mimeType || (content.blob !== undefined ? 'application/octet-stream' : 'text/plain'));
+        // Upstream content is untrusted; keep any HTML it contains away from the dashboard origin
+        res.set('Content-Security-Policy', 'sandbox');
+        res.send(body);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Tool catalog across all connected servers
+router.get('/mcp/tools', async (req, res) => {
+    try {
+        const mcpBridge = req.app.locals.mcpBridge;
+        if (!mcpBridge) {
+            return res.status(503).json({ error: 'MCP Bridge not available' });
+        }
+
+        const { serverId, refresh } = req.query;
+        if (serverId && refresh === 'true') {
+            await mcpBridge.refreshTools(serverId);
+        }
+
+        const tools = mcpBridge.getTools(serverId || null);
+        res.json({ tools, count: tools.length });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// MCP prompts
+router.get('/mcp/prompts', (req, res) => {
+    const mcpBridge = req.app.locals.mcpBridge;
+    if (!mcpBridge) {
+        return res.status(503).json({ error: 'MCP Bridge not available' });
+    }
+
+    const prompts = mcpBridge.getPrompts(req.query.serverId || null);
+    res.json({ prompts, count: prompts.length });
+});
+
+router.post('/mcp/prompts/get', async (req, res) => {
+    try {
+        const mcpBridge = req.app.locals.mcpBridge;
+        const db = req.app.locals.database;
+        if (!mcpBridge) {
+            return res.status(503).json({ error: 'MCP Bridge not available' });
+        }
+
+        const { serverId, name, arguments: args = {} } = req.body;
+        if (!serverId || !name) {
+            return res.status(400).json({ error: 'serverId and name are required' });
+        }
+
+        const result = await mcpBridge.getPrompt(serverId, name, args);
+
+        if (db) {
+            await db.logActivity('mcp-prompt', 'api', `MCP prompt: ${name}`, { serverId, name, arguments: args });
+        }
+
+        res.json({ result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
 // Execute MCP call
-router.post('/mcp/call', async (req, res) => {
+router.post('/mcp/call', requireOperatorToConfirm, async (req, res) => {
     try {
         const mcpBridge = req.app.locals.mcpBridge;
         const db = req.app.locals.database;
@@ -133,7 +585,12 @@ router.post('/mcp/call', async (req, res) => {
             return res.status(400).json({ error: 'serverId and method are required' });
         }
 
-        const result = await mcpBridge.sendMessage(serverId, { method, params });
+        // Tools that need confirmation answer 409 with a confirmationId; an operator sending the same call again with it runs the tool
+        const result = await mcpBridge.sendMessage(serverId, { method, params }, {
+            callId: req.body.callId,
+            confirmationId: req.body.confirmationId,
+            context: { source: 'api', ip: req.ip }
+        });
         
         // Log the call
         if (db) {
@@ -147,7 +604,99 @@ router.post('/mcp/call', async (req, res) => {
         
         res.json({ result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
+    }
+});
+
+// List in-flight tool calls
+router.get('/mcp/calls', (req, res) => {
+    try {
+        const mcpBridge = req.app.locals.mcpBridge;
+        if (!mcpBridge) {
+            return res.status(503).json({ error: 'MCP Bridge not available' });
+        }
+
+        res.json({ calls: mcpBridge.getActiveCalls() });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Cancel an in-flight tool call
+router.post('/mcp/calls/:callId/cancel', requireOperator, async (req, res) => {
+    try {
+        const mcpBridge = req.app.locals.mcpBridge;
+        const db = req.app.locals.database;
+        if (!mcpBridge) {
+            return res.status(503).json({ error: 'MCP Bridge not available' });
+        }
+
+        const reason = typeof req.body.reason === 'string' && req.body.reason ? req.body.reason : 'Cancelled via API';
+        const call = mcpBridge.cancelCall(req.params.callId, reason);
+
+        if (db) {
+            await db.logActivity('mcp-cancel', 'api', `Cancelled ${call.tool} on ${call.serverId}`, { ...call, reason });
+        }
+
+        res.json({ call, cancelled: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Turn down a tool call that is waiting for confirmation
+router.post('/mcp/confirmations/:confirmationId/cancel', requireOperator, async (req, res) => {
+    try {
+        const mcpBridge = req.app.locals.mcpBridge;
+        const db = req.app.locals.database;
+        if (!mcpBridge) {
+            return res.status(503).json({ error: 'MCP Bridge not available' });
+        }
+
+        const reason = typeof req.body.reason === 'string' && req.body.reason ? req.body.reason : 'Cancelled via API';
+        mcpBridge.cancelConfirmation(req.params.confirmationId, reason);
+
+        if (db) {
+            await db.logActivity('mcp-cancel', 'api', `Cancelled confirmation ${req.params.confirmationId}`, { confirmationId: req.params.confirmationId, reason });
+        }
+
+        res.json({ confirmationId: req.params.confirmationId, cancelled: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Thread conversations started with `!ex session`, newest first
+router.get('/conversations', requireOperator, async (req, res) => {
+    try {
+        const db = req.app.locals.database;
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+
+        const { status, guildId, limit = 50 } = req.query;
+        const sessions = await db.getConversationSessions({ status: status || null, guildId: guildId || null, limit: parseInt(limit) || 50 });
+        res.json({ sessions });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.get('/conversations/:sessionId', requireOperator, async (req, res) => {
+    try {
+        const db = req.app.locals.database;
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+
+        const session = await db.getConversationSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: `Unknown conversation session: ${req.params.sessionId}` });
+        }
+
+        res.json({ session, messages: await db.getConversationMessages(session.id) });
+    } catch (error) {
+        sendError(res, error);
     }
 });
 
@@ -195,7 +744,8 @@ router.get('/config', async (req, res) => {
             platformName: await db.getConfig('platform_name'),
             version: await db.getConfig('version'),
             maxConnections: await db.getConfig('max_connections'),
-            autoReconnect: await db.getConfig('auto_reconnect')
+            autoReconnect: await db.getConfig('auto_reconnect'),
+            commandCooldowns: await db.getConfig('command_cooldowns')
         };
         
         res.json(configs);
@@ -204,7 +754,7 @@ router.get('/config', async (req, res) => {
     }
 });
 
-router.put('/config/:key', async (req, res) => {
+router.put('/config/:key', requireOperator, async (req, res) => {
     try {
         const db = req.app.locals.database;
         if (!db) {
@@ -212,17 +762,29 @@ router.put('/config/:key', async (req, res) => {
         }
 
         const { key } = req.params;
-        const { value, type = 'string' } = req.body;
+        const { value } = req.body;
+        const type = key === 'command_cooldowns' ? 'json' : req.body.type || 'string';
         
         if (value === undefined) {
             return res.status(400).json({ error: 'value is required' });
         }
 
+        // Cooldown overrides are validated and applied by the bot before they are stored
+        const bot = req.app.locals.discordBot;
+        if (key === 'command_cooldowns' && bot) {
+            bot.setCooldownOverrides(value);
+        }
+
         await db.setConfig(key, value, type);
+
+        const mcpBridge = req.app.locals.mcpBridge;
+        if (key === 'max_connections' && mcpBridge) {
+            await mcpBridge.refreshConcurrencyLimits();
+        }
         
         res.json({ success: true, key, value, type });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
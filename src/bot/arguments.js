@@ -0,0 +1,134 @@
+const { ValidationError } = require('../core/errors');
+
+// Index just past the JSON object or array that starts at text[start]
+function jsonEnd(text, start) {
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 0) return i + 1;
+        }
+    }
+    return text.length;
+}
+
+// Split command text on whitespace, keeping "quoted strings" and JSON values together
+function tokenize(text) {
+    const tokens = [];
+    let current = '';
+    let quote = null;
+    let inToken = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quote) {
+            if (char === '\\' && text[i + 1] === quote) {
+                current += quote;
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            } else {
+                current += char;
+            }
+        } else if ((char === '{' || char === '[') && (!inToken || /^[\w.-]+=$/.test(current))) {
+            const end = jsonEnd(text, i);
+            current += text.slice(i, end);
+            inToken = true;
+            i = end - 1;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            inToken = true;
+        } else if (/\s/.test(char)) {
+            if (inToken) {
+                tokens.push(current);
+                current = '';
+                inToken = false;
+            }
+        } else {
+            current += char;
+            inToken = true;
+        }
+    }
+
+    if (inToken) {
+        tokens.push(current);
+    }
+    return tokens;
+}
+
+// Separate key=value tokens from plain positional ones
+function parseKeyValues(tokens) {
+    const args = {};
+    const positional = [];
+
+    for (const token of tokens) {
+        const match = token.match(/^([\w.-]+)=(.*)$/s);
+        if (match) {
+            args[match[1]] = match[2];
+        } else {
+            positional.push(token);
+        }
+    }
+
+    return { args, positional };
+}
+
+// Convert string values to the types a tool's inputSchema declares, where that is unambiguous
+function coerceArguments(values, schema = {}) {
+    const properties = (schema && schema.properties) || {};
+    const coerced = {};
+
+    for (const [key, value] of Object.entries(values)) {
+        const type = properties[key] && properties[key].type;
+
+        if ((type === 'number' || type === 'integer') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+            coerced[key] = Number(value);
+        } else if (type === 'boolean' && (value === 'true' || value === 'false')) {
+            coerced[key] = value === 'true';
+        } else if ((type === 'object' || type === 'array') && /^[[{]/.test(value)) {
+            try {
+                coerced[key] = JSON.parse(value);
+            } catch (error) {
+                coerced[key] = value;
+            }
+        } else {
+            coerced[key] = value;
+        }
+    }
+
+    return coerced;
+}
+
+// Tool arguments are given either as one JSON object or as key=value pairs
+function parseToolArguments(tokens, schema = {}) {
+    if (tokens.length === 1 && tokens[0].startsWith('{')) {
+        try {
+            return JSON.parse(tokens[0]);
+        } catch (error) {
+            throw new ValidationError('Invalid JSON arguments', [{ field: 'arguments', message: error.message }]);
+        }
+    }
+    return coerceArguments(parseKeyValues(tokens).args, schema);
+}
+
+module.exports = {
+    tokenize,
+    parseKeyValues,
+    coerceArguments,
+    parseToolArguments
+};
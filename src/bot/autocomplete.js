@@ -0,0 +1,117 @@
+// Discord shows at most 25 suggestions, and names and values are capped at 100 characters
+const MAX_CHOICES = 25;
+const MAX_CHOICE_LENGTH = 100;
+// Cached lists are also dropped whenever the bridge's catalog changes; the TTL is a safety net
+const SUGGESTION_CACHE_TTL = 30000;
+
+// Autocomplete must answer within Discord's 3-second window, so the lists built from the catalog are reused
+class SuggestionCache {
+    constructor(ttl = SUGGESTION_CACHE_TTL) {
+        this.ttl = ttl;
+        this.entries = new Map();
+    }
+
+    get(key, build) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            return entry.value;
+        }
+
+        const value = build();
+        this.entries.set(key, { value, expiresAt: Date.now() + this.ttl });
+        return value;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+// Names starting with what was typed come first, then names containing it anywhere
+function filterChoices(candidates, query = '') {
+    const search = query.toLowerCase();
+    const ranked = [];
+    for (const choice of candidates) {
+        const name = choice.name.toLowerCase();
+        const rank = name.startsWith(search) ? 0 : name.includes(search) ? 1 : -1;
+        if (rank >= 0 && String(choice.value).length <= MAX_CHOICE_LENGTH) {
+            ranked.push({ choice, rank });
+        }
+    }
+
+    return ranked
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, MAX_CHOICES)
+        .map(({ choice }) => ({
+            name: choice.name.length > MAX_CHOICE_LENGTH ? `${choice.name.slice(0, MAX_CHOICE_LENGTH - 1)}…` : choice.name,
+            value: choice.value
+        }));
+}
+
+function suggestServers(bot, query) {
+    const servers = bot.suggestions.get('servers', () => bot.mcpBridge.getServers().map(server => ({
+        name: `${server.id} · ${server.name}${server.status === 'connected' ? '' : ` (${server.status})`}`,
+        value: server.id
+    })));
+    return filterChoices(servers, query);
+}
+
+function suggestTools(bot, serverId, query) {
+    if (!serverId) return [];
+
+    const tools = bot.suggestions.get(`tools:${serverId}`, () => bot.mcpBridge.getTools(serverId).map(tool => ({
+        name: tool.description ? `${tool.name} · ${tool.description}` : tool.name,
+        value: tool.name
+    })));
+    return filterChoices(tools, query);
+}
+
+const quoteValue = (value) => /[\s"']/.test(String(value)) ? `"${String(value).replace(/"/g, '\\"')}"` : String(value);
+
+// The arguments option is a key=value string: while a key is being typed, suggest the keys still missing;
+// after "key=", suggest the enum (or boolean) values from the tool's inputSchema
+function suggestArguments(bot, serverId, toolName, typed = '') {
+    if (!serverId || !toolName || typed.trim().startsWith('{')) return [];
+
+    const schema = bot.suggestions.get(`schema:${serverId}:${toolName}`, () => {
+        const tool = bot.mcpBridge.getTool(serverId, toolName);
+        const properties = (tool && tool.inputSchema && tool.inputSchema.properties) || {};
+        const required = (tool && tool.inputSchema && tool.inputSchema.required) || [];
+        return Object.entries(properties)
+            .map(([key, property]) => ({
+                key,
+                required: required.includes(key),
+                type: property.type,
+                values: property.enum || (property.type === 'boolean' ? [true, false] : null)
+            }))
+            .sort((a, b) => Number(b.required) - Number(a.required));
+    });
+
+    const [, head, current] = typed.match(/^([\s\S]*?)(\S*)$/);
+    const separator = current.indexOf('=');
+
+    if (separator === -1) {
+        const used = head.split(/\s+/).map(token => token.split('=')[0]);
+        return filterChoices(schema
+            .filter(argument => !used.includes(argument.key))
+            .map(argument => ({
+                name: `${argument.key}=${argument.required ? ' (required)' : ''}${argument.type ? ` ${argument.type}` : ''}`,
+                value: `${head}${argument.key}=`
+            })), current);
+    }
+
+    const argument = schema.find(entry => entry.key === current.slice(0, separator));
+    if (!argument || !argument.values) return [];
+    return filterChoices(argument.values.map(value => ({
+        name: `${argument.key}=${value}`,
+        value: `${head}${argument.key}=${quoteValue(value)}`
+    })), current);
+}
+
+module.exports = {
+    SuggestionCache,
+    filterChoices,
+    suggestServers,
+    suggestTools,
+    suggestArguments
+};
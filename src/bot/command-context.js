@@ -0,0 +1,123 @@
+const { MessageFlags } = require('discord.js');
+const { translate } = require('./i18n');
+
+// One interface for command handlers, whether the command came from a prefix message or a slash command
+class CommandContext {
+    constructor({ message = null, interaction = null, bot = null, settings = null }) {
+        this.message = message;
+        this.interaction = interaction;
+        this.bot = bot;
+        this.settings = settings;
+        this.response = null;
+    }
+
+    static fromMessage(message, bot = null, settings = null) {
+        return new CommandContext({ message, bot, settings });
+    }
+
+    static fromInteraction(interaction, bot = null, settings = null) {
+        return new CommandContext({ interaction, bot, settings });
+    }
+
+    get isInteraction() {
+        return this.interaction !== null;
+    }
+
+    get source() {
+        return this.interaction || this.message;
+    }
+
+    get user() {
+        return this.interaction ? this.interaction.user : this.message.author;
+    }
+
+    get guildId() {
+        return this.source.guildId;
+    }
+
+    get channelId() {
+        return this.source.channelId;
+    }
+
+    get channel() {
+        return this.source.channel;
+    }
+
+    get createdTimestamp() {
+        return this.source.createdTimestamp;
+    }
+
+    get roleIds() {
+        const member = this.source.member;
+        if (!member) return [];
+        // Interactions from uncached guilds carry the raw member, whose roles are a plain id array
+        return Array.isArray(member.roles) ? member.roles : Array.from(member.roles.cache.keys());
+    }
+
+    // A thread counts as its parent channel too, so channel rules carry over into threads
+    get channelIds() {
+        const { channel } = this;
+        return [this.channelId, channel && channel.isThread && channel.isThread() ? channel.parentId : null].filter(Boolean);
+    }
+
+    get isGuildOwner() {
+        const { guild } = this.source;
+        return Boolean(guild) && guild.ownerId === this.user.id;
+    }
+
+    get memberPermissions() {
+        return this.interaction ? this.interaction.memberPermissions : this.message.member?.permissions || null;
+    }
+
+    // The prefix to show in usage hints: "/" for slash commands, the guild's own prefix otherwise
+    get prefix() {
+        return this.interaction ? '/' : this.textPrefix;
+    }
+
+    get textPrefix() {
+        return this.settings ? this.settings.prefix : '!';
+    }
+
+    t(key, vars = {}) {
+        return translate(this.settings && this.settings.language, key, vars);
+    }
+
+    // Interactions must be answered within 3 seconds, so slow commands defer first
+    async defer(options = {}) {
+        if (!this.interaction || this.interaction.deferred || this.interaction.replied) return;
+        await this.interaction.deferReply(options.ephemeral ? { flags: MessageFlags.Ephemeral } : {});
+    }
+
+    // Ephemeral replies only exist for interactions; prefix commands always answer in the channel
+    async reply(payload, options = {}) {
+        const data = typeof payload === 'string' ? { content: payload } : payload;
+
+        if (!this.interaction) {
+            this.response = await this.message.reply(data);
+            return this.response;
+        }
+
+        if (this.interaction.deferred || this.interaction.replied) {
+            this.response = await this.interaction.editReply(data);
+            return this.response;
+        }
+
+        const response = await this.interaction.reply({
+            ...data,
+            ...(options.ephemeral && { flags: MessageFlags.Ephemeral }),
+            withResponse: true
+        });
+        this.response = response.resource?.message || null;
+        return this.response;
+    }
+
+    async edit(payload) {
+        const data = typeof payload === 'string' ? { content: payload } : payload;
+        if (this.interaction) {
+            return this.interaction.editReply(data);
+        }
+        return this.response.edit(data);
+    }
+}
+
+module.exports = CommandContext;
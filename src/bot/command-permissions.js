@@ -0,0 +1,139 @@
+const { ValidationError, NotFoundError } = require('../core/errors');
+
+const RULE_LISTS = ['allowedRoles', 'allowedChannels', 'allowedUsers', 'deniedUsers'];
+const EMPTY_RULE = { allowedRoles: [], allowedChannels: [], allowedUsers: [], deniedUsers: [], ownerOnly: false };
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+// Role, channel and user mentions as Discord pastes them: <@&id>, <#id>, <@id>, <@!id>
+const MENTION_PATTERN = /^<(?:@[!&]?|#)(\d+)>$/;
+
+// Rules are keyed by command name, or "command.subcommand" to restrict a single subcommand
+function normalizeCommandPermission(command, changes = {}, { commands = null } = {}) {
+    const details = [];
+    const rule = {};
+
+    if (typeof command !== 'string' || (commands && !commands.includes(command))) {
+        details.push({ field: 'command', message: `unknown command: ${command}` });
+    }
+
+    for (const field of Object.keys(changes)) {
+        if (!(field in EMPTY_RULE)) {
+            details.push({ field, message: 'is not a permission setting' });
+        }
+    }
+
+    for (const field of RULE_LISTS) {
+        if (changes[field] === undefined) continue;
+
+        const ids = Array.isArray(changes[field])
+            ? changes[field].map(id => typeof id === 'string' ? id.replace(MENTION_PATTERN, '$1') : id)
+            : null;
+        if (!ids || !ids.every(id => SNOWFLAKE_PATTERN.test(id))) {
+            details.push({ field, message: 'must be an array of Discord ids' });
+        } else {
+            rule[field] = [...new Set(ids)];
+        }
+    }
+
+    if (changes.ownerOnly !== undefined) {
+        if (typeof changes.ownerOnly !== 'boolean') {
+            details.push({ field: 'ownerOnly', message: 'must be a boolean' });
+        } else {
+            rule.ownerOnly = changes.ownerOnly;
+        }
+    }
+
+    if (details.length > 0) {
+        throw new ValidationError('Invalid command permissions', details);
+    }
+
+    return rule;
+}
+
+// Returns why the rule refuses the user, or null; owners are never refused
+function evaluateRule(rule, { userId, roleIds = [], channelIds = [], isOwner = false }) {
+    if (isOwner) return null;
+    if (rule.ownerOnly) return 'ownerOnly';
+    if (rule.deniedUsers.includes(userId)) return 'user';
+    if (rule.allowedChannels.length > 0 && !channelIds.some(id => rule.allowedChannels.includes(id))) return 'channel';
+
+    const restricted = rule.allowedUsers.length > 0 || rule.allowedRoles.length > 0;
+    if (restricted && !rule.allowedUsers.includes(userId) && !rule.allowedRoles.some(id => roleIds.includes(id))) {
+        return rule.allowedRoles.length > 0 ? 'role' : 'user';
+    }
+    return null;
+}
+
+class CommandPermissionStore {
+    constructor(database = null, options = {}) {
+        this.database = database;
+        this.listCommands = options.listCommands || (() => null);
+        this.cache = new Map();
+    }
+
+    async getRules(guildId) {
+        if (!this.cache.has(guildId)) {
+            const loading = (this.database ? this.database.getCommandPermissions(guildId) : Promise.resolve([]))
+                .then(rules => new Map(rules.map(rule => [rule.command, rule])));
+            loading.catch(() => this.cache.delete(guildId));
+            this.cache.set(guildId, loading);
+        }
+        return this.cache.get(guildId);
+    }
+
+    async list(guildId) {
+        return Array.from((await this.getRules(guildId)).values());
+    }
+
+    async get(guildId, command) {
+        return (await this.getRules(guildId)).get(command) || null;
+    }
+
+    async update(guildId, command, changes) {
+        const rules = await this.getRules(guildId);
+        const rule = {
+            command,
+            ...EMPTY_RULE,
+            ...rules.get(command),
+            ...normalizeCommandPermission(command, changes, { commands: this.listCommands() })
+        };
+
+        if (this.database) {
+            await this.database.saveCommandPermission(guildId, rule);
+        }
+        rules.set(command, rule);
+        return rule;
+    }
+
+    async remove(guildId, command) {
+        const rules = await this.getRules(guildId);
+        if (!rules.has(command)) {
+            throw new NotFoundError(`No permission rule for ${command}`);
+        }
+
+        if (this.database) {
+            await this.database.deleteCommandPermission(guildId, command);
+        }
+        rules.delete(command);
+    }
+
+    // Every rule that applies must allow the user: the command's own, then the subcommand's
+    async check(guildId, commands, subject) {
+        const rules = await this.getRules(guildId);
+        for (const command of commands) {
+            const rule = rules.get(command);
+            const reason = rule && evaluateRule(rule, subject);
+            if (reason) {
+                return { command, reason, rule };
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    EMPTY_RULE,
+    RULE_LISTS,
+    CommandPermissionStore,
+    normalizeCommandPermission,
+    evaluateRule
+};
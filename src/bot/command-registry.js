@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const { Collection, SlashCommandBuilder, InteractionContextType } = require('discord.js');
+const { tokenize } = require('./arguments');
+const { CommandUsageError } = require('../core/errors');
+
+// Each module in the directory exports one command:
+// { name, description, aliases, usage, guildOnly, dmOnly, memberPermissions, options | subcommands, execute(ctx, args) }
+// Subcommands may set guildOnly on their own; Discord only scopes whole slash commands, so that is checked at run time
+// Options marked `autocomplete: true` get their slash suggestions from autocomplete(ctx, focused, args)
+function loadCommands(directory = path.join(__dirname, 'commands')) {
+    const commands = new Collection();
+
+    for (const file of fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort()) {
+        const command = require(path.join(directory, file));
+        if (!command.name || !command.description || typeof command.execute !== 'function') {
+            console.warn(`⚠️ Skipping command module ${file}: name, description and execute are required`);
+            continue;
+        }
+        if (commands.has(command.name)) {
+            console.warn(`⚠️ Skipping command module ${file}: ${command.name} is already defined`);
+            continue;
+        }
+        commands.set(command.name, command);
+    }
+
+    return commands;
+}
+
+function findCommand(commands, name) {
+    const key = (name || '').toLowerCase();
+    return commands.get(key) || commands.find(command => (command.aliases || []).includes(key)) || null;
+}
+
+function findSubcommand(command, name) {
+    return (command.subcommands || []).find(subcommand => subcommand.name === name) || null;
+}
+
+function formatUsage(command, subcommand = null, prefix = '!') {
+    if (!subcommand && command.subcommands) {
+        return `${prefix}${command.name} <${command.subcommands.map(sub => sub.name).join('|')}>`;
+    }
+
+    const target = subcommand || command;
+    const args = target.usage !== undefined
+        ? target.usage
+        : (target.options || []).map(option => {
+            const label = option.rest ? `${option.name}...` : option.name;
+            return option.required ? `<${label}>` : `[${label}]`;
+        }).join(' ');
+    return `${prefix}${command.name}${subcommand ? ` ${subcommand.name}` : ''} ${args}`.trim();
+}
+
+// Prefix commands map positional tokens onto the declared options; a rest option takes the remaining tokens
+function parsePrefixArgs(command, tokens, prefix = '!') {
+    const remaining = tokens.slice();
+    let subcommand = null;
+
+    if (command.subcommands) {
+        const name = (remaining[0] || '').toLowerCase();
+        subcommand = findSubcommand(command, name);
+        if (subcommand) {
+            remaining.shift();
+        } else if (!name && command.defaultSubcommand) {
+            subcommand = findSubcommand(command, command.defaultSubcommand);
+        } else {
+            throw new CommandUsageError(formatUsage(command, null, prefix), name ? `Unknown subcommand: ${name}` : undefined);
+        }
+    }
+
+    const args = { subcommand: subcommand ? subcommand.name : null };
+    for (const option of (subcommand || command).options || []) {
+        if (option.rest) {
+            args[option.name] = remaining.splice(0);
+        } else if (remaining.length > 0) {
+            args[option.name] = remaining.shift();
+        } else if (option.required) {
+            throw new CommandUsageError(formatUsage(command, subcommand, prefix), `Missing argument: ${option.name}`);
+        } else {
+            args[option.name] = null;
+        }
+    }
+    return args;
+}
+
+function parseSlashArgs(command, interaction) {
+    const subcommand = command.subcommands ? findSubcommand(command, interaction.options.getSubcommand()) : null;
+    const args = { subcommand: subcommand ? subcommand.name : null };
+
+    for (const option of (subcommand || command).options || []) {
+        const value = interaction.options.getString(option.name);
+        args[option.name] = option.rest ? tokenize(value || '') : value;
+    }
+    return args;
+}
+
+function addOptions(builder, options = []) {
+    for (const option of options) {
+        builder.addStringOption(input => input
+            .setName(option.name)
+            .setDescription(option.description)
+            .setRequired(Boolean(option.required))
+            .setAutocomplete(Boolean(option.autocomplete)));
+    }
+    return builder;
+}
+
+function buildSlashCommand(command) {
+    const builder = new SlashCommandBuilder()
+        .setName(command.name)
+        .setDescription(command.description);
+
+    if (command.guildOnly) {
+        builder.setContexts(InteractionContextType.Guild);
+    } else if (command.dmOnly) {
+        builder.setContexts(InteractionContextType.BotDM);
+    }
+
+    // Discord hides the command from members without these permissions; runCommand still checks them
+    if (command.memberPermissions) {
+        builder.setDefaultMemberPermissions(command.memberPermissions);
+    }
+
+    if (command.subcommands) {
+        for (const subcommand of command.subcommands) {
+            builder.addSubcommand(sub => addOptions(
+                sub.setName(subcommand.name).setDescription(subcommand.description),
+                subcommand.options
+            ));
+        }
+    } else {
+        addOptions(builder, command.options);
+    }
+    return builder;
+}
+
+module.exports = {
+    loadCommands,
+    findCommand,
+    findSubcommand,
+    formatUsage,
+    parsePrefixArgs,
+    parseSlashArgs,
+    buildSlashCommand
+};
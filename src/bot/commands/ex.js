@@ -0,0 +1,149 @@
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { findSubcommand, formatUsage } = require('../command-registry');
+const { resolveSessionTool, pickSessionTool } = require('../sessions');
+const { suggestServers, suggestTools } = require('../autocomplete');
+const { formatRetryAfter } = require('../rate-limiter');
+const { CommandUsageError } = require('../../core/errors');
+
+async function showFeatures(ctx) {
+    const embed = new EmbedBuilder()
+        .setColor(0x9B59B6)
+        .setTitle('⚡ Discord EX Features')
+        .setDescription('Advanced automation and integration platform')
+        .addFields(
+            { name: '🤖 Smart Bot', value: 'AI-powered responses', inline: true },
+            { name: '🔧 Auto Tools', value: 'Automated workflows', inline: true },
+            { name: '👨‍💻 Dev Assistant', value: 'Development support', inline: true },
+            { name: '🌐 Web Interface', value: 'Control panel access', inline: true },
+            { name: '🧵 Sessions', value: `Talk to an MCP tool in a thread with \`${ctx.prefix}ex session <server>\``, inline: true }
+        )
+        .setTimestamp();
+
+    await ctx.reply({ embeds: [embed] });
+}
+
+async function startSession(ctx, serverId, toolName) {
+    const { bot } = ctx;
+    bot.requireBridge();
+
+    // Thread messages are only readable with the Message Content intent, which comes with prefix commands
+    if (!bot.prefixCommands) {
+        await ctx.reply('❌ Sessions read thread messages, which needs prefix commands (`DISCORD_PREFIX_COMMANDS`) turned on', { ephemeral: true });
+        return;
+    }
+    if (!serverId) {
+        throw new CommandUsageError(formatUsage(module.exports, findSubcommand(module.exports, 'session'), ctx.prefix), 'Missing argument: server');
+    }
+
+    const channel = ctx.source.channel;
+    if (!channel || channel.isThread() || !channel.threads) {
+        await ctx.reply('❌ Start a session from a text channel; it opens its own thread', { ephemeral: true });
+        return;
+    }
+
+    const server = bot.mcpBridge.getServer(serverId);
+    if (server.status !== 'connected') {
+        await ctx.reply(`❌ Server \`${serverId}\` is ${server.status}`, { ephemeral: true });
+        return;
+    }
+
+    const tools = bot.mcpBridge.getTools(serverId);
+    const tool = toolName ? tools.find(entry => entry.name === toolName) : pickSessionTool(tools);
+    const binding = tool && resolveSessionTool(tool);
+    if (!binding) {
+        await ctx.reply(toolName
+            ? `❌ \`${toolName}\` on \`${serverId}\` can't hold a conversation: it needs a text argument and nothing else`
+            : `❌ \`${serverId}\` has no tool that takes a text message`, { ephemeral: true });
+        return;
+    }
+    if (bot.mcpBridge.requiresConfirmation(serverId, tool.name)) {
+        await ctx.reply(`❌ \`${tool.name}\` needs confirmation for every call, so it can't be used in a session`, { ephemeral: true });
+        return;
+    }
+
+    const thread = await channel.threads.create({
+        name: bot.truncate(`${server.name} · ${ctx.user.username}`, 100),
+        autoArchiveDuration: 1440,
+        reason: `MCP session started by ${ctx.user.tag}`
+    });
+    const session = await bot.sessions.start({
+        threadId: thread.id,
+        guildId: ctx.guildId,
+        channelId: ctx.channelId,
+        serverId,
+        tool: tool.name,
+        ...binding,
+        userId: ctx.user.id,
+        userTag: ctx.user.tag
+    });
+
+    bot.logActivity('conversation', `Session started: ${tool.name} on ${serverId}`, {
+        sessionId: session.id,
+        guildId: ctx.guildId,
+        threadId: thread.id,
+        userId: ctx.user.id,
+        userTag: ctx.user.tag
+    });
+    await thread.send(`💬 Messages in this thread go to \`${tool.name}\` on \`${serverId}\`. ` +
+        `The session ends after ${formatRetryAfter(bot.sessions.idleTimeout)} without messages, or with \`${ctx.textPrefix}ex end\`.`);
+    await ctx.reply(`🧵 Session started in <#${thread.id}>`);
+}
+
+async function endSession(ctx) {
+    const { bot } = ctx;
+    const session = bot.sessions.get(ctx.channelId);
+    if (!session) {
+        await ctx.reply('❌ There is no session in this thread', { ephemeral: true });
+        return;
+    }
+    if (session.userId !== ctx.user.id && !ctx.memberPermissions?.has(PermissionFlagsBits.ManageThreads)) {
+        await ctx.reply('❌ Only the member who started this session, or moderators, can end it', { ephemeral: true });
+        return;
+    }
+
+    await ctx.reply(`👋 Session ended after ${session.messageCount} message(s). The transcript is saved.`);
+    await bot.sessions.end(ctx.channelId, 'ended', ctx.user.tag);
+}
+
+module.exports = {
+    name: 'ex',
+    description: 'Discord EX features',
+    guildOnly: true,
+    defaultSubcommand: 'features',
+    cooldowns: { user: 5000 },
+    subcommands: [
+        { name: 'features', description: 'Show the Discord EX features' },
+        {
+            name: 'session',
+            description: 'Open a thread where every message goes to an MCP tool',
+            options: [
+                { name: 'server', description: "MCP server id, defaults to the guild's default server", autocomplete: true },
+                { name: 'tool', description: 'Tool to talk to, defaults to the server\'s chat tool', autocomplete: true }
+            ]
+        },
+        { name: 'end', description: 'End the session in this thread' }
+    ],
+
+    async execute(ctx, args) {
+        switch (args.subcommand) {
+            case 'session':
+                await startSession(ctx, args.server || (ctx.settings && ctx.settings.defaultServer), args.tool);
+                break;
+            case 'end':
+                await endSession(ctx);
+                break;
+            default:
+                await showFeatures(ctx);
+        }
+    },
+
+    autocomplete(ctx, focused, args) {
+        const { bot } = ctx;
+        if (!bot.mcpBridge) return [];
+
+        if (focused.name === 'server') {
+            return suggestServers(bot, focused.value);
+        }
+        return suggestTools(bot, args.server || (ctx.settings && ctx.settings.defaultServer), focused.value);
+    }
+};
@@ -0,0 +1,63 @@
+const { EmbedBuilder } = require('discord.js');
+const { findCommand, formatUsage } = require('../command-registry');
+
+function describeCommand(command, prefix) {
+    if (!command.subcommands) {
+        return [{ name: formatUsage(command, null, prefix), value: command.description }];
+    }
+    return command.subcommands.map(subcommand => ({
+        name: formatUsage(command, subcommand, prefix),
+        value: subcommand.description
+    }));
+}
+
+module.exports = {
+    name: 'help',
+    aliases: ['commands'],
+    description: 'Show available commands',
+    cooldowns: { user: 3000 },
+    options: [
+        { name: 'command', description: 'Show the details of one command' }
+    ],
+
+    async execute(ctx, { command: name }) {
+        const { bot } = ctx;
+        const { prefix, textPrefix } = ctx;
+        const embed = new EmbedBuilder()
+            .setColor(0x00AE86)
+            .setTimestamp()
+            .setFooter({ text: bot.prefixCommands ? ctx.t('help.footerPrefix', { prefix: textPrefix }) : ctx.t('help.footer') });
+
+        if (name) {
+            const command = findCommand(bot.commands, name.startsWith(textPrefix) ? name.slice(textPrefix.length) : name.replace(/^\//, ''));
+            if (!command) {
+                await ctx.reply(ctx.t('help.unknown', { command: name }), { ephemeral: true });
+                return;
+            }
+
+            const aliases = (command.aliases || []).map(alias => `\`${textPrefix}${alias}\``).join(', ');
+            const notes = [
+                aliases ? ctx.t('help.aliases', { aliases }) : null,
+                command.guildOnly ? ctx.t('help.guildOnly') : null,
+                command.dmOnly ? ctx.t('help.dmOnly') : null
+            ].filter(Boolean);
+            embed
+                .setTitle(`${prefix}${command.name}`)
+                .setDescription([command.description, ...notes].join('\n'))
+                .addFields(describeCommand(command, prefix));
+        } else {
+            // Commands a guild has turned off are left out of its list
+            const disabled = ctx.guildId ? ctx.settings.disabledCommands : [];
+            embed
+                .setTitle(ctx.t('help.title'))
+                .setDescription(ctx.t('help.description'))
+                .addFields(Array.from(bot.commands.values())
+                    .filter(command => !disabled.includes(command.name))
+                    .flatMap(command => describeCommand(command, prefix))
+                    .slice(0, 25)
+                    .map(field => ({ ...field, inline: true })));
+        }
+
+        await ctx.reply({ embeds: [embed] }, { ephemeral: true });
+    }
+};
@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const { EmbedBuilder } = require('discord.js');
+const { parseKeyValues, parseToolArguments } = require('../arguments');
+const { findSubcommand, formatUsage } = require('../command-registry');
+const { suggestServers, suggestTools, suggestArguments } = require('../autocomplete');
+const { MCPCancelledError, CommandUsageError } = require('../../core/errors');
+
+// Discord rate-limits message edits, so progress updates are throttled
+const PROGRESS_EDIT_INTERVAL = 1500;
+const HEALTH_ICONS = { healthy: '🟢', degraded: '🟠', unreachable: '🔴', unknown: '⚪' };
+
+function formatHealth(connection) {
+    const { health } = connection;
+    if (connection.status !== 'connected') {
+        const reconnect = connection.reconnect.state !== 'idle' ? `, ${connection.reconnect.state}` : '';
+        return `${connection.status}${reconnect}`;
+    }
+
+    const lines = [health.state];
+    if (health.latencyMs !== null) {
+        lines.push(`${health.latencyMs} ms (avg ${health.averageLatencyMs} ms)`);
+    }
+    if (health.lastError) {
+        lines.push(`${health.consecutiveFailures} failed ping(s): ${health.lastError}`);
+    }
+    return lines.join('\n');
+}
+
+function usageError(ctx, subcommand, message) {
+    return new CommandUsageError(formatUsage(module.exports, findSubcommand(module.exports, subcommand), ctx.prefix), message);
+}
+
+// With a default server set for the guild, the server id can be left out: `!mcp call <tool> [args]`
+function resolveCallTarget(ctx, { server, tool, arguments: rest = [] }) {
+    const defaultServer = ctx.settings && ctx.settings.defaultServer;
+    const known = server && ctx.bot.mcpBridge.getServers().some(entry => entry.id === server);
+
+    if (server && tool && (known || !defaultServer)) {
+        return { serverId: server, toolName: tool, rest };
+    }
+    if (!defaultServer) {
+        throw usageError(ctx, 'call', `Missing argument: ${server ? 'tool' : 'server'}`);
+    }
+    if (server && !known) {
+        return { serverId: defaultServer, toolName: server, rest: [tool, ...rest].filter(token => token !== null) };
+    }
+    if (!tool) {
+        throw usageError(ctx, 'call', 'Missing argument: tool');
+    }
+    return { serverId: defaultServer, toolName: tool, rest };
+}
+
+async function showStatus(ctx) {
+    const { bot } = ctx;
+    const connections = bot.mcpBridge.getConnections();
+    const connected = connections.filter(conn => conn.status === 'connected');
+    const healthy = connected.filter(conn => conn.health.state === 'healthy');
+    const embed = new EmbedBuilder()
+        .setColor(healthy.length === connections.length ? 0x00FF00 : connected.length > 0 ? 0xFFA500 : 0xFF0000)
+        .setTitle('🔗 MCP Bridge Status')
+        .setDescription(`${connected.length}/${connections.length} servers connected, ${healthy.length} healthy`)
+        .addFields(connections.slice(0, 25).map(conn => ({
+            name: bot.truncate(`${HEALTH_ICONS[conn.status === 'connected' ? conn.health.state : 'unreachable']} ${conn.name}`, 256),
+            value: bot.truncate(formatHealth(conn), 1024),
+            inline: true
+        })))
+        .setTimestamp();
+
+    await ctx.reply({ embeds: [embed] });
+}
+
+async function listServers(ctx) {
+    const { bot } = ctx;
+    const connections = new Map(bot.mcpBridge.getConnections().map(conn => [conn.id, conn]));
+    const servers = bot.mcpBridge.getServers();
+    const embed = new EmbedBuilder()
+        .setColor(0xFF6B35)
+        .setTitle('🔗 MCP Servers')
+        .setTimestamp();
+
+    if (servers.length === 0) {
+        embed.setDescription('No MCP servers configured');
+    }
+
+    servers.slice(0, 25).forEach(server => {
+        const conn = connections.get(server.id);
+        const connected = conn && conn.status === 'connected';
+        const state = connected ? conn.health.state : 'unreachable';
+        const details = connected
+            ? `${conn.toolCount} tool(s), ${conn.promptCount} prompt(s)`
+            : server.status;
+        embed.addFields({
+            name: bot.truncate(`${server.status === 'disabled' ? '⚫' : HEALTH_ICONS[state]} ${server.name}`, 256),
+            value: bot.truncate(`\`${server.id}\` · ${conn ? conn.transport : server.transport || 'websocket'}\n${details}`, 1024),
+            inline: true
+        });
+    });
+    if (servers.length > 25) {
+        embed.setFooter({ text: `Showing 25 of ${servers.length} servers` });
+    }
+
+    await ctx.reply({ embeds: [embed] });
+}
+
+async function listTools(ctx, serverId) {
+    const { bot } = ctx;
+    if (!serverId) {
+        throw usageError(ctx, 'tools', 'Missing argument: server');
+    }
+    const server = bot.mcpBridge.getServer(serverId);
+    if (server.status !== 'connected') {
+        await ctx.reply(`❌ Server \`${serverId}\` is ${server.status}`, { ephemeral: true });
+        return;
+    }
+
+    const tools = bot.mcpBridge.getTools(serverId);
+    const embed = new EmbedBuilder()
+        .setColor(0x00AE86)
+        .setTitle(`🧰 Tools on ${server.name}`)
+        .setDescription(tools.length > 0 ? `Run one with \`${ctx.prefix}mcp call ${serverId} <tool> [json | key=value ...]\`` : 'This server offers no tools')
+        .setTimestamp();
+
+    tools.slice(0, 25).forEach(tool => {
+        const schema = tool.inputSchema || {};
+        const required = schema.required || [];
+        const params = Object.keys(schema.properties || {})
+            .map(name => required.includes(name) ? `${name}*` : name)
+            .join(', ');
+        const hints = [
+            tool.annotations?.readOnlyHint ? '📖' : null,
+            tool.annotations?.destructiveHint ? '⚠️' : null
+        ].filter(Boolean).join(' ');
+        embed.addFields({
+            name: bot.truncate(`${tool.name} ${hints}`.trim(), 256),
+            value: bot.truncate(`${tool.description || 'No description'}${params ? `\nArgs: ${params}` : ''}`, 1024)
+        });
+    });
+    if (tools.length > 25) {
+        embed.setFooter({ text: `Showing 25 of ${tools.length} tools` });
+    }
+
+    await ctx.reply({ embeds: [embed] });
+}
+
+async function callTool(ctx, serverId, toolName, rest) {
+    const { bot } = ctx;
+    const tool = bot.mcpBridge.getTool(serverId, toolName);
+    // A stray word would otherwise be dropped and the tool called without it
+    const stray = rest.length === 1 && rest[0].startsWith('{') ? [] : parseKeyValues(rest).positional;
+    if (stray.length > 0) {
+        throw usageError(ctx, 'call', `Arguments must be one JSON object or key=value pairs, got: ${stray.join(' ')}`);
+    }
+    const toolArgs = parseToolArguments(rest, tool && tool.inputSchema);
+    const callId = crypto.randomUUID();
+    const context = { source: 'discord', userId: ctx.user.id, guildId: ctx.guildId, channelId: ctx.channelId };
+    const logData = { serverId, method: 'tools/call', tool: toolName, arguments: toolArgs, callId, userTag: ctx.user.tag, ...context };
+
+    let confirmationId;
+    if (bot.mcpBridge.requiresConfirmation(serverId, toolName)) {
+        const confirmation = bot.mcpBridge.requestConfirmation(serverId, { name: toolName, arguments: toolArgs }, context);
+        const answered = bot.waitForConfirmation(ctx, confirmation);
+        await ctx.reply({
+            embeds: [bot.buildConfirmationEmbed(confirmation, tool, ctx.settings && ctx.settings.approverRoleId)],
+            components: [bot.confirmButtonRow(confirmation.id)],
+            allowedMentions: { parse: [] }
+        });
+
+        const answer = await answered;
+        if (!answer.approved) {
+            const status = answer.expired ? 'expired' : 'declined';
+            bot.logActivity('mcp-call', `MCP call: ${toolName}`, { ...logData, status, declinedBy: answer.user && answer.user.tag });
+            bot.postToLogChannel(ctx.guildId, 'log.toolCall', { user: ctx.user.tag, tool: toolName, server: serverId, status });
+            await ctx.edit({
+                content: answer.expired ? `⌛ \`${toolName}\` was not approved in time` : `🛑 \`${toolName}\` was cancelled by ${answer.user.tag}`,
+                embeds: [],
+                components: []
+            });
+            return;
+        }
+        confirmationId = confirmation.id;
+        logData.approvedBy = answer.user.tag;
+    }
+
+    const started = {
+        content: `⏳ Calling \`${toolName}\` on \`${serverId}\`...${logData.approvedBy ? ` (approved by ${logData.approvedBy})` : ''}`,
+        embeds: [],
+        components: [bot.cancelButtonRow(callId)]
+    };
+    await (confirmationId ? ctx.edit(started) : ctx.reply(started));
+
+    // Edits are chained so a late progress update never overwrites the result
+    let edits = Promise.resolve();
+    const edit = (payload) => {
+        edits = edits.then(() => ctx.edit(payload)).catch(error => {
+            console.warn('⚠️ Could not update tool call message:', error.message);
+        });
+        return edits;
+    };
+
+    let lastEdit = 0;
+    const onProgress = ({ progress, total, message: status }) => {
+        if (Date.now() - lastEdit < PROGRESS_EDIT_INTERVAL) return;
+        lastEdit = Date.now();
+        edit({ content: `⏳ \`${toolName}\` on \`${serverId}\`\n${bot.formatProgress(progress, total, status)}` });
+    };
+
+    try {
+        const result = await bot.mcpBridge.sendMessage(serverId, {
+            method: 'tools/call',
+            params: { name: toolName, arguments: toolArgs }
+        }, { callId, onProgress, context, confirmationId });
+
+        bot.logActivity('mcp-call', `MCP call: ${toolName}`, { ...logData, status: 'completed', isError: Boolean(result.isError) });
+        bot.postToLogChannel(ctx.guildId, 'log.toolCall', { user: ctx.user.tag, tool: toolName, server: serverId, status: result.isError ? 'error' : 'completed' });
+        await edit({ content: '', ...bot.buildToolResult(serverId, toolName, result), components: [] });
+    } catch (error) {
+        const cancelled = error instanceof MCPCancelledError;
+        const status = cancelled ? 'cancelled' : 'failed';
+        bot.logActivity('mcp-call', `MCP call: ${toolName}`, { ...logData, status, error: error.message });
+        bot.postToLogChannel(ctx.guildId, 'log.toolCall', { user: ctx.user.tag, tool: toolName, server: serverId, status });
+        const content = cancelled
+            ? `🛑 \`${toolName}\` was cancelled`
+            : bot.formatError(error);
+        await edit({ content, components: [] });
+    }
+}
+
+module.exports = {
+    name: 'mcp',
+    description: 'MCP Bridge operations',
+    defaultSubcommand: 'status',
+    subcommands: [
+        { name: 'status', description: 'Health and latency of every MCP server', cooldowns: { user: 5000 } },
+        { name: 'list', description: 'List MCP servers', cooldowns: { user: 5000 } },
+        {
+            name: 'tools',
+            description: "List a server's tools",
+            cooldowns: { user: 5000 },
+            options: [
+                { name: 'server', description: "MCP server id, defaults to the guild's default server", autocomplete: true }
+            ]
+        },
+        {
+            name: 'call',
+            description: 'Run an MCP tool',
+            usage: '[server] <tool> [json | key=value ...]',
+            // Permission rules belong to a guild, so tool calls are not offered in direct messages
+            guildOnly: true,
+            // Tool calls reach external servers, so they are limited per user and for the whole guild
+            cooldowns: {
+                user: { limit: 5, window: 60000 },
+                guild: { limit: 30, window: 60000 }
+            },
+            options: [
+                { name: 'server', description: "MCP server id, defaults to the guild's default server", autocomplete: true },
+                { name: 'tool', description: 'Tool name', autocomplete: true },
+                { name: 'arguments', description: 'A JSON object, or key=value pairs with quoted values', rest: true, autocomplete: true }
+            ]
+        }
+    ],
+
+    async execute(ctx, args) {
+        ctx.bot.requireBridge();
+
+        switch (args.subcommand) {
+            case 'list':
+                await listServers(ctx);
+                break;
+            case 'tools':
+                await listTools(ctx, args.server || (ctx.settings && ctx.settings.defaultServer));
+                break;
+            case 'call': {
+                const { serverId, toolName, rest } = resolveCallTarget(ctx, args);
+                await callTool(ctx, serverId, toolName, rest);
+                break;
+            }
+            default:
+                await showStatus(ctx);
+        }
+    },
+
+    autocomplete(ctx, focused, args) {
+        const { bot } = ctx;
+        if (!bot.mcpBridge) return [];
+
+        const known = args.server && bot.mcpBridge.getServers().some(entry => entry.id === args.server);
+        const serverId = known ? args.server : ctx.settings && ctx.settings.defaultServer;
+
+        switch (focused.name) {
+            case 'server':
+                return suggestServers(bot, focused.value);
+            case 'tool':
+                return suggestTools(bot, serverId, focused.value);
+            case 'arguments':
+                return suggestArguments(bot, serverId, args.tool, focused.value);
+            default:
+                return [];
+        }
+    }
+};
@@ -0,0 +1,192 @@
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { findCommand } = require('../command-registry');
+const { EMPTY_RULE, RULE_LISTS } = require('../command-permissions');
+const { ValidationError } = require('../../core/errors');
+
+const LIST_LABELS = {
+    allowedRoles: 'permissions.roles',
+    allowedChannels: 'permissions.channels',
+    allowedUsers: 'permissions.users',
+    deniedUsers: 'permissions.deniedUsers'
+};
+const MENTION_FORMATS = {
+    allowedRoles: id => `<@&${id}>`,
+    allowedChannels: id => `<#${id}>`,
+    allowedUsers: id => `<@${id}>`,
+    deniedUsers: id => `<@${id}>`
+};
+
+// "perms.list" and "MCP.call" name the same rules as "permissions.list" and "mcp.call"
+function resolveKey(ctx, key) {
+    const [name, subcommand] = key.toLowerCase().split('.');
+    const command = findCommand(ctx.bot.commands, name);
+    return [command ? command.name : name, subcommand].filter(Boolean).join('.');
+}
+
+// Mentions say what they point at; a bare id is looked up among the guild's roles and channels, otherwise it's a user
+function parseTarget(ctx, token) {
+    const { guild } = ctx.source;
+    const mention = token.match(/^<(@&|#|@!?)(\d+)>$/);
+    const id = mention ? mention[2] : token;
+    if (!/^\d{17,20}$/.test(id)) {
+        throw new ValidationError('Invalid permission target', [{ field: token, message: 'must be a role, channel or user mention' }]);
+    }
+
+    if (mention) {
+        return { id, type: mention[1] === '@&' ? 'role' : mention[1] === '#' ? 'channel' : 'user' };
+    }
+    if (guild && guild.roles.cache.has(id)) return { id, type: 'role' };
+    if (guild && guild.channels.cache.has(id)) return { id, type: 'channel' };
+    return { id, type: 'user' };
+}
+
+function describeRule(ctx, rule) {
+    const lines = RULE_LISTS
+        .filter(field => rule[field].length > 0)
+        .map(field => `${ctx.t(LIST_LABELS[field])}: ${rule[field].map(MENTION_FORMATS[field]).join(', ')}`);
+    if (rule.ownerOnly) {
+        lines.unshift(`👑 ${ctx.t('permissions.ownerOnly')}`);
+    }
+    return lines.join('\n') || ctx.t('settings.none');
+}
+
+async function listRules(ctx) {
+    const rules = await ctx.bot.commandPermissions.list(ctx.guildId);
+    const embed = new EmbedBuilder()
+        .setColor(0xE67E22)
+        .setTitle(ctx.t('permissions.title'))
+        .setTimestamp();
+
+    if (rules.length === 0) {
+        embed.setDescription(ctx.t('permissions.empty'));
+    }
+    embed.addFields(rules.slice(0, 25).map(rule => ({
+        name: `${ctx.prefix}${rule.command.replace('.', ' ')}`,
+        value: ctx.bot.truncate(describeRule(ctx, rule), 1024)
+    })));
+
+    await ctx.reply({ embeds: [embed], allowedMentions: { parse: [] } }, { ephemeral: true });
+}
+
+async function updateRule(ctx, key, changes) {
+    const { bot } = ctx;
+    await bot.commandPermissions.update(ctx.guildId, key, changes);
+    bot.logActivity('command-permissions', `Command permissions updated: ${key}`, {
+        guildId: ctx.guildId,
+        command: key,
+        changes,
+        userId: ctx.user.id,
+        userTag: ctx.user.tag
+    });
+    await ctx.reply(ctx.t('permissions.updated', { command: key }));
+}
+
+module.exports = {
+    name: 'permissions',
+    aliases: ['perms'],
+    description: 'Control who can use each command in this server',
+    guildOnly: true,
+    memberPermissions: PermissionFlagsBits.ManageGuild,
+    defaultSubcommand: 'list',
+    subcommands: [
+        { name: 'list', description: 'Show the permission rules' },
+        {
+            name: 'allow',
+            description: 'Only let these roles, channels or users use a command',
+            options: [
+                { name: 'command', description: 'Command, or command.subcommand like mcp.call', required: true },
+                { name: 'targets', description: 'Role, channel or user mentions', required: true, rest: true }
+            ]
+        },
+        {
+            name: 'deny',
+            description: 'Block users from a command',
+            options: [
+                { name: 'command', description: 'Command, or command.subcommand like mcp.call', required: true },
+                { name: 'users', description: 'User mentions', required: true, rest: true }
+            ]
+        },
+        {
+            name: 'remove',
+            description: 'Take roles, channels or users off a rule',
+            options: [
+                { name: 'command', description: 'Command, or command.subcommand like mcp.call', required: true },
+                { name: 'targets', description: 'Role, channel or user mentions', required: true, rest: true }
+            ]
+        },
+        {
+            name: 'owner-only',
+            description: 'Restrict a command to the server owner',
+            options: [
+                { name: 'command', description: 'Command, or command.subcommand like mcp.call', required: true },
+                { name: 'enabled', description: 'on or off', required: true }
+            ]
+        },
+        {
+            name: 'clear',
+            description: 'Remove every rule for a command',
+            options: [
+                { name: 'command', description: 'Command, or command.subcommand like mcp.call', required: true }
+            ]
+        }
+    ],
+
+    async execute(ctx, args) {
+        const { bot } = ctx;
+        if (args.subcommand === 'list') {
+            await listRules(ctx);
+            return;
+        }
+
+        const key = resolveKey(ctx, args.command);
+        const rule = await bot.commandPermissions.get(ctx.guildId, key) || EMPTY_RULE;
+
+        switch (args.subcommand) {
+            case 'allow': {
+                const targets = args.targets.map(token => parseTarget(ctx, token));
+                const add = (field, type) => [...rule[field], ...targets.filter(target => target.type === type).map(target => target.id)];
+                await updateRule(ctx, key, {
+                    allowedRoles: add('allowedRoles', 'role'),
+                    allowedChannels: add('allowedChannels', 'channel'),
+                    allowedUsers: add('allowedUsers', 'user')
+                });
+                break;
+            }
+            case 'deny': {
+                const users = args.users.map(token => parseTarget(ctx, token));
+                const invalid = users.filter(target => target.type !== 'user');
+                if (invalid.length > 0) {
+                    throw new ValidationError('Only users can be denied', invalid.map(target => ({ field: target.id, message: `is a ${target.type}` })));
+                }
+                await updateRule(ctx, key, { deniedUsers: [...rule.deniedUsers, ...users.map(target => target.id)] });
+                break;
+            }
+            case 'remove': {
+                const ids = args.targets.map(token => parseTarget(ctx, token).id);
+                await updateRule(ctx, key, Object.fromEntries(RULE_LISTS.map(field => [
+                    field,
+                    rule[field].filter(id => !ids.includes(id))
+                ])));
+                break;
+            }
+            case 'owner-only': {
+                const enabled = ['on', 'true', 'yes'].includes(args.enabled.toLowerCase());
+                if (!enabled && !['off', 'false', 'no'].includes(args.enabled.toLowerCase())) {
+                    throw new ValidationError('Invalid value', [{ field: 'enabled', message: 'must be on or off' }]);
+                }
+                await updateRule(ctx, key, { ownerOnly: enabled });
+                break;
+            }
+            case 'clear':
+                await bot.commandPermissions.remove(ctx.guildId, key);
+                bot.logActivity('command-permissions', `Command permissions removed: ${key}`, {
+                    guildId: ctx.guildId,
+                    command: key,
+                    userId: ctx.user.id,
+                    userTag: ctx.user.tag
+                });
+                await ctx.reply(ctx.t('permissions.cleared', { command: key }));
+                break;
+        }
+    }
+};
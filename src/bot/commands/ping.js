@@ -0,0 +1,13 @@
+module.exports = {
+    name: 'ping',
+    description: 'Check bot latency',
+    cooldowns: { user: 5000 },
+
+    async execute(ctx) {
+        const { bot } = ctx;
+        const ping = bot.demoMode ? Math.floor(Math.random() * 100) + 20 :
+                     Date.now() - ctx.createdTimestamp;
+        const gateway = bot.client && bot.client.ws.ping >= 0 ? `, gateway: ${bot.client.ws.ping}ms` : '';
+        await ctx.reply(`🏓 Pong! Latency: ${ping}ms${gateway}`);
+    }
+};
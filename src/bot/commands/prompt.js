@@ -0,0 +1,73 @@
+const { EmbedBuilder } = require('discord.js');
+const { parseKeyValues } = require('../arguments');
+
+async function replyWithPromptList(ctx, serverId) {
+    const { bot } = ctx;
+    const prompts = bot.mcpBridge.getPrompts(serverId);
+    if (prompts.length === 0) {
+        await ctx.reply(`No prompts available on \`${serverId}\``, { ephemeral: true });
+        return;
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(0x00AE86)
+        .setTitle(`💬 Prompts on ${serverId}`)
+        .setTimestamp();
+
+    prompts.slice(0, 25).forEach(prompt => {
+        const args = (prompt.arguments || [])
+            .map(arg => arg.required ? `${arg.name}=…` : `[${arg.name}=…]`)
+            .join(' ');
+        embed.addFields({
+            name: bot.truncate(`${prompt.name} ${args}`.trim(), 256),
+            value: bot.truncate(prompt.description || 'No description', 1024)
+        });
+    });
+
+    await ctx.reply({ embeds: [embed] });
+}
+
+module.exports = {
+    name: 'prompt',
+    aliases: ['prompts'],
+    description: 'List or render MCP prompts',
+    usage: '<server> [name] [key=value ...]',
+    guildOnly: true,
+    cooldowns: { user: { limit: 5, window: 60000 } },
+    options: [
+        { name: 'server', description: 'MCP server id', required: true },
+        { name: 'name', description: 'Prompt name, leave empty to list prompts' },
+        { name: 'arguments', description: 'key=value pairs, quote values with spaces', rest: true }
+    ],
+
+    async execute(ctx, { server: serverId, name, arguments: rest }) {
+        const { bot } = ctx;
+        bot.requireBridge();
+
+        if (!name) {
+            await replyWithPromptList(ctx, serverId);
+            return;
+        }
+
+        // Rendering runs on the MCP server and may take longer than Discord waits for an answer
+        await ctx.defer();
+        const { args: promptArgs } = parseKeyValues(rest);
+        const result = await bot.mcpBridge.getPrompt(serverId, name, promptArgs);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00AE86)
+            .setTitle(`💬 ${name}`)
+            .setDescription(bot.truncate(result.description || `Prompt from ${serverId}`, 4096))
+            .setTimestamp()
+            .setFooter({ text: `MCP server: ${serverId}` });
+
+        (result.messages || []).slice(0, 25).forEach((promptMessage, index) => {
+            embed.addFields({
+                name: `${index + 1}. ${promptMessage.role}`,
+                value: bot.truncate(bot.describeContent(promptMessage.content), 1024)
+            });
+        });
+
+        await ctx.reply({ embeds: [embed] });
+    }
+};
@@ -0,0 +1,139 @@
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { findCommand } = require('../command-registry');
+const { LANGUAGES, LANGUAGE_NAMES } = require('../i18n');
+
+// Subcommands that set a single value, and the setting each one writes
+const VALUE_SETTINGS = {
+    prefix: { field: 'prefix', option: 'prefix', label: 'settings.prefix' },
+    language: { field: 'language', option: 'language', label: 'settings.language' },
+    server: { field: 'defaultServer', option: 'server', label: 'settings.defaultServer', clearable: true },
+    'log-channel': { field: 'logChannelId', option: 'channel', label: 'settings.logChannel', clearable: true },
+    'approver-role': { field: 'approverRoleId', option: 'role', label: 'settings.approverRole', clearable: true }
+};
+
+async function showSettings(ctx) {
+    const { settings } = ctx;
+    const none = ctx.t('settings.none');
+    const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle(ctx.t('settings.title', { guild: ctx.source.guild ? ctx.source.guild.name : ctx.guildId }))
+        .addFields(
+            { name: ctx.t('settings.prefix'), value: `\`${settings.prefix}\``, inline: true },
+            { name: ctx.t('settings.language'), value: `${LANGUAGE_NAMES[settings.language]} (${settings.language})`, inline: true },
+            { name: ctx.t('settings.defaultServer'), value: settings.defaultServer ? `\`${settings.defaultServer}\`` : none, inline: true },
+            { name: ctx.t('settings.logChannel'), value: settings.logChannelId ? `<#${settings.logChannelId}>` : none, inline: true },
+            { name: ctx.t('settings.approverRole'), value: settings.approverRoleId ? `<@&${settings.approverRoleId}>` : none, inline: true },
+            {
+                name: ctx.t('settings.disabledCommands'),
+                value: settings.disabledCommands.length > 0 ? settings.disabledCommands.map(name => `\`${name}\``).join(', ') : none,
+                inline: true
+            }
+        )
+        .setTimestamp();
+
+    await ctx.reply({ embeds: [embed], allowedMentions: { parse: [] } }, { ephemeral: true });
+}
+
+async function updateSettings(ctx, changes) {
+    const { bot } = ctx;
+    ctx.settings = await bot.guildSettings.update(ctx.guildId, changes, ctx.user.tag);
+    bot.logActivity('guild-settings', `Guild settings updated: ${Object.keys(changes).join(', ')}`, {
+        guildId: ctx.guildId,
+        userId: ctx.user.id,
+        userTag: ctx.user.tag,
+        changes
+    });
+}
+
+module.exports = {
+    name: 'settings',
+    description: 'Show or change the bot settings for this server',
+    guildOnly: true,
+    memberPermissions: PermissionFlagsBits.ManageGuild,
+    defaultSubcommand: 'show',
+    subcommands: [
+        { name: 'show', description: 'Show the current settings' },
+        {
+            name: 'prefix',
+            description: 'Set the prefix for text commands',
+            options: [
+                { name: 'prefix', description: '1-5 characters without spaces', required: true }
+            ]
+        },
+        {
+            name: 'language',
+            description: 'Set the language the bot replies in',
+            options: [
+                { name: 'language', description: `One of ${LANGUAGES.join(', ')}`, required: true }
+            ]
+        },
+        {
+            name: 'server',
+            description: 'Set the MCP server used when a command leaves it out',
+            options: [
+                { name: 'server', description: 'MCP server id, or "none"', required: true }
+            ]
+        },
+        {
+            name: 'log-channel',
+            description: 'Set the channel that receives tool call and settings logs',
+            options: [
+                { name: 'channel', description: 'Channel mention or id, or "none"', required: true }
+            ]
+        },
+        {
+            name: 'approver-role',
+            description: 'Set the role that may approve tool calls needing confirmation',
+            options: [
+                { name: 'role', description: 'Role mention or id, or "none"', required: true }
+            ]
+        },
+        {
+            name: 'enable',
+            description: 'Turn a command back on',
+            options: [
+                { name: 'command', description: 'Command name', required: true }
+            ]
+        },
+        {
+            name: 'disable',
+            description: 'Turn a command off in this server',
+            options: [
+                { name: 'command', description: 'Command name', required: true }
+            ]
+        },
+        { name: 'reset', description: 'Restore the default settings' }
+    ],
+
+    async execute(ctx, args) {
+        const { bot } = ctx;
+
+        switch (args.subcommand) {
+            case 'reset':
+                ctx.settings = await bot.guildSettings.reset(ctx.guildId, ctx.user.tag);
+                bot.logActivity('guild-settings', 'Guild settings reset', { guildId: ctx.guildId, userId: ctx.user.id, userTag: ctx.user.tag });
+                await ctx.reply(ctx.t('settings.reset'));
+                break;
+            case 'enable':
+            case 'disable': {
+                const command = findCommand(bot.commands, args.command);
+                const name = command ? command.name : args.command.toLowerCase();
+                const disabled = ctx.settings.disabledCommands.filter(entry => entry !== name);
+                await updateSettings(ctx, {
+                    disabledCommands: args.subcommand === 'disable' ? [...disabled, name] : disabled
+                });
+                await ctx.reply(ctx.t(args.subcommand === 'disable' ? 'settings.commandDisabled' : 'settings.commandEnabled', { command: name }));
+                break;
+            }
+            case 'show':
+                await showSettings(ctx);
+                break;
+            default: {
+                const { field, option, label, clearable } = VALUE_SETTINGS[args.subcommand];
+                const value = clearable && args[option].toLowerCase() === 'none' ? null : args[option];
+                await updateSettings(ctx, { [field]: value });
+                await ctx.reply(ctx.t('settings.updated', { setting: ctx.t(label) }));
+            }
+        }
+    }
+};
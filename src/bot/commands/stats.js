@@ -0,0 +1,25 @@
+const { EmbedBuilder } = require('discord.js');
+
+module.exports = {
+    name: 'stats',
+    description: 'Display bot statistics',
+    cooldowns: { user: 5000 },
+
+    async execute(ctx) {
+        const { stats, demoMode } = ctx.bot;
+        const uptime = Math.floor((Date.now() - stats.startTime) / 1000);
+        const embed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('📊 Bot Statistics')
+            .addFields(
+                { name: '🔢 Messages Processed', value: stats.messagesProcessed.toString(), inline: true },
+                { name: '⚡ Commands Executed', value: stats.commandsExecuted.toString(), inline: true },
+                { name: '🌐 Servers Connected', value: stats.serversConnected.toString(), inline: true },
+                { name: '⏱️ Uptime', value: `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m ${uptime % 60}s`, inline: true },
+                { name: '🎭 Mode', value: demoMode ? 'DEMO' : 'PRODUCTION', inline: true }
+            )
+            .setTimestamp();
+
+        await ctx.reply({ embeds: [embed] });
+    }
+};
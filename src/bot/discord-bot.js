@@ -1,28 +1,86 @@
-const { Client, Events, GatewayIntentBits, Collection, EmbedBuilder } = require('discord.js');
+const crypto = require('crypto');
+const {
+    Client, Events, GatewayIntentBits, EmbedBuilder,
+    ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags, ChannelType,
+    ModalBuilder, TextInputBuilder, TextInputStyle, AttachmentBuilder, PermissionsBitField
+} = require('discord.js');
+const { tokenize, coerceArguments } = require('./arguments');
+const { loadCommands, findCommand, findSubcommand, parsePrefixArgs, parseSlashArgs, buildSlashCommand } = require('./command-registry');
+const CommandContext = require('./command-context');
+const { GuildSettingsStore } = require('./guild-settings');
+const { CommandPermissionStore } = require('./command-permissions');
+const { RateLimiter, normalizeCooldowns, formatRetryAfter } = require('./rate-limiter');
+const { SuggestionCache } = require('./autocomplete');
+const { SessionManager } = require('./sessions');
+const { translate } = require('./i18n');
+const { validateToolArguments } = require('../core/schema-validator');
+const { NotFoundError, ValidationError, CommandUsageError } = require('../core/errors');
+
+// A Discord modal holds at most five text inputs
+const MAX_MODAL_FIELDS = 5;
+// Larger binary content is described instead of attached
+const MAX_ATTACHMENT_BYTES = 8 * 1024 * 1024;
+// Any change to the bridge's catalog makes the cached autocomplete suggestions stale
+const CATALOG_EVENTS = ['tools-changed', 'prompts-changed', 'server-added', 'server-updated', 'server-removed', 'server-connected', 'server-disconnected'];
+// Expired rate limit buckets are dropped, and the rest saved when persistence is on, this often
+const RATE_LIMIT_SAVE_INTERVAL = 60000;
 
 class DiscordBot {
-    constructor(token, demoMode = false) {
+    constructor(token, demoMode = false, mcpBridge = null, database = null) {
         this.token = token;
         this.demoMode = demoMode;
+        this.mcpBridge = mcpBridge;
+        this.database = database;
         this.isReady = false;
         this.stats = {
             messagesProcessed: 0,
             commandsExecuted: 0,
+            commandsRateLimited: 0,
             serversConnected: 0,
             startTime: new Date()
         };
 
+        // Prefix commands need the privileged MessageContent intent; slash commands work without it
+        this.prefixCommands = process.env.DISCORD_PREFIX_COMMANDS !== 'false';
+        this.commands = loadCommands();
+        this.guildSettings = new GuildSettingsStore(database, {
+            listCommands: () => Array.from(this.commands.keys()),
+            listServers: () => mcpBridge ? mcpBridge.getServers().map(server => server.id) : null
+        });
+        this.commandPermissions = new CommandPermissionStore(database, {
+            listCommands: () => this.listCommandKeys()
+        });
+        // Bot owners pass every permission rule, in every guild
+        this.ownerIds = (process.env.DISCORD_OWNER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+        this.rateLimiter = new RateLimiter();
+        this.cooldownOverrides = {};
+        this.persistRateLimits = Boolean(database) && process.env.RATE_LIMIT_PERSIST === 'true';
+        this.sessions = new SessionManager(database);
+        this.sessions.on('ended', ({ session, reason, actor }) => this.closeSession(session, reason, actor));
+        this.suggestions = new SuggestionCache();
+        if (mcpBridge) {
+            CATALOG_EVENTS.forEach(event => mcpBridge.on(event, () => this.suggestions.clear()));
+        }
+        this.guildSettings.on('updated', ({ guildId, fields, actor }) => {
+            this.postToLogChannel(guildId, 'log.settings', { user: actor || 'web dashboard', fields: fields.join(', ') });
+        });
+
         if (!demoMode && token) {
             this.client = new Client({
                 intents: [
                     GatewayIntentBits.Guilds,
                     GatewayIntentBits.GuildMessages,
-                    GatewayIntentBits.MessageContent,
+                    ...(this.prefixCommands ? [GatewayIntentBits.MessageContent] : []),
                     GatewayIntentBits.GuildMembers
                 ]
             });
-            this.commands = new Collection();
+            this.pendingInteractions = new Map();
+            this.pendingConfirmations = new Map();
             this.setupEventHandlers();
+
+            if (mcpBridge) {
+                mcpBridge.setInteractionHandler('discord', (request) => this.askInDiscord(request));
+            }
         } else {
             console.log('🎭 Discord bot running in DEMO mode');
             this.setupDemoMode();
@@ -47,18 +105,53 @@ class DiscordBot {
             console.log(`✅ Discord bot ready! Logged in as ${readyClient.user.tag}`);
             this.isReady = true;
             this.stats.serversConnected = readyClient.guilds.cache.size;
+            this.registerSlashCommands().catch(error => {
+                console.error('❌ Failed to register slash commands:', error);
+            });
         });
 
         this.client.on(Events.MessageCreate, async (message) => {
             if (message.author.bot) return;
             
             this.stats.messagesProcessed++;
-            
-            if (message.content.startsWith('!')) {
-                await this.handleCommand(message);
+            if (!this.prefixCommands) return;
+
+            try {
+                const settings = await this.guildSettings.get(message.guildId);
+                const session = this.sessions.get(message.channelId);
+                if (message.content.startsWith(settings.prefix)) {
+                    await this.handleCommand(message, settings);
+                } else if (session) {
+                    await this.handleSessionMessage(message, session, settings);
+                }
+            } catch (error) {
+                console.error('❌ Error handling message:', error);
+            }
+        });
+
+        this.client.on(Events.InteractionCreate, async (interaction) => {
+            try {
+                if (interaction.isChatInputCommand()) {
+                    await this.handleSlashCommand(interaction);
+                } else if (interaction.isAutocomplete()) {
+                    await this.handleAutocomplete(interaction);
+                } else if (interaction.isButton()) {
+                    await this.handleButton(interaction);
+                } else if (interaction.isModalSubmit()) {
+                    await this.handleModal(interaction);
+                }
+            } catch (error) {
+                console.error('❌ Error handling interaction:', error);
             }
         });
 
+        this.client.on(Events.ThreadDelete, (thread) => {
+            if (!this.sessions.get(thread.id)) return;
+            this.sessions.end(thread.id, 'thread-deleted').catch(error => {
+                console.warn(`⚠️ Could not end the session of deleted thread ${thread.id}:`, error.message);
+            });
+        });
+
         this.client.on(Events.GuildCreate, (guild) => {
             this.stats.serversConnected++;
             console.log(`🎉 Joined new server: ${guild.name}`);
@@ -70,112 +163,784 @@ class DiscordBot {
         });
     }
 
-    async handleCommand(message) {
-        const args = message.content.slice(1).split(' ');
-        const command = args.shift().toLowerCase();
-        
+    async registerSlashCommands() {
+        const commands = this.commands.map(command => buildSlashCommand(command).toJSON());
+
+        // Guild commands update instantly, global ones can take up to an hour to appear
+        const guildId = process.env.DISCORD_GUILD_ID;
+        if (guildId) {
+            const guild = await this.client.guilds.fetch(guildId);
+            await guild.commands.set(commands);
+            console.log(`⚡ Registered ${commands.length} slash commands in ${guild.name}`);
+        } else {
+            await this.client.application.commands.set(commands);
+            console.log(`⚡ Registered ${commands.length} global slash commands`);
+        }
+    }
+
+    async handleCommand(message, settings) {
+        const tokens = tokenize(message.content.slice(settings.prefix.length));
+        const name = tokens.shift() || '';
+        const ctx = CommandContext.fromMessage(message, this, settings);
+
+        const command = findCommand(this.commands, name);
+        if (!command) {
+            await this.handleUnknown(ctx, name);
+            return;
+        }
+        await this.runCommand(ctx, command, () => parsePrefixArgs(command, tokens, settings.prefix));
+    }
+
+    async handleSlashCommand(interaction) {
+        const settings = await this.guildSettings.get(interaction.guildId);
+        const ctx = CommandContext.fromInteraction(interaction, this, settings);
+
+        const command = this.commands.get(interaction.commandName);
+        if (!command) {
+            await this.handleUnknown(ctx, interaction.commandName);
+            return;
+        }
+        await this.runCommand(ctx, command, () => parseSlashArgs(command, interaction));
+    }
+
+    // Suggestions come from the cached catalog, never from a round trip to an MCP server, so they
+    // arrive well within the 3 seconds Discord waits; a failure just shows no suggestions
+    async handleAutocomplete(interaction) {
+        const command = this.commands.get(interaction.commandName);
+        let choices = [];
+
+        if (command && command.autocomplete) {
+            try {
+                const settings = await this.guildSettings.get(interaction.guildId);
+                const ctx = CommandContext.fromInteraction(interaction, this, settings);
+                choices = await command.autocomplete(ctx, interaction.options.getFocused(true), parseSlashArgs(command, interaction));
+            } catch (error) {
+                console.warn(`⚠️ Autocomplete failed for ${interaction.commandName}:`, error.message);
+            }
+        }
+
+        await interaction.respond(choices.slice(0, 25));
+    }
+
+    async runCommand(ctx, command, parseArgs) {
         this.stats.commandsExecuted++;
 
-        switch (command) {
-            case 'ping':
-                await this.handlePing(message);
-                break;
-            case 'help':
-                await this.handleHelp(message);
-                break;
-            case 'stats':
-                await this.handleStats(message);
-                break;
-            case 'mcp':
-                await this.handleMCP(message, args);
-                break;
-            case 'ex':
-                await this.handleEX(message, args);
-                break;
-            default:
-                await this.handleUnknown(message, command);
+        if (command.guildOnly && !ctx.guildId) {
+            await ctx.reply(ctx.t('command.guildOnly'), { ephemeral: true });
+            return;
+        }
+        if (command.dmOnly && ctx.guildId) {
+            await ctx.reply(ctx.t('command.dmOnly'), { ephemeral: true });
+            return;
+        }
+        if (ctx.guildId && ctx.settings.disabledCommands.includes(command.name)) {
+            await ctx.reply(ctx.t('command.disabled', { command: command.name }), { ephemeral: true });
+            return;
+        }
+        if (command.memberPermissions && ctx.guildId && !ctx.memberPermissions?.has(command.memberPermissions)) {
+            const permission = new PermissionsBitField(command.memberPermissions).toArray().join(', ');
+            await ctx.reply(ctx.t('command.forbidden', { permission }), { ephemeral: true });
+            return;
+        }
+
+        try {
+            const args = parseArgs();
+            if (!ctx.guildId && findSubcommand(command, args.subcommand)?.guildOnly) {
+                await ctx.reply(ctx.t('command.guildOnly'), { ephemeral: true });
+                return;
+            }
+            if (ctx.guildId && !(await this.checkPermission(ctx, command, args.subcommand))) return;
+            if (!(await this.checkRateLimit(ctx, command, args.subcommand))) return;
+            await command.execute(ctx, args);
+        } catch (error) {
+            if (!(error instanceof CommandUsageError || error instanceof ValidationError || error instanceof NotFoundError)) {
+                console.error(`❌ Error in command ${command.name}:`, error);
+            }
+            const content = error instanceof CommandUsageError
+                ? `❌ ${error.message}\n${ctx.t('command.usage')}: \`${error.usage}\``
+                : this.formatError(error);
+            await ctx.reply(content, { ephemeral: true }).catch(() => {});
+        }
+    }
+
+    // Permission rules can target a whole command or one subcommand, e.g. "mcp.call"
+    listCommandKeys() {
+        return Array.from(this.commands.values()).flatMap(command => [
+            command.name,
+            ...(command.subcommands || []).map(subcommand => `${command.name}.${subcommand.name}`)
+        ]);
+    }
+
+    isOwner(ctx) {
+        return ctx.isGuildOwner || this.ownerIds.includes(ctx.user.id);
+    }
+
+    async checkPermission(ctx, command, subcommand) {
+        const keys = subcommand ? [command.name, `${command.name}.${subcommand}`] : [command.name];
+        const denial = await this.commandPermissions.check(ctx.guildId, keys, {
+            userId: ctx.user.id,
+            roleIds: ctx.roleIds,
+            channelIds: ctx.channelIds,
+            isOwner: this.isOwner(ctx)
+        });
+        if (!denial) return true;
+
+        const content = ctx.t(`permission.${denial.reason}`, {
+            command: denial.command.replace('.', ' '),
+            channels: denial.rule.allowedChannels.map(id => `<#${id}>`).join(', '),
+            roles: denial.rule.allowedRoles.map(id => `<@&${id}>`).join(', ')
+        });
+        await ctx.reply({ content, allowedMentions: { parse: [] } }, { ephemeral: true });
+        this.logActivity('permission-denied', `Permission denied: ${denial.command}`, {
+            command: denial.command,
+            reason: denial.reason,
+            userId: ctx.user.id,
+            userTag: ctx.user.tag,
+            guildId: ctx.guildId,
+            channelId: ctx.channelId
+        });
+        return false;
+    }
+
+    // Limits come from the command modules' `cooldowns`, unless the command_cooldowns config overrides them
+    getCooldowns(command, subcommand) {
+        const targets = [[command.name, command]];
+        if (subcommand) {
+            targets.push([`${command.name}.${subcommand}`, findSubcommand(command, subcommand)]);
+        }
+
+        return targets.flatMap(([key, definition]) => {
+            const cooldowns = key in this.cooldownOverrides
+                ? this.cooldownOverrides[key]
+                : definition.cooldowns ? normalizeCooldowns(definition.cooldowns, key) : {};
+            return Object.entries(cooldowns).map(([scope, limit]) => ({ command: key, scope, ...limit }));
+        });
+    }
+
+    // null for a command removes its limits; other values use the same format as the modules' `cooldowns`
+    setCooldownOverrides(overrides) {
+        if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+            throw new ValidationError('Invalid cooldowns', [{ field: 'command_cooldowns', message: 'must be an object keyed by command' }]);
+        }
+
+        const keys = this.listCommandKeys();
+        const details = [];
+        const normalized = {};
+        for (const [key, spec] of Object.entries(overrides)) {
+            if (!keys.includes(key)) {
+                details.push({ field: key, message: 'is not a command' });
+                continue;
+            }
+            try {
+                normalized[key] = spec === null ? {} : normalizeCooldowns(spec, key);
+            } catch (error) {
+                details.push(...error.details);
+            }
+        }
+
+        if (details.length > 0) {
+            throw new ValidationError('Invalid cooldowns', details);
+        }
+        this.cooldownOverrides = normalized;
+    }
+
+    async checkRateLimit(ctx, command, subcommand) {
+        if (this.ownerIds.includes(ctx.user.id)) return true;
+
+        const ids = { user: ctx.user.id, channel: ctx.channelId, guild: ctx.guildId };
+        const limits = this.getCooldowns(command, subcommand)
+            .filter(limit => ids[limit.scope])
+            .map(limit => ({ ...limit, id: ids[limit.scope] }));
+        if (limits.length === 0) return true;
+
+        const result = this.rateLimiter.consume(limits);
+        if (result.allowed) return true;
+
+        this.stats.commandsRateLimited++;
+        // Someone spamming a prefix command is warned once per cooldown; interactions always need an answer
+        if (ctx.isInteraction || result.firstWarning) {
+            await ctx.reply(ctx.t(`cooldown.${result.scope}`, {
+                command: result.command.replace('.', ' '),
+                time: formatRetryAfter(result.retryAfter)
+            }), { ephemeral: true });
         }
+        return false;
     }
 
-    async handlePing(message) {
-        const ping = this.demoMode ? Math.floor(Math.random() * 100) + 20 : 
-                     Date.now() - message.createdTimestamp;
-        await message.reply(`🏓 Pong! Latency: ${ping}ms`);
+    async loadRateLimits() {
+        if (this.database) {
+            try {
+                const overrides = await this.database.getConfig('command_cooldowns');
+                if (overrides) {
+                    this.setCooldownOverrides(overrides);
+                }
+            } catch (error) {
+                console.error('Failed to read command_cooldowns config:', error);
+            }
+        }
+
+        if (this.persistRateLimits) {
+            try {
+                const buckets = await this.database.getRateLimits();
+                this.rateLimiter.restore(buckets);
+                console.log(`⏱️ Restored ${buckets.length} rate limit bucket(s)`);
+            } catch (error) {
+                console.error('Failed to restore rate limits:', error);
+            }
+        }
+
+        clearInterval(this.rateLimitTimer);
+        this.rateLimitTimer = setInterval(() => this.saveRateLimits(), RATE_LIMIT_SAVE_INTERVAL);
     }
 
-    async handleHelp(message) {
+    async saveRateLimits() {
+        if (!this.persistRateLimits) {
+            this.rateLimiter.prune();
+            return;
+        }
+
+        try {
+            await this.database.saveRateLimits(this.rateLimiter.snapshot());
+        } catch (error) {
+            console.error('Failed to save rate limits:', error);
+        }
+    }
+
+    getRateLimitStatus() {
+        return {
+            persisted: this.persistRateLimits,
+            overrides: this.cooldownOverrides,
+            ...this.rateLimiter.getStatus()
+        };
+    }
+
+    // Text goes into the embed, images are attached and shown inline, other binary content is attached as files
+    buildToolResult(serverId, toolName, result) {
         const embed = new EmbedBuilder()
-            .setColor(0x00AE86)
-            .setTitle('🚀 Discord EX Bot Commands')
-            .setDescription('Advanced Discord MCP Integration Platform')
-            .addFields(
-                { name: '!ping', value: 'Check bot latency', inline: true },
-                { name: '!help', value: 'Show this help message', inline: true },
-                { name: '!stats', value: 'Display bot statistics', inline: true },
-                { name: '!mcp <action>', value: 'MCP Bridge operations', inline: true },
-                { name: '!ex <feature>', value: 'Discord EX features', inline: true }
-            )
+            .setColor(result.isError ? 0xE74C3C : 0x00AE86)
+            .setTitle(`${result.isError ? '⚠️' : '🧰'} ${toolName}`)
             .setTimestamp()
-            .setFooter({ text: 'Discord EX Platform' });
+            .setFooter({ text: `MCP server: ${serverId}` });
+        const files = [];
+        const lines = [];
+        const fields = [];
+
+        for (const content of result.content || []) {
+            switch (content.type) {
+                case 'text':
+                    lines.push(content.text);
+                    break;
+                case 'image':
+                case 'audio': {
+                    const file = this.toAttachment(content.data, content.mimeType, `${content.type}-${files.length + 1}`);
+                    if (!file) {
+                        lines.push(this.describeContent(content));
+                    } else {
+                        files.push(file);
+                        if (content.type === 'image' && !embed.data.image) {
+                            embed.setImage(`attachment://${file.name}`);
+                        }
+                    }
+                    break;
+                }
+                case 'resource': {
+                    const { resource = {} } = content;
+                    if (typeof resource.text === 'string') {
+                        fields.push({
+                            name: this.truncate(`📄 ${resource.uri || 'resource'}`, 256),
+                            value: `\`\`\`\n${this.truncate(resource.text.replace(/```/g, "'''"), 1000)}\n\`\`\``
+                        });
+                        break;
+                    }
+                    const file = this.toAttachment(resource.blob, resource.mimeType, `resource-${files.length + 1}`);
+                    if (file) files.push(file);
+                    lines.push(`📎 ${resource.uri || 'resource'}${file ? '' : ' (too large to attach)'}`);
+                    break;
+                }
+                case 'resource_link':
+                    lines.push(`🔗 ${content.name || content.uri}: \`${content.uri}\``);
+                    break;
+                default:
+                    lines.push(this.describeContent(content));
+            }
+        }
 
-        await message.reply({ embeds: [embed] });
+        if (lines.length === 0 && fields.length === 0 && result.structuredContent) {
+            lines.push(`\`\`\`json\n${this.truncate(JSON.stringify(result.structuredContent, null, 2), 4000)}\n\`\`\``);
+        }
+
+        if (lines.length > 0) {
+            embed.setDescription(this.truncate(lines.join('\n'), 4096));
+        } else if (fields.length === 0 && files.length === 0) {
+            embed.setDescription('(no content)');
+        }
+        if (fields.length > 0) {
+            embed.addFields(fields.slice(0, 25));
+        }
+        return { embeds: [embed], files };
     }
 
-    async handleStats(message) {
-        const uptime = Math.floor((Date.now() - this.stats.startTime) / 1000);
-        const embed = new EmbedBuilder()
-            .setColor(0x0099FF)
-            .setTitle('📊 Bot Statistics')
-            .addFields(
-                { name: '🔢 Messages Processed', value: this.stats.messagesProcessed.toString(), inline: true },
-                { name: '⚡ Commands Executed', value: this.stats.commandsExecuted.toString(), inline: true },
-                { name: '🌐 Servers Connected', value: this.stats.serversConnected.toString(), inline: true },
-                { name: '⏱️ Uptime', value: `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m ${uptime % 60}s`, inline: true },
-                { name: '🎭 Mode', value: this.demoMode ? 'DEMO' : 'PRODUCTION', inline: true }
-            )
-            .setTimestamp();
+    toAttachment(data, mimeType, name) {
+        const buffer = Buffer.from(data || '', 'base64');
+        if (buffer.length === 0 || buffer.length > MAX_ATTACHMENT_BYTES) return null;
 
-        await message.reply({ embeds: [embed] });
+        const subtype = ((mimeType || '').split('/')[1] || '').split(/[+;]/)[0];
+        const extension = !subtype || subtype === 'octet-stream' ? 'bin' : subtype;
+        return new AttachmentBuilder(buffer, { name: `${name}.${extension}` });
     }
 
-    async handleMCP(message, args) {
-        const action = args[0] || 'status';
-        const embed = new EmbedBuilder()
-            .setColor(0xFF6B35)
-            .setTitle('🔗 MCP Bridge Status')
-            .setDescription('Model Context Protocol Integration')
-            .addFields(
-                { name: 'Status', value: '🟢 Active', inline: true },
-                { name: 'Connections', value: '3', inline: true },
-                { name: 'Action', value: action, inline: true }
-            )
+    cancelButtonRow(callId) {
+        return new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`mcp-cancel:${callId}`)
+                .setLabel('Cancel')
+                .setEmoji('🛑')
+                .setStyle(ButtonStyle.Danger)
+        );
+    }
+
+    confirmButtonRow(id) {
+        return new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`mcp-confirm:${id}:approve`)
+                .setLabel('Approve')
+                .setEmoji('✅')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`mcp-confirm:${id}:cancel`)
+                .setLabel('Cancel')
+                .setEmoji('🛑')
+                .setStyle(ButtonStyle.Danger)
+        );
+    }
+
+    buildConfirmationEmbed(confirmation, tool, approverRoleId = null) {
+        const args = Object.keys(confirmation.arguments).length > 0
+            ? `\`\`\`json\n${this.truncate(JSON.stringify(confirmation.arguments, null, 2), 1000)}\n\`\`\``
+            : '(none)';
+        const approvers = approverRoleId ? `the caller or <@&${approverRoleId}>` : 'the caller';
+
+        return new EmbedBuilder()
+            .setColor(0xE67E22)
+            .setTitle(this.truncate(`⚠️ Run ${confirmation.tool} on ${confirmation.serverId}?`, 256))
+            .setDescription(this.truncate(`${tool && tool.description ? `${tool.description}\n\n` : ''}This tool needs confirmation before it runs. It can be approved by ${approvers}.`, 4096))
+            .addFields({ name: 'Arguments', value: args })
+            .setFooter({ text: `Expires in ${Math.round(confirmation.timeout / 1000)}s` })
             .setTimestamp();
+    }
+
+    // Resolves with { approved, user } once the caller or a member with the guild's approver role answers,
+    // or { approved: false, expired: true } when the bridge lets the confirmation expire
+    waitForConfirmation(ctx, confirmation) {
+        const { id, signal } = confirmation;
+        return new Promise((resolve) => {
+            const onAbort = () => {
+                if (!this.pendingConfirmations.delete(id)) return;
+                resolve({ approved: false, expired: true });
+            };
 
-        await message.reply({ embeds: [embed] });
+            this.pendingConfirmations.set(id, {
+                userId: ctx.user.id,
+                approverRoleId: ctx.settings && ctx.settings.approverRoleId,
+                resolve: (answer) => {
+                    this.pendingConfirmations.delete(id);
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(answer);
+                }
+            });
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
     }
 
-    async handleEX(message, args) {
-        const feature = args[0] || 'overview';
+    formatProgress(progress, total, status) {
+        const parts = [];
+        if (total) {
+            const filled = Math.max(0, Math.min(10, Math.round((progress / total) * 10)));
+            parts.push(`${'▰'.repeat(filled)}${'▱'.repeat(10 - filled)} ${progress}/${total}`);
+        } else {
+            parts.push(`Progress: ${progress}`);
+        }
+        if (status) parts.push(status);
+        return this.truncate(parts.join(' - '), 1800);
+    }
+
+    async handleButton(interaction) {
+        const [action, callId, choice] = interaction.customId.split(':');
+        if (action === 'mcp-interact') {
+            await this.handleInteractionButton(interaction, callId, choice);
+            return;
+        }
+        if (action === 'mcp-confirm') {
+            await this.handleConfirmationButton(interaction, callId, choice);
+            return;
+        }
+        if (action !== 'mcp-cancel' || !this.mcpBridge) return;
+
+        const call = this.mcpBridge.getActiveCall(callId);
+        if (!call) {
+            await interaction.reply({ content: 'This call has already finished.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        if (call.context.userId !== interaction.user.id) {
+            await interaction.reply({ content: 'Only the user who started this call can cancel it.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        await interaction.deferUpdate();
+        this.mcpBridge.cancelCall(callId, `Cancelled by ${interaction.user.tag}`);
+    }
+
+    // Sampling and elicitation requests from MCP servers, answered by the user who started the tool call
+    async askInDiscord(request) {
+        const { type, call, params, signal } = request;
+        const { userId, channelId } = call.context;
+        const fields = Object.keys(params.requestedSchema?.properties || {});
+        if (type === 'elicitation' && fields.length > MAX_MODAL_FIELDS) {
+            throw new Error(`${fields.length} fields requested, a Discord form holds ${MAX_MODAL_FIELDS}`);
+        }
+
+        const channel = await this.client.channels.fetch(channelId);
+        if (!channel || !channel.isTextBased()) {
+            throw new Error(`Channel ${channelId} is not available`);
+        }
+
+        const id = crypto.randomUUID();
+        const buttons = [
+            new ButtonBuilder()
+                .setCustomId(`mcp-interact:${id}:respond`)
+                .setLabel(type === 'sampling' ? 'Write response' : 'Answer')
+                .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+                .setCustomId(`mcp-interact:${id}:decline`)
+                .setLabel('Decline')
+                .setStyle(ButtonStyle.Secondary)
+        ];
+        if (type === 'elicitation') {
+            buttons.push(new ButtonBuilder()
+                .setCustomId(`mcp-interact:${id}:cancel`)
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Danger));
+        }
+
+        const message = await channel.send({
+            content: `<@${userId}>`,
+            embeds: [this.buildInteractionEmbed(request)],
+            components: [new ActionRowBuilder().addComponents(...buttons)],
+            allowedMentions: { users: [userId] }
+        });
+
+        return new Promise((resolve) => {
+            const onAbort = () => {
+                if (!this.pendingInteractions.delete(id)) return;
+                message.edit({ content: '⌛ This request expired without an answer.', components: [] }).catch(() => {});
+                resolve({ action: 'cancel' });
+            };
+
+            this.pendingInteractions.set(id, {
+                request,
+                userId,
+                resolve: (answer) => {
+                    this.pendingInteractions.delete(id);
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(answer);
+                }
+            });
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    buildInteractionEmbed({ type, serverName, call, params, timeout }) {
         const embed = new EmbedBuilder()
-            .setColor(0x9B59B6)
-            .setTitle('⚡ Discord EX Features')
-            .setDescription('Advanced automation and integration platform')
-            .addFields(
-                { name: '🤖 Smart Bot', value: 'AI-powered responses', inline: true },
-                { name: '🔧 Auto Tools', value: 'Automated workflows', inline: true },
-                { name: '👨‍💻 Dev Assistant', value: 'Development support', inline: true },
-                { name: '🌐 Web Interface', value: 'Control panel access', inline: true }
-            )
+            .setColor(0xF1C40F)
+            .setFooter({ text: `${call.serverId}.${call.tool} · expires in ${Math.round(timeout / 1000)}s` })
             .setTimestamp();
 
-        await message.reply({ embeds: [embed] });
+        if (type === 'sampling') {
+            const conversation = (params.messages || [])
+                .map(message => `**${message.role}:** ${this.describeContent(message.content || {})}`)
+                .join('\n');
+            embed
+                .setTitle(`🤖 ${serverName} asks for a model response`)
+                .setDescription(this.truncate(conversation || '(no messages)', 4096));
+            if (params.systemPrompt) {
+                embed.addFields({ name: 'System prompt', value: this.truncate(params.systemPrompt, 1024) });
+            }
+            return embed;
+        }
+
+        const schema = params.requestedSchema || {};
+        const required = schema.required || [];
+        embed
+            .setTitle(`📝 ${serverName} needs your input`)
+            .setDescription(this.truncate(params.message || 'The server asked for more information.', 4096))
+            .addFields(Object.entries(schema.properties || {}).map(([name, property]) => ({
+                name: this.truncate(`${property.title || name}${required.includes(name) ? ' *' : ''}`, 256),
+                value: this.truncate(property.description || property.enum?.join(', ') || property.type || 'text', 1024),
+                inline: true
+            })));
+        return embed;
     }
 
-    async handleUnknown(message, command) {
-        await message.reply(`❓ Unknown command: ${command}. Type !help for available commands.`);
+    buildInteractionModal(id, { type, serverName, params }) {
+        const modal = new ModalBuilder()
+            .setCustomId(`mcp-interact:${id}`)
+            .setTitle(this.truncate(serverName, 45));
+
+        if (type === 'sampling') {
+            return modal.addComponents(new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('response')
+                    .setLabel('Response')
+                    .setStyle(TextInputStyle.Paragraph)
+                    .setMaxLength(4000)
+                    .setRequired(true)
+            ));
+        }
+
+        const schema = params.requestedSchema || {};
+        const required = schema.required || [];
+        const inputs = Object.entries(schema.properties || {}).map(([name, property]) => {
+            const input = new TextInputBuilder()
+                .setCustomId(name)
+                .setLabel(this.truncate(property.title || name, 45))
+                .setStyle(property.type === 'string' && !(property.maxLength <= 100) && !property.enum ? TextInputStyle.Paragraph : TextInputStyle.Short)
+                .setRequired(required.includes(name));
+
+            const hint = property.enum ? `One of: ${property.enum.join(', ')}`
+                : property.type === 'boolean' ? 'yes or no'
+                    : property.description;
+            if (hint) input.setPlaceholder(this.truncate(hint, 100));
+            if (property.default !== undefined) input.setValue(String(property.default));
+            return new ActionRowBuilder().addComponents(input);
+        });
+        return modal.addComponents(...inputs);
+    }
+
+    async handleInteractionButton(interaction, id, choice) {
+        const pending = this.pendingInteractions.get(id);
+        if (!pending) {
+            await interaction.reply({ content: 'This request is no longer waiting for an answer.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        if (pending.userId !== interaction.user.id) {
+            await interaction.reply({ content: 'Only the user who started this call can answer.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        if (choice === 'respond') {
+            await interaction.showModal(this.buildInteractionModal(id, pending.request));
+            return;
+        }
+
+        await interaction.update({ content: choice === 'decline' ? '🙅 Declined.' : '🛑 Cancelled.', components: [] });
+        pending.resolve({ action: choice });
+    }
+
+    async handleConfirmationButton(interaction, id, choice) {
+        const pending = this.pendingConfirmations.get(id);
+        if (!pending) {
+            await interaction.reply({ content: 'This call is no longer waiting for approval.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const { roleIds } = CommandContext.fromInteraction(interaction, this);
+        if (pending.userId !== interaction.user.id && !(pending.approverRoleId && roleIds.includes(pending.approverRoleId))) {
+            await interaction.reply({ content: 'Only the user who started this call, or the approver role, can answer.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        await interaction.deferUpdate();
+        pending.resolve({ approved: choice === 'approve', user: interaction.user });
+        if (choice !== 'approve') {
+            this.mcpBridge.cancelConfirmation(id, `Cancelled by ${interaction.user.tag}`);
+        }
+    }
+
+    async handleModal(interaction) {
+        const [action, id] = interaction.customId.split(':');
+        if (action !== 'mcp-interact') return;
+
+        const pending = this.pendingInteractions.get(id);
+        if (!pending || pending.userId !== interaction.user.id) {
+            await interaction.reply({ content: 'This request is no longer waiting for an answer.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const { type, params } = pending.request;
+        let answer;
+        if (type === 'sampling') {
+            answer = { action: 'accept', content: { text: interaction.fields.getTextInputValue('response') } };
+        } else {
+            const schema = params.requestedSchema || {};
+            const values = {};
+            for (const [name, property] of Object.entries(schema.properties || {})) {
+                const value = interaction.fields.getTextInputValue(name).trim();
+                if (value === '') continue;
+                values[name] = property.type === 'boolean' && /^(yes|no)$/i.test(value)
+                    ? String(/^yes$/i.test(value))
+                    : value;
+            }
+
+            try {
+                answer = {
+                    action: 'accept',
+                    content: validateToolArguments({ name: 'elicitation', inputSchema: schema }, coerceArguments(values, schema))
+                };
+            } catch (error) {
+                if (!(error instanceof ValidationError)) throw error;
+                await interaction.reply({
+                    content: this.formatError({ message: 'Some answers are not valid', details: error.details }),
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+        }
+
+        const reply = { content: '✅ Answer sent.', components: [] };
+        if (interaction.isFromMessage()) {
+            await interaction.update(reply);
+        } else {
+            await interaction.reply({ ...reply, flags: MessageFlags.Ephemeral });
+        }
+        pending.resolve(answer);
+    }
+
+    describeContent(content) {
+        if (!content) return '(empty)';
+
+        switch (content.type) {
+            case 'text':
+                return content.text || '(empty)';
+            case 'image':
+                return `🖼️ Image (${content.mimeType || 'unknown type'})`;
+            case 'audio':
+                return `🔊 Audio (${content.mimeType || 'unknown type'})`;
+            case 'resource':
+                return content.resource?.text || `📄 ${content.resource?.uri || 'resource'}`;
+            default:
+                return `(${content.type} content)`;
+        }
+    }
+
+    logActivity(type, message, data = null) {
+        if (!this.database) return;
+
+        this.database.logActivity(type, 'discord', message, data)
+            .catch(err => console.error('Failed to log Discord activity:', err));
+    }
+
+    formatError(error) {
+        const details = (error.details || []).map(detail => `• \`${detail.field}\` ${detail.message}`);
+        return this.truncate([`❌ ${error.message}`, ...details].join('\n'), 2000);
+    }
+
+    truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+
+    // Posts to the guild's log channel when one is set; failures are logged, never surfaced to the user
+    async postToLogChannel(guildId, key, vars = {}) {
+        if (this.demoMode || !this.client || !this.isReady || !guildId) return;
+
+        try {
+            const settings = await this.guildSettings.get(guildId);
+            if (!settings.logChannelId) return;
+
+            const channel = await this.client.channels.fetch(settings.logChannelId);
+            if (!channel || !channel.isTextBased() || channel.guildId !== guildId) return;
+            await channel.send({ content: translate(settings.language, key, vars), allowedMentions: { parse: [] } });
+        } catch (error) {
+            console.warn(`⚠️ Could not post to the log channel of guild ${guildId}:`, error.message);
+        }
+    }
+
+    // Every message in a session thread is sent to the session's tool, together with the earlier turns
+    // when the tool takes a history
+    // Each message is a tool call, so it passes the rules of `ex session` and `mcp call` and the `mcp call` cooldowns
+    async checkSessionAccess(ctx) {
+        for (const [name, subcommand] of [['ex', 'session'], ['mcp', 'call']]) {
+            if (ctx.settings.disabledCommands.includes(name)) {
+                await ctx.reply(ctx.t('command.disabled', { command: name }));
+                return false;
+            }
+            if (!(await this.checkPermission(ctx, this.commands.get(name), subcommand))) return false;
+        }
+        return this.checkRateLimit(ctx, this.commands.get('mcp'), 'call');
+    }
+
+    async handleSessionMessage(message, session, settings) {
+        // Others can read along in the thread, but only the member who started the session talks to the tool
+        if (message.author.id !== session.userId) return;
+
+        const content = message.content.trim();
+        if (!content) return;
+        if (!(await this.checkSessionAccess(CommandContext.fromMessage(message, this, settings)))) return;
+
+        await this.sessions.enqueue(session, async () => {
+            const history = this.sessions.getHistory(session);
+            await this.sessions.addMessage(session, { role: 'user', authorId: message.author.id, authorTag: message.author.tag, content });
+            message.channel.sendTyping().catch(() => {});
+
+            try {
+                this.requireBridge();
+                const result = await this.mcpBridge.sendMessage(session.serverId, {
+                    method: 'tools/call',
+                    params: {
+                        name: session.tool,
+                        arguments: { [session.messageField]: content, ...(session.historyField && { [session.historyField]: history }) }
+                    }
+                }, {
+                    context: { source: 'discord', userId: message.author.id, guildId: message.guildId, channelId: message.channelId, sessionId: session.id }
+                });
+
+                const contents = result.content || [];
+                await this.sessions.addMessage(session, {
+                    role: 'assistant',
+                    content: contents.map(item => this.describeContent(item)).join('\n'),
+                    isError: Boolean(result.isError)
+                });
+                await message.reply(contents.length > 0 && contents.every(item => item.type === 'text') && !result.isError
+                    ? { content: this.truncate(contents.map(item => item.text).join('\n'), 2000), allowedMentions: { parse: [] } }
+                    : this.buildToolResult(session.serverId, session.tool, result));
+            } catch (error) {
+                await this.sessions.addMessage(session, { role: 'assistant', content: error.message, isError: true });
+                await message.reply(this.formatError(error));
+            }
+        });
+    }
+
+    async closeSession(session, reason, actor) {
+        this.logActivity('conversation', `Session ended: ${session.tool} on ${session.serverId}`, {
+            sessionId: session.id,
+            guildId: session.guildId,
+            threadId: session.threadId,
+            reason,
+            endedBy: actor,
+            messageCount: session.messageCount
+        });
+        if (this.demoMode || !this.client || reason === 'thread-deleted') return;
+
+        try {
+            const thread = await this.client.channels.fetch(session.threadId);
+            if (reason === 'idle') {
+                await thread.send(`💤 This session ended after ${formatRetryAfter(this.sessions.idleTimeout)} without messages.`);
+            }
+            await thread.setArchived(true, 'MCP session ended');
+        } catch (error) {
+            console.warn(`⚠️ Could not close the thread of session ${session.id}:`, error.message);
+        }
+    }
+
+    async handleUnknown(ctx, command) {
+        await ctx.reply(ctx.t('command.unknown', { command, prefix: ctx.prefix }), { ephemeral: true });
     }
 
     async start() {
+        await this.loadRateLimits();
+        await this.sessions.restore();
+
         if (this.demoMode || !this.token) {
             console.log('🎭 Bot started in demo mode');
             return;
@@ -190,12 +955,66 @@ class DiscordBot {
     }
 
     async stop() {
+        for (const pending of (this.pendingInteractions || new Map()).values()) {
+            pending.resolve({ action: 'cancel' });
+        }
+        for (const pending of (this.pendingConfirmations || new Map()).values()) {
+            pending.resolve({ approved: false, expired: true });
+        }
+        clearInterval(this.rateLimitTimer);
+        await this.saveRateLimits();
+        this.sessions.stop();
         if (this.client && !this.demoMode) {
             this.client.destroy();
         }
         console.log('🛑 Discord bot stopped');
     }
 
+    requireBridge() {
+        if (!this.mcpBridge) {
+            throw new Error('MCP Bridge is not available');
+        }
+    }
+
+    requireClient() {
+        if (this.demoMode || !this.client || !this.isReady) {
+            throw new Error('Discord is not connected (demo mode)');
+        }
+    }
+
+    listGuilds() {
+        this.requireClient();
+        return this.client.guilds.cache.map(guild => ({
+            id: guild.id,
+            name: guild.name,
+            memberCount: guild.memberCount
+        }));
+    }
+
+    listChannels(guildId) {
+        this.requireClient();
+        const guild = this.client.guilds.cache.get(guildId);
+        if (!guild) {
+            throw new NotFoundError(`Unknown guild: ${guildId}`);
+        }
+
+        return guild.channels.cache
+            .filter(channel => channel.isTextBased())
+            .map(channel => ({ id: channel.id, name: channel.name, type: ChannelType[channel.type] }));
+    }
+
+    async sendChannelMessage(channelId, content) {
+        this.requireClient();
+        const channel = await this.client.channels.fetch(channelId).catch(() => null);
+        if (!channel || !channel.isTextBased()) {
+            throw new NotFoundError(`Unknown text channel: ${channelId}`);
+        }
+
+        // Messages from external MCP clients never ping anyone
+        const sent = await channel.send({ content, allowedMentions: { parse: [] } });
+        return { id: sent.id, channelId: channel.id, url: sent.url };
+    }
+
     getStats() {
         return this.stats;
     }
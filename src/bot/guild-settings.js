@@ -0,0 +1,161 @@
+const EventEmitter = require('events');
+const { ValidationError } = require('../core/errors');
+const { DEFAULT_LANGUAGE, LANGUAGES } = require('./i18n');
+
+const DEFAULT_SETTINGS = {
+    prefix: '!',
+    disabledCommands: [],
+    defaultServer: null,
+    logChannelId: null,
+    approverRoleId: null,
+    language: DEFAULT_LANGUAGE
+};
+// Disabling these would leave a guild without a way to see or undo its settings
+const PROTECTED_COMMANDS = ['help', 'settings'];
+const PREFIX_PATTERN = /^\S{1,5}$/;
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+
+// Validates only the fields being changed, so a server removed later doesn't block unrelated edits
+function normalizeGuildSettings(changes = {}, { commands = null, servers = null } = {}) {
+    const details = [];
+    const settings = {};
+
+    for (const field of Object.keys(changes)) {
+        if (!(field in DEFAULT_SETTINGS)) {
+            details.push({ field, message: 'is not a guild setting' });
+        }
+    }
+
+    if (changes.prefix !== undefined) {
+        if (typeof changes.prefix !== 'string' || !PREFIX_PATTERN.test(changes.prefix)) {
+            details.push({ field: 'prefix', message: 'must be 1-5 characters without spaces' });
+        } else {
+            settings.prefix = changes.prefix;
+        }
+    }
+
+    if (changes.language !== undefined) {
+        if (!LANGUAGES.includes(changes.language)) {
+            details.push({ field: 'language', message: `must be one of ${LANGUAGES.join(', ')}` });
+        } else {
+            settings.language = changes.language;
+        }
+    }
+
+    if (changes.disabledCommands !== undefined) {
+        const names = Array.isArray(changes.disabledCommands) && changes.disabledCommands.every(name => typeof name === 'string')
+            ? [...new Set(changes.disabledCommands.map(name => name.toLowerCase()))]
+            : null;
+        if (!names) {
+            details.push({ field: 'disabledCommands', message: 'must be an array of command names' });
+        } else {
+            const unknown = commands ? names.filter(name => !commands.includes(name)) : [];
+            const protectedNames = names.filter(name => PROTECTED_COMMANDS.includes(name));
+            if (unknown.length > 0) {
+                details.push({ field: 'disabledCommands', message: `unknown command(s): ${unknown.join(', ')}` });
+            }
+            if (protectedNames.length > 0) {
+                details.push({ field: 'disabledCommands', message: `cannot disable ${protectedNames.join(', ')}` });
+            }
+            settings.disabledCommands = names;
+        }
+    }
+
+    if (changes.defaultServer !== undefined) {
+        if (changes.defaultServer !== null && typeof changes.defaultServer !== 'string') {
+            details.push({ field: 'defaultServer', message: 'must be a server id or null' });
+        } else if (changes.defaultServer && servers && !servers.includes(changes.defaultServer)) {
+            details.push({ field: 'defaultServer', message: `unknown MCP server: ${changes.defaultServer}` });
+        } else {
+            settings.defaultServer = changes.defaultServer || null;
+        }
+    }
+
+    if (changes.logChannelId !== undefined) {
+        // Accept a pasted channel mention as well as the raw id
+        const channelId = typeof changes.logChannelId === 'string'
+            ? changes.logChannelId.replace(/^<#(\d+)>$/, '$1')
+            : changes.logChannelId;
+        if (channelId !== null && !SNOWFLAKE_PATTERN.test(channelId || '')) {
+            details.push({ field: 'logChannelId', message: 'must be a channel id or null' });
+        } else {
+            settings.logChannelId = channelId || null;
+        }
+    }
+
+    // Members with this role may approve tool calls that need confirmation, besides the member who made the call
+    if (changes.approverRoleId !== undefined) {
+        const roleId = typeof changes.approverRoleId === 'string'
+            ? changes.approverRoleId.replace(/^<@&(\d+)>$/, '$1')
+            : changes.approverRoleId;
+        if (roleId !== null && !SNOWFLAKE_PATTERN.test(roleId || '')) {
+            details.push({ field: 'approverRoleId', message: 'must be a role id or null' });
+        } else {
+            settings.approverRoleId = roleId || null;
+        }
+    }
+
+    if (details.length > 0) {
+        throw new ValidationError('Invalid guild settings', details);
+    }
+
+    return settings;
+}
+
+// Settings are cached per guild and replaced on every update, so changes apply to the next command
+class GuildSettingsStore extends EventEmitter {
+    constructor(database = null, options = {}) {
+        super();
+        this.database = database;
+        this.listCommands = options.listCommands || (() => null);
+        this.listServers = options.listServers || (() => null);
+        this.cache = new Map();
+    }
+
+    async get(guildId) {
+        if (!guildId) {
+            return { guildId: null, ...DEFAULT_SETTINGS };
+        }
+
+        if (!this.cache.has(guildId)) {
+            const loading = (this.database ? this.database.getGuildSettings(guildId) : Promise.resolve(null))
+                .then(stored => ({ ...DEFAULT_SETTINGS, ...stored, guildId }));
+            loading.catch(() => this.cache.delete(guildId));
+            this.cache.set(guildId, loading);
+        }
+        return this.cache.get(guildId);
+    }
+
+    async update(guildId, changes, actor = null) {
+        const current = await this.get(guildId);
+        const settings = {
+            ...current,
+            ...normalizeGuildSettings(changes, { commands: this.listCommands(), servers: this.listServers() })
+        };
+
+        if (this.database) {
+            await this.database.saveGuildSettings(guildId, settings);
+        }
+        this.cache.set(guildId, Promise.resolve(settings));
+        this.emit('updated', { guildId, settings, fields: Object.keys(changes), actor });
+        return settings;
+    }
+
+    async reset(guildId, actor = null) {
+        if (this.database) {
+            await this.database.deleteGuildSettings(guildId);
+        }
+        this.cache.delete(guildId);
+
+        const settings = await this.get(guildId);
+        this.emit('updated', { guildId, settings, fields: Object.keys(DEFAULT_SETTINGS), actor });
+        return settings;
+    }
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    PROTECTED_COMMANDS,
+    GuildSettingsStore,
+    normalizeGuildSettings
+};
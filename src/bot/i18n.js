@@ -0,0 +1,127 @@
+// Replies to guilds follow the language in their settings; keys missing from a language fall back to English
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_NAMES = {
+    en: 'English',
+    ja: '日本語'
+};
+
+const messages = {
+    en: {
+        'command.unknown': '❓ Unknown command: {command}. Type {prefix}help for available commands.',
+        'command.guildOnly': '🚫 This command only works in a server.',
+        'command.dmOnly': '🚫 This command only works in direct messages.',
+        'command.disabled': '🚫 `{command}` is disabled in this server.',
+        'command.forbidden': '🚫 You need the {permission} permission to use this command.',
+        'command.usage': 'Usage',
+
+        'permission.ownerOnly': '🔒 Only the server owner can use `{command}`.',
+        'permission.user': '🔒 You are not allowed to use `{command}` in this server.',
+        'permission.channel': '🔒 `{command}` can only be used in {channels}.',
+        'permission.role': '🔒 `{command}` needs one of these roles: {roles}.',
+
+        'cooldown.user': '⏳ Slow down! You can use `{command}` again in {time}.',
+        'cooldown.channel': '⏳ `{command}` is cooling down in this channel. Try again in {time}.',
+        'cooldown.guild': '⏳ `{command}` has been used too often in this server. Try again in {time}.',
+
+        'help.title': '🚀 Discord EX Bot Commands',
+        'help.description': 'Advanced Discord MCP Integration Platform',
+        'help.footer': 'Discord EX Platform',
+        'help.footerPrefix': 'Discord EX Platform · every command also works with the {prefix} prefix',
+        'help.unknown': '❓ Unknown command: {command}',
+        'help.aliases': 'Aliases: {aliases}',
+        'help.guildOnly': 'Only available in servers',
+        'help.dmOnly': 'Only available in direct messages',
+
+        'settings.title': '⚙️ Settings for {guild}',
+        'settings.prefix': 'Prefix',
+        'settings.language': 'Language',
+        'settings.defaultServer': 'Default MCP server',
+        'settings.logChannel': 'Log channel',
+        'settings.approverRole': 'Approver role',
+        'settings.disabledCommands': 'Disabled commands',
+        'settings.none': 'None',
+        'settings.updated': '✅ {setting} updated.',
+        'settings.commandEnabled': '✅ `{command}` is enabled.',
+        'settings.commandDisabled': '✅ `{command}` is disabled.',
+        'settings.reset': '✅ Settings are back to the defaults.',
+
+        'permissions.title': '🔒 Command permissions',
+        'permissions.empty': 'No rules: every command is open to everyone.',
+        'permissions.roles': 'Roles',
+        'permissions.channels': 'Channels',
+        'permissions.users': 'Allowed users',
+        'permissions.deniedUsers': 'Denied users',
+        'permissions.ownerOnly': 'Owner only',
+        'permissions.updated': '✅ Permissions for `{command}` updated.',
+        'permissions.cleared': '✅ Permissions for `{command}` removed.',
+
+        'log.toolCall': '🧰 {user} ran `{tool}` on `{server}`: {status}',
+        'log.settings': '⚙️ {user} changed the settings: {fields}'
+    },
+    ja: {
+        'command.unknown': '❓ 不明なコマンドです: {command}。{prefix}help でコマンド一覧を表示します。',
+        'command.guildOnly': '🚫 このコマンドはサーバー内でのみ使用できます。',
+        'command.dmOnly': '🚫 このコマンドはダイレクトメッセージでのみ使用できます。',
+        'command.disabled': '🚫 このサーバーでは `{command}` は無効になっています。',
+        'command.forbidden': '🚫 このコマンドを使うには {permission} 権限が必要です。',
+        'command.usage': '使い方',
+
+        'permission.ownerOnly': '🔒 `{command}` はサーバーのオーナーのみ使用できます。',
+        'permission.user': '🔒 このサーバーでは `{command}` を使用する権限がありません。',
+        'permission.channel': '🔒 `{command}` は {channels} でのみ使用できます。',
+        'permission.role': '🔒 `{command}` を使うには次のいずれかのロールが必要です: {roles}',
+
+        'cooldown.user': '⏳ 少し待ってください。`{command}` は {time} 後に再び使えます。',
+        'cooldown.channel': '⏳ このチャンネルでは `{command}` はクールダウン中です。{time} 後にもう一度お試しください。',
+        'cooldown.guild': '⏳ このサーバーでは `{command}` の使用回数が上限に達しました。{time} 後にもう一度お試しください。',
+
+        'help.title': '🚀 Discord EX Bot コマンド一覧',
+        'help.description': 'Discord MCP 統合プラットフォーム',
+        'help.footerPrefix': 'Discord EX Platform · すべてのコマンドは {prefix} プレフィックスでも使えます',
+        'help.unknown': '❓ 不明なコマンドです: {command}',
+        'help.aliases': '別名: {aliases}',
+        'help.guildOnly': 'サーバー内でのみ使用可能',
+        'help.dmOnly': 'ダイレクトメッセージでのみ使用可能',
+
+        'settings.title': '⚙️ {guild} の設定',
+        'settings.prefix': 'プレフィックス',
+        'settings.language': '言語',
+        'settings.defaultServer': 'デフォルトの MCP サーバー',
+        'settings.logChannel': 'ログチャンネル',
+        'settings.approverRole': '承認ロール',
+        'settings.disabledCommands': '無効なコマンド',
+        'settings.none': 'なし',
+        'settings.updated': '✅ {setting}を更新しました。',
+        'settings.commandEnabled': '✅ `{command}` を有効にしました。',
+        'settings.commandDisabled': '✅ `{command}` を無効にしました。',
+        'settings.reset': '✅ 設定を初期値に戻しました。',
+
+        'permissions.title': '🔒 コマンドの権限',
+        'permissions.empty': 'ルールはありません。すべてのコマンドを誰でも使用できます。',
+        'permissions.roles': 'ロール',
+        'permissions.channels': 'チャンネル',
+        'permissions.users': '許可ユーザー',
+        'permissions.deniedUsers': '拒否ユーザー',
+        'permissions.ownerOnly': 'オーナーのみ',
+        'permissions.updated': '✅ `{command}` の権限を更新しました。',
+        'permissions.cleared': '✅ `{command}` の権限を削除しました。',
+
+        'log.toolCall': '🧰 {user} が `{server}` の `{tool}` を実行しました: {status}',
+        'log.settings': '⚙️ {user} が設定を変更しました: {fields}'
+    }
+};
+
+const LANGUAGES = Object.keys(messages);
+
+function translate(language, key, vars = {}) {
+    const template = (messages[language] && messages[language][key]) || messages[DEFAULT_LANGUAGE][key] || key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => vars[name] !== undefined ? String(vars[name]) : match);
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    LANGUAGE_NAMES,
+    translate
+};
@@ -0,0 +1,153 @@
+const { ValidationError } = require('../core/errors');
+
+const SCOPES = ['user', 'channel', 'guild'];
+// The status endpoint lists the busiest buckets only
+const MAX_STATUS_BUCKETS = 50;
+
+// A number is a cooldown (one use per that many ms); { limit, window } allows `limit` uses per `window` ms
+function normalizeCooldowns(spec, field = 'cooldowns') {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new ValidationError('Invalid cooldowns', [{ field, message: 'must be an object keyed by scope' }]);
+    }
+
+    const details = [];
+    const cooldowns = {};
+    for (const [scope, value] of Object.entries(spec)) {
+        const limit = typeof value === 'number' ? 1 : value && value.limit;
+        const window = typeof value === 'number' ? value : value && value.window;
+
+        if (!SCOPES.includes(scope)) {
+            details.push({ field: `${field}.${scope}`, message: `scope must be one of ${SCOPES.join(', ')}` });
+        } else if (!(Number.isInteger(limit) && limit > 0 && Number.isInteger(window) && window > 0)) {
+            details.push({ field: `${field}.${scope}`, message: 'must be milliseconds or { limit, window } with positive integers' });
+        } else {
+            cooldowns[scope] = { limit, window };
+        }
+    }
+
+    if (details.length > 0) {
+        throw new ValidationError('Invalid cooldowns', details);
+    }
+    return cooldowns;
+}
+
+function formatRetryAfter(ms) {
+    const seconds = Math.max(1, Math.ceil(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    return seconds % 60 === 0 ? `${seconds / 60}m` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+// Sliding-window counters per command and scope, kept in memory; snapshots let them survive a restart
+class RateLimiter {
+    constructor() {
+        this.buckets = new Map();
+        this.stats = { allowed: 0, limited: 0 };
+    }
+
+    // Each limit is { command, scope, id, limit, window }. Uses are only recorded when every limit
+    // has room, so a refused attempt doesn't count against the others
+    consume(limits, now = Date.now()) {
+        let blocked = null;
+
+        for (const limit of limits) {
+            const bucket = this.getBucket(limit, now);
+            if (bucket.hits.length < limit.limit) {
+                bucket.warned = false;
+                continue;
+            }
+
+            const retryAfter = bucket.hits[bucket.hits.length - limit.limit] + limit.window - now;
+            if (!blocked || retryAfter > blocked.retryAfter) {
+                blocked = { bucket, retryAfter };
+            }
+        }
+
+        if (blocked) {
+            const { bucket, retryAfter } = blocked;
+            const firstWarning = !bucket.warned;
+            bucket.warned = true;
+            this.stats.limited++;
+            return { allowed: false, command: bucket.command, scope: bucket.scope, retryAfter, firstWarning };
+        }
+
+        for (const limit of limits) {
+            this.buckets.get(this.keyOf(limit)).hits.push(now);
+        }
+        this.stats.allowed++;
+        return { allowed: true };
+    }
+
+    keyOf({ command, scope, id }) {
+        return `${command}:${scope}:${id}`;
+    }
+
+    getBucket({ command, scope, id, limit, window }, now) {
+        const key = this.keyOf({ command, scope, id });
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { command, scope, id, hits: [], warned: false };
+            this.buckets.set(key, bucket);
+        }
+
+        // Limits can change at runtime; the bucket always follows the current one
+        bucket.limit = limit;
+        bucket.window = window;
+        bucket.hits = bucket.hits.filter(hit => hit > now - window);
+        return bucket;
+    }
+
+    prune(now = Date.now()) {
+        for (const [key, bucket] of this.buckets) {
+            bucket.hits = bucket.hits.filter(hit => hit > now - bucket.window);
+            if (bucket.hits.length === 0) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+
+    getStatus(now = Date.now()) {
+        this.prune(now);
+        const buckets = Array.from(this.buckets.values())
+            .map(bucket => ({
+                command: bucket.command,
+                scope: bucket.scope,
+                id: bucket.id,
+                hits: bucket.hits.length,
+                limit: bucket.limit,
+                window: bucket.window,
+                limited: bucket.hits.length >= bucket.limit,
+                resetsInMs: bucket.hits[0] + bucket.window - now
+            }))
+            .sort((a, b) => b.hits / b.limit - a.hits / a.limit);
+
+        return {
+            ...this.stats,
+            activeBuckets: buckets.length,
+            limitedBuckets: buckets.filter(bucket => bucket.limited).length,
+            buckets: buckets.slice(0, MAX_STATUS_BUCKETS)
+        };
+    }
+
+    snapshot(now = Date.now()) {
+        this.prune(now);
+        return Array.from(this.buckets.entries()).map(([key, { command, scope, id, limit, window, hits }]) => ({
+            key, command, scope, id, limit, window, hits
+        }));
+    }
+
+    restore(entries, now = Date.now()) {
+        for (const { key, command, scope, id, limit, window, hits } of entries) {
+            const recent = hits.filter(hit => hit > now - window && hit <= now);
+            if (recent.length > 0) {
+                this.buckets.set(key, { command, scope, id, limit, window, hits: recent, warned: false });
+            }
+        }
+    }
+}
+
+module.exports = {
+    SCOPES,
+    RateLimiter,
+    normalizeCooldowns,
+    formatRetryAfter
+};
@@ -0,0 +1,168 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { NotFoundError } = require('../core/errors');
+
+// A session ends after this long without a message in its thread
+const SESSION_IDLE_TIMEOUT = parseInt(process.env.SESSION_IDLE_TIMEOUT) || 30 * 60 * 1000;
+// Tools that take a history only get the latest turns
+const MAX_HISTORY_TURNS = 20;
+const MESSAGE_FIELDS = ['message', 'text', 'prompt', 'query', 'input', 'question'];
+const HISTORY_FIELDS = ['history', 'messages'];
+
+// Which string argument a thread message is sent as, and which array argument carries the earlier turns.
+// Tools that need any other argument can't hold a conversation
+function resolveSessionTool(tool) {
+    const schema = tool.inputSchema || {};
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const strings = Object.keys(properties).filter(key => properties[key].type === 'string');
+
+    const messageField = strings.find(key => MESSAGE_FIELDS.includes(key)) || strings.find(key => required.includes(key)) || strings[0];
+    const historyField = Object.keys(properties).find(key => HISTORY_FIELDS.includes(key) && properties[key].type === 'array') || null;
+    if (!messageField || required.some(key => key !== messageField && key !== historyField)) {
+        return null;
+    }
+    return { messageField, historyField };
+}
+
+// Without a tool named, a session talks to the server's "chat" tool, or else the first tool that fits
+function pickSessionTool(tools) {
+    return tools.find(tool => tool.name === 'chat' && resolveSessionTool(tool)) || tools.find(tool => resolveSessionTool(tool)) || null;
+}
+
+// Active sessions are kept per thread in memory; the database holds every session and its transcript
+class SessionManager extends EventEmitter {
+    constructor(database = null, options = {}) {
+        super();
+        this.database = database;
+        this.idleTimeout = options.idleTimeout || SESSION_IDLE_TIMEOUT;
+        this.sessions = new Map();
+    }
+
+    get(threadId) {
+        return this.sessions.get(threadId) || null;
+    }
+
+    list() {
+        return Array.from(this.sessions.values()).map(session => this.describe(session));
+    }
+
+    describe(session) {
+        const { history, timer, queue, ...description } = session;
+        return description;
+    }
+
+    async start(options) {
+        const now = new Date().toISOString();
+        const session = {
+            id: crypto.randomUUID(),
+            threadId: options.threadId,
+            guildId: options.guildId,
+            channelId: options.channelId,
+            serverId: options.serverId,
+            tool: options.tool,
+            messageField: options.messageField,
+            historyField: options.historyField || null,
+            userId: options.userId,
+            userTag: options.userTag,
+            status: 'active',
+            endReason: null,
+            messageCount: 0,
+            startedAt: now,
+            lastActivityAt: now,
+            endedAt: null,
+            history: [],
+            queue: Promise.resolve()
+        };
+
+        if (this.database) {
+            await this.database.createConversationSession(this.describe(session));
+        }
+        this.sessions.set(session.threadId, session);
+        this.scheduleIdle(session);
+        return session;
+    }
+
+    scheduleIdle(session) {
+        clearTimeout(session.timer);
+        const idleFor = Date.now() - new Date(session.lastActivityAt).getTime();
+        session.timer = setTimeout(() => {
+            this.end(session.threadId, 'idle').catch(error => {
+                console.warn(`⚠️ Could not end idle session ${session.id}:`, error.message);
+            });
+        }, Math.max(0, this.idleTimeout - idleFor));
+    }
+
+    // Messages are handled one at a time per thread, so the transcript stays in order
+    enqueue(session, task) {
+        const run = session.queue.then(task);
+        session.queue = run.catch(() => {});
+        return run;
+    }
+
+    getHistory(session) {
+        return session.history.map(({ role, content }) => ({ role, content }));
+    }
+
+    async addMessage(session, { role, authorId = null, authorTag = null, content, isError = false }) {
+        const message = { role, authorId, authorTag, content, isError, createdAt: new Date().toISOString() };
+        session.history.push(message);
+        session.messageCount++;
+        session.lastActivityAt = message.createdAt;
+        if (session.history.length > MAX_HISTORY_TURNS) {
+            session.history.shift();
+        }
+
+        if (this.database) {
+            await this.database.addConversationMessage(session.id, message);
+        }
+        if (role === 'user') {
+            this.scheduleIdle(session);
+        }
+        return message;
+    }
+
+    async end(threadId, reason, actor = null) {
+        const session = this.sessions.get(threadId);
+        if (!session) {
+            throw new NotFoundError('No session in this thread');
+        }
+
+        this.sessions.delete(threadId);
+        clearTimeout(session.timer);
+        Object.assign(session, { status: 'ended', endReason: reason, endedAt: new Date().toISOString() });
+
+        if (this.database) {
+            await this.database.endConversationSession(session.id, reason, session.endedAt);
+        }
+        this.emit('ended', { session: this.describe(session), reason, actor });
+        return session;
+    }
+
+    // Sessions that were active when the bot stopped carry on in their threads, with their latest turns
+    async restore() {
+        if (!this.database) return;
+
+        for (const stored of await this.database.getConversationSessions({ status: 'active' })) {
+            const messages = await this.database.getConversationMessages(stored.id, MAX_HISTORY_TURNS);
+            const session = { ...stored, history: messages, queue: Promise.resolve() };
+            this.sessions.set(session.threadId, session);
+            this.scheduleIdle(session);
+        }
+        if (this.sessions.size > 0) {
+            console.log(`💬 Restored ${this.sessions.size} conversation session(s)`);
+        }
+    }
+
+    stop() {
+        for (const session of this.sessions.values()) {
+            clearTimeout(session.timer);
+        }
+    }
+}
+
+module.exports = {
+    SessionManager,
+    resolveSessionTool,
+    pickSessionTool
+};
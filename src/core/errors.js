@@ -0,0 +1,149 @@
+// JSON-RPC 2.0 / MCP error codes
+const ErrorCodes = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    CONNECTION_CLOSED: -32000,
+    REQUEST_TIMEOUT: -32001,
+    QUEUE_FULL: -32010,
+    QUEUE_TIMEOUT: -32011,
+    CONFIRMATION_REQUIRED: -32020,
+    REQUEST_CANCELLED: -32800
+};
+
+class MCPError extends Error {
+    constructor(message, code = ErrorCodes.INTERNAL_ERROR, data = undefined) {
+        super(message);
+        this.name = 'MCPError';
+        this.code = code;
+        this.data = data;
+        this.statusCode = 502;
+    }
+
+    static fromResponse(error = {}) {
+        return new MCPError(error.message || 'Unknown MCP error', error.code, error.data);
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            data: this.data
+        };
+    }
+}
+
+class MCPTimeoutError extends MCPError {
+    constructor(method, timeout) {
+        super(`Request ${method} timed out after ${timeout}ms`, ErrorCodes.REQUEST_TIMEOUT, { method, timeout });
+        this.name = 'MCPTimeoutError';
+        this.statusCode = 504;
+    }
+}
+
+class MCPCancelledError extends MCPError {
+    constructor(method, reason) {
+        super(`Request ${method} was cancelled${reason ? `: ${reason}` : ''}`, ErrorCodes.REQUEST_CANCELLED, { method, reason });
+        this.name = 'MCPCancelledError';
+        this.statusCode = 409;
+    }
+}
+
+class MCPNotConnectedError extends MCPError {
+    constructor(serverId, status) {
+        super(`Server ${serverId} is not connected`, ErrorCodes.CONNECTION_CLOSED, { serverId, status });
+        this.name = 'MCPNotConnectedError';
+        this.statusCode = 409;
+    }
+}
+
+class MCPQueueFullError extends MCPError {
+    constructor(serverId, maxQueue) {
+        super(`Too many requests waiting for ${serverId} (queue limit ${maxQueue})`, ErrorCodes.QUEUE_FULL, { serverId, maxQueue });
+        this.name = 'MCPQueueFullError';
+        this.statusCode = 503;
+    }
+}
+
+class MCPQueueTimeoutError extends MCPError {
+    constructor(serverId, timeout) {
+        super(`Request waited more than ${timeout}ms in the queue for ${serverId}`, ErrorCodes.QUEUE_TIMEOUT, { serverId, timeout });
+        this.name = 'MCPQueueTimeoutError';
+        this.statusCode = 503;
+    }
+}
+
+class ValidationError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'ValidationError';
+        this.details = details;
+        this.statusCode = 400;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            details: this.details
+        };
+    }
+}
+
+class NotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotFoundError';
+        this.statusCode = 404;
+    }
+
+    toJSON() {
+        return { error: this.message };
+    }
+}
+
+// A tool marked as needing confirmation was called without one; repeat the call with confirmationId to run it
+class ConfirmationRequiredError extends Error {
+    constructor(confirmation) {
+        super(`${confirmation.tool} on ${confirmation.serverId} needs confirmation`);
+        this.name = 'ConfirmationRequiredError';
+        this.code = ErrorCodes.CONFIRMATION_REQUIRED;
+        this.confirmation = confirmation;
+        this.data = confirmation;
+        this.statusCode = 409;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            confirmationId: this.confirmation.id,
+            expiresAt: this.confirmation.expiresAt,
+            confirmation: this.confirmation
+        };
+    }
+}
+
+class CommandUsageError extends Error {
+    constructor(usage, message = 'Invalid command arguments') {
+        super(message);
+        this.name = 'CommandUsageError';
+        this.usage = usage;
+        this.statusCode = 400;
+    }
+}
+
+module.exports = {
+    ErrorCodes,
+    MCPError,
+    MCPTimeoutError,
+    MCPCancelledError,
+    MCPNotConnectedError,
+    MCPQueueFullError,
+    MCPQueueTimeoutError,
+    ValidationError,
+    NotFoundError,
+    ConfirmationRequiredError,
+    CommandUsageError
+};
@@ -1,12 +1,76 @@
 const EventEmitter = require('events');
-const WebSocket = require('ws');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createTransport, getTransportType } = require('./transports');
+const { normalizeServerDefinition } = require('./server-definition');
+const { validateToolArguments } = require('./schema-validator');
+const RequestQueue = require('./request-queue');
+const { ErrorCodes, MCPError, MCPTimeoutError, MCPCancelledError, MCPNotConnectedError, ValidationError, NotFoundError, ConfirmationRequiredError } = require('./errors');
+
+// Protocol revisions this bridge can speak, newest first
+const PROTOCOL_VERSION = '2025-06-18';
+const SUPPORTED_PROTOCOL_VERSIONS = [PROTOCOL_VERSION, '2025-03-26', '2024-11-05'];
+
+const CLIENT_INFO = {
+    name: 'discord-ex-platform',
+    version: '1.0.0'
+};
+
+// Reconnect backoff: 1s, 2s, 4s ... capped at one minute, with jitter
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60000;
+const MAX_RECONNECT_ATTEMPTS = 10;
+
+// Guards against servers that keep handing out cursors
+const MAX_LIST_PAGES = 50;
+// Ids of cancelled requests are kept to drop their late responses quietly
+const MAX_CANCELLED_IDS = 1000;
+
+// Config flag set once the registry has been seeded, so removing every server doesn't bring the seeds back
+const SERVERS_SEEDED_CONFIG = 'mcp_servers_seeded';
+
+// Per-server request limits; max_connections in the config table overrides the concurrency default
+const DEFAULT_MAX_CONCURRENT = 10;
+const DEFAULT_MAX_QUEUE = parseInt(process.env.MCP_MAX_QUEUE) || 100;
+const DEFAULT_QUEUE_TIMEOUT = parseInt(process.env.MCP_QUEUE_TIMEOUT) || 30000;
+
+// How long a user gets to answer a sampling or elicitation request
+const INTERACTION_TIMEOUT = parseInt(process.env.MCP_INTERACTION_TIMEOUT) || 120000;
+
+// How long a tool call that needs confirmation waits to be approved
+const CONFIRMATION_TIMEOUT = parseInt(process.env.MCP_CONFIRMATION_TIMEOUT) || 120000;
+
+// Defined by the MCP spec for sampling requests the user turns down
+const USER_REJECTED = -1;
+
+// Health checks ping every server; a slow round trip marks it degraded and repeated failures unreachable
+const PING_INTERVAL = parseInt(process.env.MCP_PING_INTERVAL) || 30000;
+const PING_TIMEOUT = parseInt(process.env.MCP_PING_TIMEOUT) || 5000;
+const DEGRADED_LATENCY = parseInt(process.env.MCP_DEGRADED_LATENCY) || 1000;
+const UNREACHABLE_AFTER_FAILURES = 3;
+const LATENCY_HISTORY_SIZE = 20;
+
+// Key order doesn't matter when comparing a call with the one that was confirmed
+const canonicalJSON = (value) => Array.isArray(value) ? `[${value.map(canonicalJSON).join(',')}]`
+    : value && typeof value === 'object' ? `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`
+        : JSON.stringify(value);
 
 class MCPBridge extends EventEmitter {
-    constructor() {
+    constructor(database = null, options = {}) {
         super();
+        this.database = database;
+        this.demoMode = options.demoMode || false;
         this.connections = new Map();
         this.servers = new Map();
+        this.activeCalls = new Map();
+        this.queues = new Map();
+        this.interactionHandlers = new Map();
+        this.confirmations = new Map();
+        this.defaultConcurrency = DEFAULT_MAX_CONCURRENT;
         this.isInitialized = false;
+        this.nextRequestId = 1;
+        this.requestTimeout = parseInt(process.env.MCP_REQUEST_TIMEOUT) || 30000;
+        this.timers = [];
         this.stats = {
             totalConnections: 0,
             activeConnections: 0,
@@ -18,52 +82,27 @@ class MCPBridge extends EventEmitter {
     }
 
     setupDefaultServers() {
-        // Demo MCP servers for showcase
-        this.servers.set('demo-server', {
-            name: 'Demo Server',
-            url: 'ws://localhost:3001/mcp',
-            status: 'simulated',
-            capabilities: ['tools', 'resources', 'prompts'],
-            tools: [
-                { name: 'calculate', description: 'Perform calculations' },
-                { name: 'weather', description: 'Get weather information' },
-                { name: 'translate', description: 'Translate text' }
-            ]
-        });
-
-        this.servers.set('ai-assistant', {
-            name: 'AI Assistant',
-            url: 'ws://localhost:3002/mcp',
-            status: 'simulated',
-            capabilities: ['prompts', 'completion'],
-            tools: [
-                { name: 'chat', description: 'AI chat interface' },
-                { name: 'analyze', description: 'Text analysis' }
-            ]
-        });
-
-        this.servers.set('file-manager', {
-            name: 'File Manager',
-            url: 'ws://localhost:3003/mcp',
-            status: 'simulated',
-            capabilities: ['resources', 'file-operations'],
-            tools: [
-                { name: 'read-file', description: 'Read file contents' },
-                { name: 'write-file', description: 'Write file contents' },
-                { name: 'list-files', description: 'List directory contents' }
-            ]
-        });
+        // Demo MCP servers for showcase, served in-process by the bundled mock server
+        this.servers.set('demo-server', { name: 'Demo Server', transport: 'mock', profile: 'demo-server' });
+        this.servers.set('ai-assistant', { name: 'AI Assistant', transport: 'mock', profile: 'ai-assistant' });
+        this.servers.set('file-manager', { name: 'File Manager', transport: 'mock', profile: 'file-manager' });
     }
 
     async initialize() {
         console.log('🔗 Initializing MCP Bridge...');
+
+        try {
+            await this.loadServers();
+        } catch (error) {
+            console.error('❌ Failed to load MCP server registry, using defaults:', error);
+        }
+        await this.refreshConcurrencyLimits();
         
-        // Simulate connections to demo servers
         for (const [id, server] of this.servers) {
+            if (server.enabled === false) continue;
+
             try {
                 await this.connectToServer(id, server);
-                this.stats.totalConnections++;
-                this.stats.activeConnections++;
             } catch (error) {
                 console.warn(`⚠️ Could not connect to ${server.name}:`, error.message);
             }
@@ -74,167 +113,1209 @@ class MCPBridge extends EventEmitter {
         console.log(`✅ MCP Bridge initialized with ${this.stats.activeConnections} connections`);
     }
 
+    async loadServers() {
+        if (!this.database) return;
+
+        const stored = await this.database.getMCPServers();
+        const seededBefore = await this.database.getConfig(SERVERS_SEEDED_CONFIG) === true;
+        const seeded = seededBefore || stored.length > 0;
+        const definitions = seeded
+            ? stored.map(({ id, ...definition }) => [id, definition])
+            : Object.entries(await this.readServersConfig() || Object.fromEntries(this.servers));
+
+        const servers = new Map();
+        for (const [id, definition] of definitions) {
+            try {
+                servers.set(id, normalizeServerDefinition(id, definition));
+            } catch (error) {
+                console.warn(`⚠️ Skipping invalid MCP server definition ${id}:`, error.message);
+            }
+        }
+        this.servers = servers;
+
+        if (seeded) {
+            console.log(`📚 Loaded ${servers.size} MCP server definitions`);
+        } else {
+            // First start: seed the registry from MCP_SERVERS_CONFIG, or the bundled demo servers
+            for (const [id, server] of servers) {
+                await this.database.saveMCPServer({ id, ...server });
+            }
+            console.log(`📚 Seeded MCP server registry with ${servers.size} definitions`);
+        }
+        if (!seededBefore) {
+            await this.database.setConfig(SERVERS_SEEDED_CONFIG, true, 'boolean');
+        }
+    }
+
+    async readServersConfig() {
+        const configPath = process.env.MCP_SERVERS_CONFIG;
+        if (!configPath) return null;
+
+        try {
+            const config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+            // Accept the common { "mcpServers": { ... } } layout as well as a bare map
+            return config.mcpServers || config.servers || config;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Could not read ${configPath}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    getServers() {
+        return Array.from(this.servers.entries()).map(([id, server]) => this.describeServer(id, server));
+    }
+
+    getServer(id) {
+        const server = this.servers.get(id);
+        if (!server) {
+            throw new NotFoundError(`Unknown MCP server: ${id}`);
+        }
+        return this.describeServer(id, server);
+    }
+
+    describeServer(id, server) {
+        const connection = this.connections.get(id);
+        return {
+            id,
+            ...server,
+            status: connection ? connection.status : (server.enabled === false ? 'disabled' : 'disconnected'),
+            lastError: connection ? connection.lastError : null
+        };
+    }
+
+    async addServer(id, definition) {
+        if (this.servers.has(id)) {
+            throw new ValidationError(`MCP server "${id}" already exists`, [{ field: 'id', message: 'is already in use' }]);
+        }
+
+        const server = normalizeServerDefinition(id, definition);
+        await this.persistServer(id, server);
+        this.servers.set(id, server);
+        this.emit('server-added', { id, server });
+
+        if (server.enabled) {
+            await this.connectToServer(id, server).catch(() => {});
+        }
+        return this.getServer(id);
+    }
+
+    async updateServer(id, changes) {
+        const current = this.servers.get(id);
+        if (!current) {
+            throw new NotFoundError(`Unknown MCP server: ${id}`);
+        }
+
+        const server = normalizeServerDefinition(id, { ...current, ...changes });
+        await this.persistServer(id, server);
+        this.servers.set(id, server);
+        if (this.queues.has(id)) {
+            this.queues.get(id).configure(this.getQueueSettings(id));
+        }
+        this.emit('server-updated', { id, server });
+
+        // Apply the new definition to the live bridge
+        if (this.connections.has(id)) {
+            await this.disconnectServer(id);
+            this.connections.delete(id);
+        }
+        if (server.enabled) {
+            await this.connectToServer(id, server).catch(() => {});
+        }
+        return this.getServer(id);
+    }
+
+    async setServerEnabled(id, enabled) {
+        return this.updateServer(id, { enabled });
+    }
+
+    async removeServer(id) {
+        if (!this.servers.has(id)) {
+            throw new NotFoundError(`Unknown MCP server: ${id}`);
+        }
+
+        if (this.connections.has(id)) {
+            await this.disconnectServer(id);
+            this.connections.delete(id);
+        }
+
+        if (this.database) {
+            await this.database.deleteMCPServer(id);
+        }
+        this.servers.delete(id);
+        this.queues.delete(id);
+        this.emit('server-removed', { id });
+    }
+
+    getQueue(serverId) {
+        let queue = this.queues.get(serverId);
+        if (!queue) {
+            queue = new RequestQueue(serverId, this.getQueueSettings(serverId));
+            this.queues.set(serverId, queue);
+        }
+        return queue;
+    }
+
+    getQueueSettings(serverId) {
+        const server = this.servers.get(serverId) || {};
+        return {
+            concurrency: server.maxConcurrent || this.defaultConcurrency,
+            maxQueue: server.maxQueue !== undefined ? server.maxQueue : DEFAULT_MAX_QUEUE,
+            queueTimeout: server.queueTimeout || DEFAULT_QUEUE_TIMEOUT
+        };
+    }
+
+    async refreshConcurrencyLimits() {
+        if (this.database) {
+            try {
+                // PUT /api/config stores strings unless a type is given, so "4" counts as well as 4
+                const value = Number(await this.database.getConfig('max_connections'));
+                if (Number.isInteger(value) && value > 0) {
+                    this.defaultConcurrency = value;
+                }
+            } catch (error) {
+                console.error('Failed to read max_connections config:', error);
+            }
+        }
+
+        for (const [serverId, queue] of this.queues) {
+            queue.configure(this.getQueueSettings(serverId));
+        }
+    }
+
+    async persistServer(id, server) {
+        if (this.database) {
+            await this.database.saveMCPServer({ id, ...server });
+        }
+    }
+
+    persistConnectionState(connection) {
+        if (!this.database) return;
+
+        this.database.updateMCPConnectionStatus(connection.id, connection.status, connection.capabilities)
+            .catch(err => console.error('Failed to save MCP connection state:', err));
+    }
+
+    createConnection(id, server) {
+        const previous = this.connections.get(id);
+        const connection = {
+            id,
+            server,
+            status: 'connecting',
+            protocolVersion: null,
+            serverInfo: null,
+            capabilities: {},
+            instructions: null,
+            lastError: null,
+            lastPing: new Date(),
+            messageCount: previous ? previous.messageCount : 0,
+            pending: new Map(),
+            cancelled: new Set(),
+            closing: false,
+            reconnect: previous ? previous.reconnect : { state: 'idle', attempts: 0, nextAttemptAt: null, timer: null },
+            tools: [],
+            toolsUpdatedAt: null,
+            prompts: [],
+            subscriptions: previous ? previous.subscriptions : new Set(),
+            subscribing: new Map(),
+            health: previous ? previous.health : {
+                state: 'unknown',
+                latencyMs: null,
+                consecutiveFailures: 0,
+                lastCheckedAt: null,
+                lastError: null,
+                history: []
+            }
+        };
+
+        this.connections.set(id, connection);
+        return connection;
+    }
+
     async connectToServer(id, server) {
-        // Simulate connection for demo purposes
-        if (server.status === 'simulated') {
-            this.connections.set(id, {
-                id,
-                server,
-                status: 'connected',
-                lastPing: new Date(),
-                messageCount: 0
-            });
-            
-            console.log(`📡 Connected to ${server.name} (simulated)`);
-            this.emit('server-connected', { id, server });
-            return;
+        const connection = this.createConnection(id, server);
+
+        // Connect over the server's transport (WebSocket, stdio, Streamable HTTP or the in-process mock)
+        let transport;
+        try {
+            transport = createTransport(server);
+        } catch (error) {
+            connection.status = 'disconnected';
+            connection.lastError = error.message;
+            throw error;
         }
 
-        // Real WebSocket connection (for actual MCP servers)
+        connection.transport = transport;
+
+        // Events from a transport that has since been replaced are ignored
+        const isCurrent = () => this.connections.get(id) === connection;
+
+        transport.on('message', (data) => {
+            if (isCurrent()) this.handleMessage(id, data);
+        });
+
+        transport.on('stderr', (line) => {
+            this.logActivity('mcp-stderr', id, line);
+        });
+
+        transport.on('close', ({ reason }) => {
+            if (!isCurrent()) return;
+            connection.lastError = connection.lastError || reason;
+            this.handleDisconnect(id);
+        });
+
+        transport.on('error', (error) => {
+            console.error(`❌ Error with ${server.name}:`, error.message);
+            connection.lastError = error.message;
+        });
+
         try {
-            const ws = new WebSocket(server.url);
-            
-            ws.on('open', () => {
-                this.connections.set(id, {
-                    id,
-                    server,
-                    ws,
-                    status: 'connected',
-                    lastPing: new Date(),
-                    messageCount: 0
-                });
-                
-                console.log(`📡 Connected to ${server.name}`);
-                this.emit('server-connected', { id, server });
-            });
+            await transport.start();
+            await this.initializeConnection(connection);
+        } catch (error) {
+            connection.lastError = error.message;
+            console.error(`❌ Could not establish session with ${server.name}:`, error.message);
+            await transport.close();
+            this.handleDisconnect(id);
+            throw new Error(`Failed to connect to ${server.name}: ${error.message}`);
+        }
 
-            ws.on('message', (data) => {
-                this.handleMessage(id, data);
-            });
+        await this.loadCatalog(connection);
+        return connection;
+    }
 
-            ws.on('close', () => {
-                this.handleDisconnect(id);
-            });
+    // Fetch what the server offers; a failure here leaves the connection usable
+    async loadCatalog(connection) {
+        if (connection.capabilities.tools) {
+            try {
+                await this.refreshTools(connection.id);
+            } catch (error) {
+                console.warn(`⚠️ Could not list tools of ${connection.server.name}:`, error.message);
+            }
+        }
+
+        if (connection.capabilities.prompts) {
+            try {
+                await this.refreshPrompts(connection.id);
+            } catch (error) {
+                console.warn(`⚠️ Could not list prompts of ${connection.server.name}:`, error.message);
+            }
+        }
+
+        // Subscriptions survive reconnects
+        for (const uri of connection.subscriptions) {
+            try {
+                await this.sendMessage(connection.id, { method: 'resources/subscribe', params: { uri } });
+            } catch (error) {
+                console.warn(`⚠️ Could not resubscribe to ${uri} on ${connection.server.name}:`, error.message);
+            }
+        }
+    }
+
+    async listAll(serverId, method, key) {
+        const items = [];
+        let cursor;
+        let pages = 0;
+
+        do {
+            const result = await this.sendMessage(serverId, { method, params: cursor ? { cursor } : {} });
+            items.push(...(result?.[key] || []));
+            cursor = result?.nextCursor;
+        } while (cursor && ++pages < MAX_LIST_PAGES);
+
+        return items;
+    }
+
+    async refreshTools(serverId) {
+        const connection = this.connections.get(serverId);
+        if (!connection) {
+            throw new NotFoundError(`No connection to server: ${serverId}`);
+        }
+
+        const tools = await this.listAll(serverId, 'tools/list', 'tools');
+        connection.tools = tools;
+        connection.toolsUpdatedAt = new Date();
+
+        console.log(`🧰 ${connection.server.name} offers ${tools.length} tool(s)`);
+        this.emit('tools-changed', { serverId, tools });
+        return tools;
+    }
+
+    getTools(serverId = null) {
+        const tools = [];
+        for (const connection of this.connections.values()) {
+            if (serverId && connection.id !== serverId) continue;
+            if (connection.status !== 'connected') continue;
+
+            for (const tool of connection.tools) {
+                tools.push({ ...tool, serverId: connection.id, serverName: connection.server.name });
+            }
+        }
+        return tools;
+    }
+
+    getTool(serverId, name) {
+        const connection = this.connections.get(serverId);
+        return connection ? connection.tools.find(tool => tool.name === name) || null : null;
+    }
+
+    async refreshPrompts(serverId) {
+        const connection = this.requireCapability(serverId, 'prompts');
+
+        const prompts = await this.listAll(serverId, 'prompts/list', 'prompts');
+        connection.prompts = prompts;
+
+        this.emit('prompts-changed', { serverId, prompts });
+        return prompts;
+    }
+
+    getPrompts(serverId = null) {
+        const prompts = [];
+        for (const connection of this.connections.values()) {
+            if (serverId && connection.id !== serverId) continue;
+            if (connection.status !== 'connected') continue;
+
+            for (const prompt of connection.prompts) {
+                prompts.push({ ...prompt, serverId: connection.id, serverName: connection.server.name });
+            }
+        }
+        return prompts;
+    }
+
+    // Render a prompt; the server substitutes the (string-only) arguments into its template
+    async getPrompt(serverId, name, args = {}) {
+        const connection = this.requireCapability(serverId, 'prompts');
+
+        const prompt = connection.prompts.find(entry => entry.name === name);
+        if (!prompt) {
+            throw new ValidationError(`Unknown prompt ${name} on ${serverId}`, [{ field: 'name', message: 'is not offered by this server' }]);
+        }
+
+        const missing = (prompt.arguments || []).filter(arg => arg.required && (args[arg.name] === undefined || args[arg.name] === ''));
+        if (missing.length > 0) {
+            throw new ValidationError(`Missing arguments for prompt ${name}`, missing.map(arg => ({ field: arg.name, message: 'is required' })));
+        }
+
+        const stringArgs = Object.fromEntries(Object.entries(args).map(([key, value]) => [
+            key,
+            typeof value === 'string' ? value : JSON.stringify(value)
+        ]));
+
+        return this.sendMessage(serverId, { method: 'prompts/get', params: { name, arguments: stringArgs } });
+    }
 
-            ws.on('error', (error) => {
-                console.error(`❌ Error with ${server.name}:`, error);
-                this.handleDisconnect(id);
+    requireCapability(serverId, capability, feature = null) {
+        const connection = this.connections.get(serverId);
+        if (!connection) {
+            throw new NotFoundError(`No connection to server: ${serverId}`);
+        }
+
+        const supported = connection.capabilities[capability];
+        if (!supported || (feature && !supported[feature])) {
+            const name = feature ? `${capability}.${feature}` : capability;
+            throw new ValidationError(`Server ${serverId} does not support ${name}`, [{ field: 'serverId', message: `does not support ${name}` }]);
+        }
+        return connection;
+    }
+
+    async listResources(serverId) {
+        this.requireCapability(serverId, 'resources');
+        return this.listAll(serverId, 'resources/list', 'resources');
+    }
+
+    async listResourceTemplates(serverId) {
+        this.requireCapability(serverId, 'resources');
+        return this.listAll(serverId, 'resources/templates/list', 'resourceTemplates');
+    }
+
+    async readResource(serverId, uri) {
+        this.requireCapability(serverId, 'resources');
+        const result = await this.sendMessage(serverId, { method: 'resources/read', params: { uri } });
+        return result?.contents || [];
+    }
+
+    async subscribeResource(serverId, uri) {
+        const connection = this.requireCapability(serverId, 'resources', 'subscribe');
+        if (connection.subscriptions.has(uri)) return connection.subscribing.get(uri);
+
+        // Recorded before the request goes out, so concurrent callers share one upstream subscription
+        connection.subscriptions.add(uri);
+        const request = this.sendMessage(serverId, { method: 'resources/subscribe', params: { uri } })
+            .then(() => {}, (error) => {
+                connection.subscriptions.delete(uri);
+                throw error;
+            })
+            .finally(() => {
+                if (connection.subscribing.get(uri) === request) connection.subscribing.delete(uri);
             });
+        connection.subscribing.set(uri, request);
+        return request;
+    }
+
+    async unsubscribeResource(serverId, uri) {
+        const connection = this.connections.get(serverId);
+        if (!connection || !connection.subscriptions.delete(uri)) return;
+
+        if (connection.status === 'connected') {
+            await this.sendMessage(serverId, { method: 'resources/unsubscribe', params: { uri } });
+        }
+    }
+
+    // Check tools/call params against the cached catalog before they go over the wire
+    prepareToolCall(serverId, params = {}) {
+        if (typeof params.name !== 'string' || !params.name) {
+            throw new ValidationError('Tool name is required', [{ field: 'name', message: 'is required' }]);
+        }
+
+        const args = params.arguments === undefined ? {} : params.arguments;
+        if (typeof args !== 'object' || args === null || Array.isArray(args)) {
+            throw new ValidationError('Tool arguments must be an object', [{ field: 'arguments', message: 'must be an object' }]);
+        }
+
+        const connection = this.connections.get(serverId);
+        if (!connection || !connection.toolsUpdatedAt) {
+            return { ...params, arguments: args };
+        }
 
+        const tool = this.getTool(serverId, params.name);
+        if (!tool) {
+            throw new ValidationError(`Unknown tool ${params.name} on ${serverId}`, [{ field: 'name', message: 'is not offered by this server' }]);
+        }
+
+        return { ...params, arguments: validateToolArguments(tool, args) };
+    }
+
+    // Tools listed in the server's confirmTools, or annotated as destructive, only run once the caller confirms
+    requiresConfirmation(serverId, toolName) {
+        const connection = this.connections.get(serverId);
+        if (!connection) return false;
+
+        const tool = this.getTool(serverId, toolName);
+        return (connection.server.confirmTools || []).includes(toolName)
+            || Boolean(tool && tool.annotations && tool.annotations.destructiveHint === true);
+    }
+
+    requestConfirmation(serverId, params, context = {}) {
+        this.getConnectedConnection(serverId);
+        params = this.prepareToolCall(serverId, params);
+        const id = crypto.randomUUID();
+        const controller = new AbortController();
+        const confirmation = {
+            id,
+            serverId,
+            tool: params.name,
+            arguments: params.arguments || {},
+            context,
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + CONFIRMATION_TIMEOUT)
+        };
+
+        const timer = setTimeout(() => {
+            this.confirmations.delete(id);
+            controller.abort();
+            console.log(`⌛ Confirmation for ${confirmation.tool} on ${serverId} expired`);
+        }, CONFIRMATION_TIMEOUT);
+        this.confirmations.set(id, { ...confirmation, timer, controller });
+        this.emit('confirmation-requested', confirmation);
+
+        return { ...confirmation, signal: controller.signal, timeout: CONFIRMATION_TIMEOUT };
+    }
+
+    cancelConfirmation(id, reason = 'Cancelled by user') {
+        const pending = this.confirmations.get(id);
+        if (!pending) {
+            throw new NotFoundError(`No pending confirmation: ${id}`);
+        }
+
+        this.confirmations.delete(id);
+        clearTimeout(pending.timer);
+        pending.controller.abort();
+        console.log(`🛑 Confirmation for ${pending.tool} on ${pending.serverId} cancelled: ${reason}`);
+    }
+
+    // A confirmation is used once, and only for the exact call it was issued for
+    checkConfirmation(serverId, params, { confirmationId, context = {} } = {}) {
+        if (!this.requiresConfirmation(serverId, params.name)) return;
+
+        if (!confirmationId) {
+            const { signal, timeout, ...confirmation } = this.requestConfirmation(serverId, params, context);
+            throw new ConfirmationRequiredError(confirmation);
+        }
+
+        const pending = this.confirmations.get(confirmationId);
+        if (!pending) {
+            throw new NotFoundError(`No pending confirmation: ${confirmationId}`);
+        }
+        if (pending.serverId !== serverId || pending.tool !== params.name
+            || canonicalJSON(pending.arguments) !== canonicalJSON(params.arguments || {})) {
+            throw new ValidationError('The confirmation was issued for a different call', [
+                { field: 'confirmationId', message: `confirms ${pending.tool} on ${pending.serverId} with other arguments` }
+            ]);
+        }
+
+        this.confirmations.delete(confirmationId);
+        clearTimeout(pending.timer);
+    }
+
+    async initializeConnection(connection) {
+        connection.status = 'initializing';
+
+        const result = await this.request(connection, 'initialize', {
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: { sampling: {}, elicitation: {} },
+            clientInfo: CLIENT_INFO
+        });
+
+        if (!SUPPORTED_PROTOCOL_VERSIONS.includes(result?.protocolVersion)) {
+            throw new MCPError(
+                `${connection.server.name} requested unsupported protocol version ${result?.protocolVersion}`,
+                ErrorCodes.INVALID_REQUEST,
+                { supported: SUPPORTED_PROTOCOL_VERSIONS, requested: result?.protocolVersion }
+            );
+        }
+
+        this.applyInitializeResult(connection, result);
+        this.transmit(connection, { jsonrpc: '2.0', method: 'notifications/initialized' });
+        this.markConnected(connection);
+    }
+
+    applyInitializeResult(connection, result) {
+        connection.protocolVersion = result.protocolVersion;
+        connection.serverInfo = result.serverInfo || null;
+        connection.capabilities = result.capabilities || {};
+        connection.instructions = result.instructions || null;
+    }
+
+    markConnected(connection) {
+        const { id, server } = connection;
+        connection.status = 'connected';
+        connection.lastError = null;
+        connection.lastPing = new Date();
+        this.stats.totalConnections++;
+        this.stats.activeConnections++;
+
+        const attempts = connection.reconnect.attempts;
+        connection.reconnect = { state: 'idle', attempts: 0, nextAttemptAt: null, timer: null };
+
+        const info = connection.serverInfo;
+        const label = `${info?.name || 'unknown'} ${info?.version || ''}`.trim();
+        console.log(`📡 Connected to ${server.name} (${label}, protocol ${connection.protocolVersion})`);
+        this.persistConnectionState(connection);
+        this.emit('server-connected', { id, server, serverInfo: info, capabilities: connection.capabilities });
+
+        if (attempts > 0) {
+            console.log(`🔄 Reconnected to ${server.name} after ${attempts} attempt(s)`);
+            this.emit('server-reconnected', { id, server, attempts });
+        }
+
+        connection.health.consecutiveFailures = 0;
+        this.checkHealth(id).catch(() => {});
+    }
+
+    async isAutoReconnectEnabled() {
+        if (this.database) {
+            try {
+                // Set through PUT /api/config, the value may be the string "false" rather than a boolean
+                const value = await this.database.getConfig('auto_reconnect');
+                if (value !== null) return value === true || value === 'true';
+            } catch (error) {
+                console.error('Failed to read auto_reconnect config:', error);
+            }
+        }
+        return process.env.AUTO_RECONNECT !== 'false';
+    }
+
+    getReconnectDelay(attempt) {
+        // Exponential backoff with "equal jitter": half fixed, half random
+        const ceiling = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** attempt);
+        return Math.floor(ceiling / 2 + Math.random() * (ceiling / 2));
+    }
+
+    async scheduleReconnect(serverId) {
+        const connection = this.connections.get(serverId);
+        if (!connection || connection.closing || connection.reconnect.timer) return;
+
+        if (!(await this.isAutoReconnectEnabled())) return;
+
+        // The connection may have been replaced or torn down while reading the config
+        if (this.connections.get(serverId) !== connection || connection.closing || connection.status !== 'disconnected') return;
+
+        const reconnect = connection.reconnect;
+        if (reconnect.attempts >= MAX_RECONNECT_ATTEMPTS) {
+            reconnect.state = 'failed';
+            reconnect.nextAttemptAt = null;
+            console.warn(`⚠️ Giving up on ${connection.server.name} after ${reconnect.attempts} reconnect attempts`);
+            this.emit('server-reconnect-failed', { id: serverId, server: connection.server, attempts: reconnect.attempts });
+            return;
+        }
+
+        const delay = this.getReconnectDelay(reconnect.attempts);
+        reconnect.state = 'scheduled';
+        reconnect.nextAttemptAt = new Date(Date.now() + delay);
+        reconnect.timer = setTimeout(() => this.attemptReconnect(serverId), delay);
+        console.log(`🔄 Reconnecting to ${connection.server.name} in ${(delay / 1000).toFixed(1)}s (attempt ${reconnect.attempts + 1}/${MAX_RECONNECT_ATTEMPTS})`);
+    }
+
+    async attemptReconnect(serverId) {
+        const connection = this.connections.get(serverId);
+        if (!connection || connection.closing) return;
+
+        const reconnect = connection.reconnect;
+        reconnect.timer = null;
+        reconnect.nextAttemptAt = null;
+        reconnect.state = 'connecting';
+        reconnect.attempts++;
+
+        try {
+            await this.connectToServer(serverId, connection.server);
         } catch (error) {
-            throw new Error(`Failed to connect to ${server.name}: ${error.message}`);
+            // The failed attempt went through handleDisconnect, which schedules the next one
+        }
+    }
+
+    cancelReconnect(connection) {
+        if (connection.reconnect.timer) {
+            clearTimeout(connection.reconnect.timer);
+        }
+        connection.reconnect = { state: 'idle', attempts: 0, nextAttemptAt: null, timer: null };
+    }
+
+    async disconnectServer(serverId) {
+        const connection = this.connections.get(serverId);
+        if (!connection) {
+            throw new NotFoundError(`No connection to server: ${serverId}`);
+        }
+
+        connection.closing = true;
+        this.cancelReconnect(connection);
+        if (connection.transport) {
+            await connection.transport.close();
+        }
+        this.handleDisconnect(serverId);
+    }
+
+    async reconnectServer(serverId) {
+        const connection = this.connections.get(serverId);
+        if (!connection) {
+            throw new NotFoundError(`No connection to server: ${serverId}`);
         }
+
+        console.log(`🔄 Manually reconnecting to ${connection.server.name}`);
+        await this.disconnectServer(serverId);
+        return this.connectToServer(serverId, connection.server);
     }
 
     handleMessage(serverId, data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.error(`❌ Error parsing message from ${serverId}:`, error);
+            return;
+        }
+
+        const connection = this.connections.get(serverId);
+        if (connection) {
+            connection.messageCount++;
+            connection.lastPing = new Date();
+            this.stats.messagesProcessed++;
+            this.stats.lastActivity = new Date();
+        }
+
+        // JSON-RPC allows batching several messages into one frame
+        const messages = Array.isArray(message) ? message : [message];
+        for (const msg of messages) {
+            if (connection && msg.id !== undefined && msg.id !== null && !msg.method) {
+                this.handleResponse(connection, msg);
+                continue;
+            }
+
+            if (msg.method && (msg.id === undefined || msg.id === null)) {
+                this.handleNotification(serverId, msg);
+            } else if (connection && msg.method) {
+                this.handleServerRequest(connection, msg);
+            }
+
+            this.emit('message', { serverId, message: msg });
+        }
+    }
+
+    // Sources such as the Discord bot register a handler to put server requests in front of their users
+    setInteractionHandler(source, handler) {
+        this.interactionHandlers.set(source, handler);
+    }
+
+    async handleServerRequest(connection, message) {
+        let response;
         try {
-            const message = JSON.parse(data);
-            const connection = this.connections.get(serverId);
-            
-            if (connection) {
-                connection.messageCount++;
-                connection.lastPing = new Date();
-                this.stats.messagesProcessed++;
-                this.stats.lastActivity = new Date();
+            const result = await this.answerServerRequest(connection, message);
+            response = { jsonrpc: '2.0', id: message.id, result };
+        } catch (error) {
+            response = {
+                jsonrpc: '2.0',
+                id: message.id,
+                error: { code: error.code || ErrorCodes.INTERNAL_ERROR, message: error.message }
+            };
+        }
+
+        try {
+            this.transmit(connection, response);
+        } catch (error) {
+            console.warn(`⚠️ Could not answer ${message.method} from ${connection.server.name}:`, error.message);
+        }
+    }
+
+    async answerServerRequest(connection, message) {
+        switch (message.method) {
+            case 'ping':
+                return {};
+            case 'sampling/createMessage': {
+                const answer = await this.askUser(connection, 'sampling', message.params || {});
+                if (answer.action !== 'accept') {
+                    throw new MCPError('User rejected sampling request', USER_REJECTED);
+                }
+                return {
+                    role: 'assistant',
+                    content: { type: 'text', text: answer.content.text },
+                    model: 'human',
+                    stopReason: 'endTurn'
+                };
             }
+            case 'elicitation/create': {
+                const answer = await this.askUser(connection, 'elicitation', message.params || {});
+                return answer.action === 'accept' ? { action: 'accept', content: answer.content } : { action: answer.action };
+            }
+            default:
+                throw new MCPError(`Method not found: ${message.method}`, ErrorCodes.METHOD_NOT_FOUND);
+        }
+    }
 
-            this.emit('message', { serverId, message });
+    // Servers ask while handling a tool call; the user who started that call answers.
+    // The call is known by the progressToken in _meta; without a match nobody is asked, since guessing could reach another user
+    findRelatedCall(serverId, params) {
+        const token = params._meta?.progressToken;
+        if (token === undefined) return null;
+
+        const call = this.activeCalls.get(token);
+        return call && call.serverId === serverId && !call.queued ? call : null;
+    }
+
+    async askUser(connection, type, params) {
+        const call = this.findRelatedCall(connection.id, params);
+        const handler = call && this.interactionHandlers.get(call.context.source);
+        const describe = `${type} request from ${connection.server.name}`;
+
+        if (!handler) {
+            console.log(`🙅 Declined ${describe}: nobody to ask`);
+            return { action: 'decline' };
+        }
+
+        // The tool call stays pending while the user answers, so its timeout is suspended
+        const pending = connection.pending.get(call.requestId);
+        if (pending) pending.pause();
+
+        const controller = new AbortController();
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => {
+                controller.abort();
+                resolve({ action: 'cancel', timedOut: true });
+            }, INTERACTION_TIMEOUT);
+        });
+
+        try {
+            const answer = await Promise.race([
+                handler({ type, serverId: connection.id, serverName: connection.server.name, call: this.describeCall(call), params, signal: controller.signal, timeout: INTERACTION_TIMEOUT }),
+                timeout
+            ]);
+            console.log(`💬 ${describe}: ${answer.timedOut ? 'timed out' : answer.action}`);
+            this.logActivity('mcp-interaction', connection.id, `${describe}: ${answer.timedOut ? 'timed out' : answer.action}`, {
+                type,
+                callId: call.callId,
+                tool: call.tool,
+                context: call.context,
+                action: answer.action
+            });
+            return answer;
         } catch (error) {
-            console.error(`❌ Error parsing message from ${serverId}:`, error);
+            console.warn(`⚠️ Could not ask user about ${describe}:`, error.message);
+            return { action: 'decline' };
+        } finally {
+            clearTimeout(timer);
+            controller.abort();
+            if (pending && connection.pending.has(call.requestId)) pending.touch();
+        }
+    }
+
+    handleNotification(serverId, message) {
+        switch (message.method) {
+            case 'notifications/tools/list_changed':
+                this.refreshTools(serverId).catch(error => {
+                    console.warn(`⚠️ Could not refresh tools of ${serverId}:`, error.message);
+                });
+                break;
+            case 'notifications/prompts/list_changed':
+                this.refreshPrompts(serverId).catch(error => {
+                    console.warn(`⚠️ Could not refresh prompts of ${serverId}:`, error.message);
+                });
+                break;
+            case 'notifications/resources/updated':
+                this.emit('resource-updated', { serverId, uri: message.params?.uri });
+                break;
+            case 'notifications/resources/list_changed':
+                this.emit('resources-changed', { serverId });
+                break;
+            case 'notifications/progress':
+                this.handleProgress(serverId, message.params || {});
+                break;
+        }
+    }
+
+    handleProgress(serverId, params) {
+        const call = this.activeCalls.get(params.progressToken);
+        if (!call || call.serverId !== serverId) return;
+
+        call.progress = { progress: params.progress, total: params.total, message: params.message };
+
+        // Progress proves the server is still working, so the timeout starts over
+        const request = this.connections.get(serverId)?.pending.get(call.requestId);
+        if (request) request.touch();
+
+        const event = { callId: call.callId, serverId, tool: call.tool, ...call.progress };
+        if (call.onProgress) {
+            try {
+                call.onProgress(event);
+            } catch (error) {
+                console.error('❌ Progress handler failed:', error);
+            }
+        }
+        this.emit('call-progress', event);
+    }
+
+    handleResponse(connection, message) {
+        const request = connection.pending.get(message.id);
+        if (!request) {
+            // Servers may still answer a request after it was cancelled
+            if (connection.cancelled.delete(message.id)) return;
+            console.warn(`⚠️ Received response for unknown request ${message.id} from ${connection.server.name}`);
+            return;
+        }
+
+        connection.pending.delete(message.id);
+        clearTimeout(request.timer);
+
+        if (message.error) {
+            request.reject(MCPError.fromResponse(message.error));
+        } else {
+            request.resolve(message.result);
         }
     }
 
     handleDisconnect(serverId) {
         const connection = this.connections.get(serverId);
-        if (connection) {
+        if (connection && connection.status !== 'disconnected') {
+            if (connection.status === 'connected') {
+                this.stats.activeConnections--;
+            }
             connection.status = 'disconnected';
-            this.stats.activeConnections--;
+            const closed = new MCPError(`Connection to ${connection.server.name} closed`, ErrorCodes.CONNECTION_CLOSED);
+            this.rejectPending(connection, closed);
+            if (this.queues.has(serverId)) {
+                this.queues.get(serverId).clear(closed);
+            }
             console.log(`🔌 Disconnected from ${connection.server.name}`);
+            this.setHealthState(connection, 'unreachable', 'connection closed');
+            this.persistConnectionState(connection);
             this.emit('server-disconnected', { id: serverId, server: connection.server });
+
+            if (!connection.closing) {
+                this.scheduleReconnect(serverId);
+            }
+        }
+    }
+
+    rejectPending(connection, error) {
+        if (!connection.pending) return;
+
+        for (const request of connection.pending.values()) {
+            clearTimeout(request.timer);
+            request.reject(error);
         }
+        connection.pending.clear();
     }
 
-    async sendMessage(serverId, message) {
+    getConnectedConnection(serverId) {
         const connection = this.connections.get(serverId);
         if (!connection) {
-            throw new Error(`No connection to server: ${serverId}`);
+            throw new NotFoundError(`No connection to server: ${serverId}`);
         }
 
         if (connection.status !== 'connected') {
-            throw new Error(`Server ${serverId} is not connected`);
+            throw new MCPNotConnectedError(serverId, connection.status);
+        }
+        return connection;
+    }
+
+    async sendMessage(serverId, message, options = {}) {
+        this.getConnectedConnection(serverId);
+        const queue = this.getQueue(serverId);
+
+        if (message.method === 'tools/call') {
+            message = { ...message, params: this.prepareToolCall(serverId, message.params) };
+            this.checkConfirmation(serverId, message.params, options);
+            return this.trackCall(serverId, queue, message, options);
         }
 
-        // Simulate response for demo servers
-        if (connection.server.status === 'simulated') {
-            return this.simulateResponse(message);
+        // The connection is looked up again once a slot is free; it may have been replaced meanwhile
+        return queue.run(() => this.request(this.getConnectedConnection(serverId), message.method, message.params, options));
+    }
+
+    // Tool calls carry a progress token and can be cancelled while queued or in flight
+    async trackCall(serverId, queue, message, options) {
+        const { callId = crypto.randomUUID(), context = {}, onProgress = null } = options;
+        if (typeof callId !== 'string' || !callId) {
+            throw new ValidationError('Invalid call id', [{ field: 'callId', message: 'must be a non-empty string' }]);
+        }
+        if (this.activeCalls.has(callId)) {
+            throw new ValidationError(`Call ${callId} is already in progress`, [{ field: 'callId', message: 'is already in use' }]);
         }
 
-        // Send to real WebSocket
-        if (connection.ws) {
-            connection.ws.send(JSON.stringify(message));
-            return { status: 'sent', timestamp: new Date() };
+        const call = {
+            callId,
+            serverId,
+            tool: message.params.name,
+            context,
+            onProgress,
+            requestId: null,
+            queued: true,
+            abort: new AbortController(),
+            progress: null,
+            startedAt: new Date()
+        };
+        this.activeCalls.set(callId, call);
+        this.emit('call-started', this.describeCall(call));
+
+        const params = { ...message.params, _meta: { ...message.params._meta, progressToken: callId } };
+        let status = 'failed';
+        try {
+            const result = await queue.run(() => {
+                call.queued = false;
+                return this.request(this.getConnectedConnection(serverId), message.method, params, { ...options, call });
+            }, { signal: call.abort.signal });
+            status = 'completed';
+            return result;
+        } catch (error) {
+            if (error instanceof MCPCancelledError) status = 'cancelled';
+            throw error;
+        } finally {
+            this.activeCalls.delete(callId);
+            this.emit('call-finished', { ...this.describeCall(call), status });
         }
     }
 
-    simulateResponse(message) {
-        // Simulate MCP responses based on message type
-        const responses = {
-            'tools/list': {
-                result: {
-                    tools: [
-                        { name: 'calculate', description: 'Perform mathematical calculations' },
-                        { name: 'weather', description: 'Get current weather information' },
-                        { name: 'translate', description: 'Translate text between languages' }
-                    ]
-                }
-            },
-            'tools/call': {
-                result: {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Tool executed successfully: ${message.params?.name || 'unknown'}`
-                        }
-                    ]
-                }
-            },
-            'resources/list': {
-                result: {
-                    resources: [
-                        { uri: 'file://demo.txt', name: 'Demo File', mimeType: 'text/plain' },
-                        { uri: 'http://example.com', name: 'Example Website', mimeType: 'text/html' }
-                    ]
+    describeCall(call) {
+        return {
+            callId: call.callId,
+            serverId: call.serverId,
+            tool: call.tool,
+            context: call.context,
+            queued: call.queued,
+            progress: call.progress,
+            startedAt: call.startedAt
+        };
+    }
+
+    getActiveCall(callId) {
+        const call = this.activeCalls.get(callId);
+        return call ? this.describeCall(call) : null;
+    }
+
+    getActiveCalls() {
+        return Array.from(this.activeCalls.values()).map(call => this.describeCall(call));
+    }
+
+    // Tells the server to stop working on a request whose answer nobody waits for any more
+    abandonRequest(connection, requestId, reason) {
+        connection.pending.delete(requestId);
+        connection.cancelled.add(requestId);
+        // Servers that never answer abandoned requests would otherwise grow the set forever
+        if (connection.cancelled.size > MAX_CANCELLED_IDS) {
+            connection.cancelled.delete(connection.cancelled.values().next().value);
+        }
+
+        try {
+            this.transmit(connection, {
+                jsonrpc: '2.0',
+                method: 'notifications/cancelled',
+                params: { requestId, reason }
+            });
+        } catch (error) {
+            // The connection is gone, so the server is no longer working on it either
+        }
+    }
+
+    cancelCall(callId, reason = 'Cancelled by user') {
+        const call = this.activeCalls.get(callId);
+        if (!call) {
+            throw new NotFoundError(`No active call: ${callId}`);
+        }
+
+        // Calls still waiting for a slot are simply taken out of the queue
+        if (call.queued) {
+            call.abort.abort(new MCPCancelledError('tools/call', reason));
+            console.log(`🛑 Cancelled queued ${call.tool} on ${call.serverId}: ${reason}`);
+            return this.describeCall(call);
+        }
+
+        const connection = this.connections.get(call.serverId);
+        const request = connection?.pending.get(call.requestId);
+        if (request) {
+            clearTimeout(request.timer);
+            this.abandonRequest(connection, call.requestId, reason);
+            request.reject(new MCPCancelledError(request.method, reason));
+        }
+
+        console.log(`🛑 Cancelled ${call.tool} on ${call.serverId}: ${reason}`);
+        return this.describeCall(call);
+    }
+
+    async sendNotification(serverId, method, params) {
+        this.transmit(this.getConnectedConnection(serverId), { jsonrpc: '2.0', method, ...(params !== undefined && { params }) });
+    }
+
+    request(connection, method, params, options = {}) {
+        const id = this.nextRequestId++;
+        const timeout = options.timeout || connection.server.timeout || this.requestTimeout;
+
+        return new Promise((resolve, reject) => {
+            const expire = () => {
+                // initialize can't be cancelled; a timed-out handshake drops the connection instead
+                if (method === 'initialize') {
+                    connection.pending.delete(id);
+                } else {
+                    this.abandonRequest(connection, id, `Timed out after ${timeout}ms`);
                 }
+                reject(new MCPTimeoutError(method, timeout));
+            };
+
+            const request = { id, method, resolve, reject, timer: setTimeout(expire, timeout), sentAt: new Date() };
+            request.touch = () => {
+                clearTimeout(request.timer);
+                request.timer = setTimeout(expire, timeout);
+            };
+            request.pause = () => clearTimeout(request.timer);
+            connection.pending.set(id, request);
+
+            if (options.call) {
+                options.call.requestId = id;
             }
-        };
 
-        return responses[message.method] || {
-            result: { message: 'Demo response', status: 'success' }
-        };
+            try {
+                this.transmit(connection, { jsonrpc: '2.0', id, method, ...(params !== undefined && { params }) });
+            } catch (error) {
+                clearTimeout(request.timer);
+                connection.pending.delete(id);
+                reject(error);
+            }
+        });
+    }
+
+    transmit(connection, message) {
+        if (!connection.transport || !connection.transport.isOpen) {
+            throw new MCPError(`Connection to ${connection.server.name} is not open`, ErrorCodes.CONNECTION_CLOSED);
+        }
+
+        connection.transport.send(message);
+    }
+
+    logActivity(type, source, message, data = null) {
+        if (!this.database) return;
+
+        this.database.logActivity(type, source, message, data)
+            .catch(err => console.error('Failed to log MCP activity:', err));
     }
 
     startPeriodicTasks() {
-        // Ping servers every 30 seconds
-        setInterval(() => {
+        this.timers.push(setInterval(() => {
             this.pingServers();
-        }, 30000);
+        }, PING_INTERVAL));
 
-        // Update stats every 10 seconds
-        setInterval(() => {
-            this.updateStats();
-        }, 10000);
+        if (this.demoMode) {
+            // Update stats every 10 seconds
+            this.timers.push(setInterval(() => {
+                this.updateStats();
+            }, 10000));
+        }
     }
 
     async pingServers() {
-        for (const [id, connection] of this.connections) {
-            if (connection.status === 'connected') {
-                try {
-                    await this.sendMessage(id, { method: 'ping' });
-                } catch (error) {
-                    console.warn(`⚠️ Ping failed for ${connection.server.name}`);
-                }
-            }
+        const checks = Array.from(this.connections.values())
+            .filter(connection => connection.status === 'connected')
+            .map(connection => this.checkHealth(connection.id).catch(() => {}));
+        await Promise.all(checks);
+    }
+
+    // Pings skip the request queue so a busy server is not reported as unreachable
+    async checkHealth(serverId) {
+        const connection = this.getConnectedConnection(serverId);
+        const { health } = connection;
+        const startedAt = process.hrtime.bigint();
+        let state;
+
+        try {
+            await this.request(connection, 'ping', undefined, { timeout: PING_TIMEOUT });
+            const latencyMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10;
+            health.latencyMs = latencyMs;
+            health.consecutiveFailures = 0;
+            health.lastError = null;
+            health.history.push({ at: new Date(), latencyMs });
+            state = latencyMs > DEGRADED_LATENCY ? 'degraded' : 'healthy';
+        } catch (error) {
+            health.consecutiveFailures++;
+            health.lastError = error.message;
+            health.history.push({ at: new Date(), latencyMs: null, error: error.message });
+            state = health.consecutiveFailures >= UNREACHABLE_AFTER_FAILURES ? 'unreachable' : 'degraded';
+            console.warn(`⚠️ Ping failed for ${connection.server.name} (${health.consecutiveFailures} in a row):`, error.message);
         }
+
+        if (health.history.length > LATENCY_HISTORY_SIZE) {
+            health.history.splice(0, health.history.length - LATENCY_HISTORY_SIZE);
+        }
+        health.lastCheckedAt = new Date();
+        this.setHealthState(connection, state);
+        return this.describeHealth(connection);
+    }
+
+    setHealthState(connection, state, reason = null) {
+        const previous = connection.health.state;
+        connection.health.state = state;
+        if (previous === state || connection.closing) return;
+
+        const { id, server, health } = connection;
+        const detail = reason || health.lastError || (health.latencyMs !== null ? `${health.latencyMs} ms` : null);
+        const message = `${server.name} is ${state}${detail ? ` (${detail})` : ''}`;
+        console.log(`🩺 ${message}`);
+        this.logActivity('mcp-health', id, message, { previous, state, latencyMs: health.latencyMs, error: health.lastError });
+        this.emit('server-health', { id, server, previous, health: this.describeHealth(connection) });
+    }
+
+    describeHealth(connection) {
+        const { health } = connection;
+        const samples = health.history.filter(entry => entry.latencyMs !== null);
+        const averageLatencyMs = samples.length > 0
+            ? Math.round(samples.reduce((sum, entry) => sum + entry.latencyMs, 0) / samples.length * 10) / 10
+            : null;
+
+        return {
+            state: health.state,
+            latencyMs: health.latencyMs,
+            averageLatencyMs,
+            consecutiveFailures: health.consecutiveFailures,
+            lastCheckedAt: health.lastCheckedAt,
+            lastError: health.lastError,
+            history: health.history.slice()
+        };
     }
 
     updateStats() {
@@ -249,21 +1330,56 @@ class MCPBridge extends EventEmitter {
         return Array.from(this.connections.values()).map(conn => ({
             id: conn.id,
             name: conn.server.name,
+            transport: getTransportType(conn.server),
             status: conn.status,
-            capabilities: conn.server.capabilities,
+            protocolVersion: conn.protocolVersion,
+            serverInfo: conn.serverInfo,
+            capabilities: conn.capabilities,
+            instructions: conn.instructions,
+            lastError: conn.lastError,
+            reconnect: {
+                state: conn.reconnect.state,
+                attempts: conn.reconnect.attempts,
+                nextAttemptAt: conn.reconnect.nextAttemptAt
+            },
+            toolCount: conn.tools.length,
+            promptCount: conn.prompts.length,
             messageCount: conn.messageCount,
-            lastPing: conn.lastPing
+            lastPing: conn.lastPing,
+            health: this.describeHealth(conn)
         }));
     }
 
     getStats() {
-        return this.stats;
+        const queues = {};
+        const requests = { active: 0, queued: 0, timedOut: 0, rejected: 0, maxWaitMs: 0 };
+        for (const [serverId, queue] of this.queues) {
+            const stats = queue.getStats();
+            queues[serverId] = stats;
+            requests.active += stats.active;
+            requests.queued += stats.queued;
+            requests.timedOut += stats.timedOut;
+            requests.rejected += stats.rejected;
+            requests.maxWaitMs = Math.max(requests.maxWaitMs, stats.maxWaitMs);
+        }
+
+        return { ...this.stats, requests, queues };
     }
 
     async close() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        for (const pending of this.confirmations.values()) {
+            clearTimeout(pending.timer);
+            pending.controller.abort();
+        }
+        this.confirmations.clear();
         for (const connection of this.connections.values()) {
-            if (connection.ws && connection.status === 'connected') {
-                connection.ws.close();
+            connection.closing = true;
+            this.cancelReconnect(connection);
+            this.rejectPending(connection, new MCPError('MCP Bridge closed', ErrorCodes.CONNECTION_CLOSED));
+            if (connection.transport) {
+                await connection.transport.close();
             }
         }
         this.connections.clear();
@@ -0,0 +1,626 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const express = require('express');
+const WebSocket = require('ws');
+const { ErrorCodes, MCPError, ValidationError, NotFoundError } = require('./errors');
+const { validateToolArguments } = require('./schema-validator');
+const { authorizeRequest, checkOrigin } = require('./request-auth');
+
+// Exposes the bridge to external MCP clients (editors, agents) as a single server.
+// Upstream tools and prompts are namespaced as "<serverId>.<name>"; resources are
+// wrapped in bridge:// URIs so reads can be routed back to their server.
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const SERVER_INFO = { name: 'discord-ex-platform', title: 'Discord EX Platform', version: '1.0.0' };
+// HTTP sessions have no connection to watch, so idle ones are dropped and their number is capped
+const SESSION_IDLE_TIMEOUT = 10 * 60 * 1000;
+const MAX_HTTP_SESSIONS = 100;
+const KEEPALIVE_INTERVAL = 25000;
+const RESOURCE_SCHEME = 'bridge://';
+
+class MCPServer extends EventEmitter {
+    constructor(mcpBridge, discordBot, database = null, options = {}) {
+        super();
+        this.mcpBridge = mcpBridge;
+        this.discordBot = discordBot;
+        this.database = database;
+        this.token = options.token !== undefined ? options.token : process.env.MCP_SERVER_TOKEN || null;
+        this.allowedOrigins = (options.allowedOrigins || process.env.MCP_SERVER_ALLOWED_ORIGINS || '')
+            .split(',').map(origin => origin.trim()).filter(Boolean);
+        this.sessions = new Map();
+        this.wss = null;
+
+        this.discordTools = this.createDiscordTools();
+        this.router = this.createRouter();
+        this.setupBridgeEvents();
+
+        this.sweepTimer = setInterval(() => this.sweepSessions(), 60 * 1000);
+        this.sweepTimer.unref();
+    }
+
+    createDiscordTools() {
+        return [
+            {
+                name: 'discord.bot_status',
+                description: 'Show whether the Discord bot is connected, with its statistics',
+                inputSchema: { type: 'object', properties: {} },
+                annotations: { readOnlyHint: true },
+                handler: () => ({
+                    connected: this.discordBot.isConnected(),
+                    demoMode: this.discordBot.demoMode,
+                    stats: this.discordBot.getStats()
+                })
+            },
+            {
+                name: 'discord.list_guilds',
+                description: 'List the Discord servers (guilds) the bot is in',
+                inputSchema: { type: 'object', properties: {} },
+                annotations: { readOnlyHint: true },
+                handler: () => ({ guilds: this.discordBot.listGuilds() })
+            },
+            {
+                name: 'discord.list_channels',
+                description: 'List the text channels of a guild',
+                inputSchema: {
+                    type: 'object',
+                    properties: { guildId: { type: 'string', description: 'Guild id from discord.list_guilds' } },
+                    required: ['guildId']
+                },
+                annotations: { readOnlyHint: true },
+                handler: ({ guildId }) => ({ channels: this.discordBot.listChannels(guildId) })
+            },
+            {
+                name: 'discord.send_message',
+                description: 'Send a message to a Discord text channel',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        channelId: { type: 'string' },
+                        content: { type: 'string', minLength: 1, maxLength: 2000 }
+                    },
+                    required: ['channelId', 'content']
+                },
+                annotations: { readOnlyHint: false, destructiveHint: false, openWorldHint: true },
+                // Anything the bot posts speaks for it in every channel it can reach
+                needsConfirmation: true,
+                handler: ({ channelId, content }) => this.discordBot.sendChannelMessage(channelId, content)
+            }
+        ];
+    }
+
+    setupBridgeEvents() {
+        const toolsChanged = () => this.broadcast('notifications/tools/list_changed');
+        this.mcpBridge.on('tools-changed', toolsChanged);
+        this.mcpBridge.on('server-connected', toolsChanged);
+        this.mcpBridge.on('server-disconnected', toolsChanged);
+        this.mcpBridge.on('prompts-changed', () => this.broadcast('notifications/prompts/list_changed'));
+        this.mcpBridge.on('resources-changed', () => this.broadcast('notifications/resources/list_changed'));
+    }
+
+    broadcast(method, params) {
+        for (const session of this.sessions.values()) {
+            if (session.initialized) {
+                session.send({ jsonrpc: '2.0', method, ...(params !== undefined && { params }) });
+            }
+        }
+    }
+
+    authorize(req) {
+        return authorizeRequest(req, this.token);
+    }
+
+    checkOrigin(req) {
+        return checkOrigin(req, this.allowedOrigins);
+    }
+
+    createSession(transport, send) {
+        const session = {
+            id: crypto.randomUUID(),
+            transport,
+            send,
+            initialized: false,
+            protocolVersion: null,
+            clientInfo: null,
+            calls: new Map(),
+            cancelled: new Set(),
+            stream: null,
+            createdAt: new Date(),
+            lastActivity: new Date()
+        };
+        this.sessions.set(session.id, session);
+        return session;
+    }
+
+    closeSession(session) {
+        if (!this.sessions.delete(session.id)) return;
+
+        for (const callId of session.calls.values()) {
+            try {
+                this.mcpBridge.cancelCall(callId, 'MCP client disconnected');
+            } catch (error) {
+                // The call finished in the meantime
+            }
+        }
+        if (session.stream) {
+            session.stream.end();
+        }
+
+        if (session.clientInfo) {
+            console.log(`🔌 MCP client disconnected: ${session.clientInfo.name || session.id}`);
+        }
+    }
+
+    // Sessions with an open event stream or a running call are in use, however long ago their last request was
+    isIdle(session) {
+        return session.transport === 'http' && !session.stream && session.calls.size === 0;
+    }
+
+    sweepSessions() {
+        const cutoff = Date.now() - SESSION_IDLE_TIMEOUT;
+        for (const session of this.sessions.values()) {
+            if (this.isIdle(session) && session.lastActivity.getTime() < cutoff) {
+                this.closeSession(session);
+            }
+        }
+    }
+
+    // At the cap, the least recently used idle session makes room; if every session is in use, the new one is refused
+    makeRoomForHttpSession() {
+        const httpSessions = Array.from(this.sessions.values()).filter(session => session.transport === 'http');
+        if (httpSessions.length < MAX_HTTP_SESSIONS) return true;
+
+        const oldest = httpSessions
+            .filter(session => this.isIdle(session))
+            .sort((a, b) => a.lastActivity - b.lastActivity)[0];
+        if (!oldest) return false;
+
+        console.log(`🧹 Closing idle MCP session ${oldest.id} to stay within ${MAX_HTTP_SESSIONS} sessions`);
+        this.closeSession(oldest);
+        return true;
+    }
+
+    getSessions() {
+        return Array.from(this.sessions.values()).map(session => ({
+            id: session.id,
+            transport: session.transport,
+            clientInfo: session.clientInfo,
+            protocolVersion: session.protocolVersion,
+            activeCalls: session.calls.size,
+            createdAt: session.createdAt,
+            lastActivity: session.lastActivity
+        }));
+    }
+
+    // Handle one incoming message; resolves with the response, or null when none is due
+    async handleMessage(session, message, notify = session.send) {
+        session.lastActivity = new Date();
+
+        if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+            return this.errorResponse(null, new MCPError('Invalid Request', ErrorCodes.INVALID_REQUEST));
+        }
+
+        if (message.id === undefined || message.id === null) {
+            if (message.method) this.handleNotification(session, message);
+            return null;
+        }
+
+        // Responses to requests we never send are ignored
+        if (!message.method) return null;
+
+        try {
+            if (!session.initialized && !['initialize', 'ping'].includes(message.method)) {
+                throw new MCPError('Session not initialized', ErrorCodes.INVALID_REQUEST);
+            }
+
+            const result = await this.dispatch(session, message, notify);
+            return { jsonrpc: '2.0', id: message.id, result };
+        } catch (error) {
+            // Requests the client cancelled itself get no response
+            if (session.cancelled.delete(message.id)) return null;
+            return this.errorResponse(message.id, error);
+        }
+    }
+
+    handleNotification(session, message) {
+        switch (message.method) {
+            case 'notifications/initialized':
+                session.initialized = true;
+                break;
+            case 'notifications/cancelled': {
+                const requestId = message.params?.requestId;
+                const callId = session.calls.get(requestId);
+                if (!callId) break;
+
+                session.cancelled.add(requestId);
+                try {
+                    this.mcpBridge.cancelCall(callId, message.params?.reason || 'Cancelled by MCP client');
+                } catch (error) {
+                    // The call finished in the meantime
+                }
+                break;
+            }
+        }
+    }
+
+    errorResponse(id, error) {
+        let code = ErrorCodes.INTERNAL_ERROR;
+        let data;
+
+        if (error instanceof ValidationError) {
+            code = ErrorCodes.INVALID_PARAMS;
+            data = { details: error.details };
+        } else if (error instanceof NotFoundError) {
+            code = ErrorCodes.INVALID_PARAMS;
+        } else if (error instanceof MCPError) {
+            code = error.code;
+            data = error.data;
+        }
+
+        return {
+            jsonrpc: '2.0',
+            id,
+            error: { code, message: error.message, ...(data !== undefined && { data }) }
+        };
+    }
+
+    async dispatch(session, message, notify) {
+        const params = message.params || {};
+
+        switch (message.method) {
+            case 'initialize':
+                return this.initializeSession(session, params);
+            case 'ping':
+                return {};
+            case 'tools/list':
+                return { tools: this.listTools() };
+            case 'tools/call':
+                return this.callTool(session, message.id, params, notify);
+            case 'resources/list':
+                return { resources: await this.listResources() };
+            case 'resources/read':
+                return this.readResource(params.uri);
+            case 'prompts/list':
+                return { prompts: this.listPrompts() };
+            case 'prompts/get':
+                return this.getPrompt(params);
+            default:
+                throw new MCPError(`Method not found: ${message.method}`, ErrorCodes.METHOD_NOT_FOUND);
+        }
+    }
+
+    initializeSession(session, params) {
+        session.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+            ? params.protocolVersion
+            : SUPPORTED_PROTOCOL_VERSIONS[0];
+        session.clientInfo = params.clientInfo || null;
+
+        console.log(`🤝 MCP client connected: ${session.clientInfo?.name || 'unknown'} (${session.transport}, protocol ${session.protocolVersion})`);
+        this.logActivity(session, `MCP client connected: ${session.clientInfo?.name || 'unknown'}`, { clientInfo: session.clientInfo });
+
+        return {
+            protocolVersion: session.protocolVersion,
+            capabilities: {
+                tools: { listChanged: true },
+                resources: { listChanged: true },
+                prompts: { listChanged: true }
+            },
+            serverInfo: SERVER_INFO,
+            instructions: 'Tools and prompts of every connected upstream MCP server are named "<serverId>.<name>". '
+                + 'Tools starting with "discord." act on Discord through the platform bot.'
+        };
+    }
+
+    splitName(name) {
+        const index = typeof name === 'string' ? name.indexOf('.') : -1;
+        if (index <= 0) {
+            throw new ValidationError(`Unknown name: ${name}`, [{ field: 'name', message: 'must look like <serverId>.<name>' }]);
+        }
+        return [name.slice(0, index), name.slice(index + 1)];
+    }
+
+    listTools() {
+        const builtIn = this.discordTools.map(({ handler, needsConfirmation, ...tool }) => tool);
+        const upstream = this.mcpBridge.getTools().map(({ serverId, serverName, name, description, ...tool }) => ({
+            ...tool,
+            name: `${serverId}.${name}`,
+            description: `[${serverName}] ${description || name}`
+        }));
+        return [...builtIn, ...upstream];
+    }
+
+    async callTool(session, requestId, params, notify) {
+        const args = params.arguments || {};
+        const builtIn = this.discordTools.find(tool => tool.name === params.name);
+
+        if (builtIn) {
+            if (builtIn.needsConfirmation) {
+                this.refuseUnconfirmed(params.name, { serverId: 'discord', name: params.name.slice('discord.'.length) }, null);
+            }
+            const validated = validateToolArguments(builtIn, args);
+            this.logActivity(session, `Tool call: ${params.name}`, { tool: params.name, arguments: validated });
+            try {
+                const result = await builtIn.handler(validated);
+                return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], structuredContent: result };
+            } catch (error) {
+                // Tool failures are results, not protocol errors
+                return { content: [{ type: 'text', text: error.message }], isError: true };
+            }
+        }
+
+        const [serverId, name] = this.splitName(params.name);
+        if (this.mcpBridge.requiresConfirmation(serverId, name)) {
+            this.refuseUnconfirmed(params.name, { serverId, name });
+        }
+        const progressToken = params._meta?.progressToken;
+        const callId = `mcp-${session.id}-${requestId}`;
+
+        this.logActivity(session, `Tool call: ${params.name}`, { serverId, tool: name, arguments: args });
+        session.calls.set(requestId, callId);
+        try {
+            return await this.mcpBridge.sendMessage(serverId, {
+                method: 'tools/call',
+                params: { name, arguments: args }
+            }, {
+                callId,
+                context: { source: 'mcp', sessionId: session.id, client: session.clientInfo?.name },
+                onProgress: progressToken === undefined ? null : ({ progress, total, message }) => notify({
+                    jsonrpc: '2.0',
+                    method: 'notifications/progress',
+                    params: { progressToken, progress, total, message }
+                })
+            });
+        } finally {
+            session.calls.delete(requestId);
+        }
+    }
+
+    // Nobody can approve a call made through this endpoint, so these tools get an error clients can recognize
+    refuseUnconfirmed(tool, { serverId, name }, alternative = 'run it from Discord or POST /api/mcp/call') {
+        throw new MCPError(`${tool} needs confirmation, which can't be given over MCP${alternative ? `; ${alternative}` : ''}`,
+            ErrorCodes.CONFIRMATION_REQUIRED, { tool, serverId, name });
+    }
+
+    async listResources() {
+        const resources = [];
+        for (const connection of this.mcpBridge.getConnections()) {
+            if (connection.status !== 'connected' || !connection.capabilities.resources) continue;
+
+            try {
+                for (const resource of await this.mcpBridge.listResources(connection.id)) {
+                    resources.push({
+                        ...resource,
+                        uri: `${RESOURCE_SCHEME}${connection.id}/${encodeURIComponent(resource.uri)}`,
+                        description: `[${connection.name}] ${resource.description || resource.uri}`
+                    });
+                }
+            } catch (error) {
+                console.warn(`⚠️ Could not list resources of ${connection.id}:`, error.message);
+            }
+        }
+        return resources;
+    }
+
+    async readResource(uri) {
+        const match = typeof uri === 'string' && uri.startsWith(RESOURCE_SCHEME)
+            ? uri.slice(RESOURCE_SCHEME.length).match(/^([^/]+)\/(.+)$/)
+            : null;
+        if (!match) {
+            throw new ValidationError(`Unknown resource: ${uri}`, [{ field: 'uri', message: `must be a ${RESOURCE_SCHEME} URI from resources/list` }]);
+        }
+
+        const contents = await this.mcpBridge.readResource(match[1], decodeURIComponent(match[2]));
+        return { contents: contents.map(content => ({ ...content, uri })) };
+    }
+
+    listPrompts() {
+        return this.mcpBridge.getPrompts().map(({ serverId, serverName, name, description, ...prompt }) => ({
+            ...prompt,
+            name: `${serverId}.${name}`,
+            description: `[${serverName}] ${description || name}`
+        }));
+    }
+
+    getPrompt(params) {
+        const [serverId, name] = this.splitName(params.name);
+        return this.mcpBridge.getPrompt(serverId, name, params.arguments || {});
+    }
+
+    logActivity(session, message, data = null) {
+        if (!this.database) return;
+
+        this.database.logActivity('mcp-server', session.clientInfo?.name || session.id, message, { sessionId: session.id, ...data })
+            .catch(err => console.error('Failed to log MCP server activity:', err));
+    }
+
+    createRouter() {
+        const router = express.Router();
+
+        router.use((req, res, next) => {
+            res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+
+            if (!this.checkOrigin(req)) {
+                return res.status(403).json({ error: 'Origin not allowed' });
+            }
+            if (!this.authorize(req)) {
+                res.setHeader('WWW-Authenticate', 'Bearer');
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const version = req.headers['mcp-protocol-version'];
+            if (version && !SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+                return res.status(400).json({ error: `Unsupported MCP protocol version: ${version}` });
+            }
+            next();
+        });
+
+        router.post('/', (req, res) => this.handlePost(req, res).catch(error => {
+            console.error('❌ MCP endpoint error:', error);
+            if (!res.headersSent) res.status(500).json(this.errorResponse(null, error));
+        }));
+        router.get('/', (req, res) => this.handleEventStream(req, res));
+        router.delete('/', (req, res) => {
+            const session = this.findSession(req, res);
+            if (!session) return;
+
+            this.closeSession(session);
+            res.status(204).end();
+        });
+
+        return router;
+    }
+
+    findSession(req, res) {
+        const sessionId = req.headers['mcp-session-id'];
+        if (!sessionId) {
+            res.status(400).json({ error: 'Mcp-Session-Id header is required' });
+            return null;
+        }
+
+        const session = this.sessions.get(sessionId);
+        if (!session || session.transport !== 'http') {
+            res.status(404).json({ error: 'Unknown or expired session' });
+            return null;
+        }
+        return session;
+    }
+
+    async handlePost(req, res) {
+        const body = req.body;
+        if (!body || typeof body !== 'object') {
+            return res.status(400).json(this.errorResponse(null, new MCPError('Parse error', ErrorCodes.PARSE_ERROR)));
+        }
+
+        const messages = Array.isArray(body) ? body : [body];
+        let session;
+
+        if (messages.some(message => message && message.method === 'initialize')) {
+            if (messages.length > 1) {
+                return res.status(400).json(this.errorResponse(null, new MCPError('initialize must not be batched', ErrorCodes.INVALID_REQUEST)));
+            }
+            if (!this.makeRoomForHttpSession()) {
+                return res.status(503).json({ error: 'Too many MCP sessions, try again later' });
+            }
+            session = this.createSession('http', (message) => this.writeEvent(session.stream, message));
+        } else {
+            session = this.findSession(req, res);
+            if (!session) return;
+        }
+        res.setHeader('Mcp-Session-Id', session.id);
+
+        const requests = messages.filter(message => message && message.method && message.id !== undefined && message.id !== null);
+        if (requests.length === 0) {
+            await Promise.all(messages.map(message => this.handleMessage(session, message)));
+            return res.status(202).end();
+        }
+
+        // Tool calls answer over SSE when the client accepts it, so progress can stream on the same response
+        const streaming = (req.headers.accept || '').includes('text/event-stream')
+            && requests.some(message => message.method === 'tools/call');
+
+        if (!streaming) {
+            const responses = (await Promise.all(messages.map(message => this.handleMessage(session, message)))).filter(Boolean);
+            return res.json(Array.isArray(body) ? responses : responses[0] || null);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        const notify = (message) => this.writeEvent(res, message);
+        await Promise.all(messages.map(async (message) => {
+            const response = await this.handleMessage(session, message, notify);
+            if (response) notify(response);
+        }));
+        res.end();
+    }
+
+    handleEventStream(req, res) {
+        const session = this.findSession(req, res);
+        if (!session) return;
+
+        if (session.stream) {
+            return res.status(409).json({ error: 'An event stream is already open for this session' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Mcp-Session-Id': session.id
+        });
+        res.write(': connected\n\n');
+        session.stream = res;
+
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+        req.on('close', () => {
+            clearInterval(keepalive);
+            if (session.stream === res) session.stream = null;
+        });
+    }
+
+    writeEvent(stream, message) {
+        if (stream && !stream.writableEnded) {
+            stream.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+        }
+    }
+
+    // WebSocket clients connect to the same /mcp path; other upgrades (socket.io) are left alone
+    attach(httpServer) {
+        this.wss = new WebSocket.Server({ noServer: true });
+
+        httpServer.on('upgrade', (req, socket, head) => {
+            const { pathname } = new URL(req.url, 'http://localhost');
+            if (pathname !== '/mcp') return;
+
+            if (!this.checkOrigin(req) || !this.authorize(req)) {
+                socket.write('HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: Bearer\r\nConnection: close\r\n\r\n');
+                socket.destroy();
+                return;
+            }
+
+            this.wss.handleUpgrade(req, socket, head, (ws) => this.handleWebSocket(ws));
+        });
+    }
+
+    handleWebSocket(ws) {
+        const send = (message) => {
+            if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+        };
+        const session = this.createSession('websocket', send);
+
+        ws.on('message', async (data) => {
+            let parsed;
+            try {
+                parsed = JSON.parse(data);
+            } catch (error) {
+                send(this.errorResponse(null, new MCPError('Parse error', ErrorCodes.PARSE_ERROR)));
+                return;
+            }
+
+            const messages = Array.isArray(parsed) ? parsed : [parsed];
+            const responses = (await Promise.all(messages.map(message => this.handleMessage(session, message)))).filter(Boolean);
+            if (responses.length > 0) {
+                send(Array.isArray(parsed) ? responses : responses[0]);
+            }
+        });
+
+        ws.on('close', () => this.closeSession(session));
+        ws.on('error', (error) => console.error('❌ MCP WebSocket client error:', error.message));
+    }
+
+    close() {
+        clearInterval(this.sweepTimer);
+        for (const session of this.sessions.values()) {
+            this.closeSession(session);
+        }
+        if (this.wss) {
+            for (const client of this.wss.clients) {
+                client.close();
+            }
+            this.wss.close();
+        }
+    }
+}
+
+module.exports = MCPServer;
@@ -0,0 +1,621 @@
+const EventEmitter = require('events');
+const { ErrorCodes } = require('./errors');
+
+// A small but protocol-accurate MCP server used for demo mode and offline testing.
+// It runs in-process behind the "mock" transport, or standalone over WebSocket:
+//   node src/core/mock-server.js [profile] [port]
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const PAGE_SIZE = 2;
+const RESOURCE_NOT_FOUND = -32002;
+
+class ToolError extends Error {}
+
+function paginate(items, cursor) {
+    const offset = cursor ? parseInt(Buffer.from(cursor, 'base64').toString(), 10) : 0;
+    if (Number.isNaN(offset) || offset < 0 || offset > items.length) {
+        throw Object.assign(new Error('Invalid cursor'), { code: ErrorCodes.INVALID_PARAMS });
+    }
+
+    const page = items.slice(offset, offset + PAGE_SIZE);
+    const next = offset + PAGE_SIZE;
+    return {
+        page,
+        nextCursor: next < items.length ? Buffer.from(String(next)).toString('base64') : undefined
+    };
+}
+
+const text = (value) => ({ content: [{ type: 'text', text: value }] });
+
+// Arithmetic only: numbers, + - * / % ^ and parentheses
+function evaluateExpression(expression) {
+    const tokens = expression.match(/\d+(?:\.\d+)?|[-+*/%^()]|\S/g) || [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    const primary = () => {
+        const token = next();
+        if (token === '(') {
+            const value = sum();
+            if (next() !== ')') throw new ToolError('Expected )');
+            return value;
+        }
+        if (token === '-') return -primary();
+        if (token !== undefined && /^\d/.test(token)) return parseFloat(token);
+        throw new ToolError(`Unexpected token: ${token === undefined ? 'end of expression' : token}`);
+    };
+    const power = () => {
+        const base = primary();
+        return peek() === '^' ? (next(), base ** power()) : base;
+    };
+    const product = () => {
+        let value = power();
+        while (['*', '/', '%'].includes(peek())) {
+            const operator = next();
+            const right = power();
+            value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+        }
+        return value;
+    };
+    const sum = () => {
+        let value = product();
+        while (['+', '-'].includes(peek())) {
+            value = next() === '+' ? value + product() : value - product();
+        }
+        return value;
+    };
+
+    const result = sum();
+    if (position < tokens.length) throw new ToolError(`Unexpected token: ${peek()}`);
+    if (!Number.isFinite(result)) throw new ToolError('Result is not a finite number');
+    return result;
+}
+
+function hash(value) {
+    let result = 0;
+    for (const char of value) {
+        result = (result * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return result;
+}
+
+const PIXEL_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+const PROFILES = {
+    'demo-server': () => ({
+        serverInfo: { name: 'demo-server', title: 'Demo Server', version: '1.0.0' },
+        instructions: 'Demo tools for calculations, weather and translation.',
+        capabilities: {
+            tools: { listChanged: true },
+            resources: { subscribe: true, listChanged: true },
+            prompts: { listChanged: true },
+            logging: {}
+        },
+        tools: [
+            {
+                name: 'calculate',
+                description: 'Perform calculations',
+                inputSchema: {
+                    type: 'object',
+                    properties: { expression: { type: 'string', description: 'Expression to evaluate, e.g. (2 + 3) * 4' } },
+                    required: ['expression']
+                },
+                annotations: { readOnlyHint: true },
+                handler: ({ expression }) => text(`${expression} = ${evaluateExpression(expression)}`)
+            },
+            {
+                name: 'weather',
+                description: 'Get weather information',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        city: { type: 'string' },
+                        units: { type: 'string', enum: ['metric', 'imperial'], default: 'metric' }
+                    },
+                    required: ['city']
+                },
+                annotations: { readOnlyHint: true, openWorldHint: true },
+                handler: ({ city, units = 'metric' }) => {
+                    const seed = hash(city.toLowerCase());
+                    const celsius = (seed % 35) - 5;
+                    const conditions = ['Sunny', 'Cloudy', 'Rainy', 'Windy', 'Snowy'][seed % 5];
+                    const temperature = units === 'imperial' ? `${Math.round(celsius * 9 / 5 + 32)}°F` : `${celsius}°C`;
+                    return text(`${conditions}, ${temperature} in ${city} (demo data)`);
+                }
+            },
+            {
+                name: 'translate',
+                description: 'Translate text',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        text: { type: 'string' },
+                        target: { type: 'string', enum: ['en', 'ja', 'es', 'fr', 'de'], description: 'Target language code' }
+                    },
+                    required: ['text', 'target']
+                },
+                annotations: { readOnlyHint: true },
+                handler: ({ text: input, target }) => text(`[${target}] ${input}`)
+            },
+            {
+                name: 'long-task',
+                description: 'Run a slow job that reports progress and can be cancelled',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        steps: { type: 'integer', minimum: 1, maximum: 100, default: 5 },
+                        delayMs: { type: 'integer', minimum: 0, maximum: 10000, default: 1000 }
+                    }
+                },
+                annotations: { readOnlyHint: true },
+                handler: async ({ steps = 5, delayMs = 1000 }, context) => {
+                    for (let step = 1; step <= steps; step++) {
+                        await new Promise(resolve => setTimeout(resolve, delayMs));
+                        if (context.isCancelled()) return null;
+                        context.progress(step, steps, `Finished step ${step} of ${steps}`);
+                    }
+                    return text(`Completed ${steps} step(s)`);
+                }
+            }
+        ],
+        files: new Map([
+            ['file://demo.txt', { name: 'Demo File', mimeType: 'text/plain', text: 'Hello from the Discord EX demo server!' }],
+            ['file://pixel.png', { name: 'Demo Image', mimeType: 'image/png', blob: PIXEL_PNG }]
+        ]),
+        resourceTemplates: [
+            { uriTemplate: 'file://{path}', name: 'Demo Files', mimeType: 'text/plain' }
+        ],
+        prompts: [
+            {
+                name: 'summarize',
+                description: 'Summarize a piece of text',
+                arguments: [
+                    { name: 'text', description: 'Text to summarize', required: true },
+                    { name: 'length', description: 'short, medium or long', required: false }
+                ],
+                render: ({ text: input, length = 'short' }) => `Write a ${length} summary of the following text:\n\n${input}`
+            }
+        ]
+    }),
+
+    'ai-assistant': (server) => ({
+        serverInfo: { name: 'ai-assistant', title: 'AI Assistant', version: '1.0.0' },
+        instructions: 'Conversational helpers. Replies are canned; no model is called.',
+        capabilities: {
+            tools: { listChanged: true },
+            prompts: { listChanged: true },
+            completions: {}
+        },
+        tools: [
+            {
+                name: 'chat',
+                description: 'AI chat interface',
+                inputSchema: {
+                    type: 'object',
+                    properties: { message: { type: 'string' } },
+                    required: ['message']
+                },
+                handler: ({ message }) => text(`🤖 You said: "${message}". (The demo assistant echoes messages.)`)
+            },
+            {
+                name: 'analyze',
+                description: 'Text analysis',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        text: { type: 'string' },
+                        mode: { type: 'string', enum: ['sentiment', 'summary', 'keywords'], default: 'summary' }
+                    },
+                    required: ['text']
+                },
+                annotations: { readOnlyHint: true },
+                handler: ({ text: input, mode = 'summary' }) => {
+                    const words = input.toLowerCase().match(/[a-z']+/g) || [];
+                    if (mode === 'sentiment') {
+                        const positive = words.filter(word => ['good', 'great', 'love', 'nice', 'happy', 'excellent'].includes(word)).length;
+                        const negative = words.filter(word => ['bad', 'hate', 'awful', 'sad', 'terrible', 'broken'].includes(word)).length;
+                        const label = positive > negative ? 'positive' : negative > positive ? 'negative' : 'neutral';
+                        return text(`Sentiment: ${label} (+${positive} / -${negative})`);
+                    }
+                    if (mode === 'keywords') {
+                        const counts = new Map();
+                        words.filter(word => word.length > 3).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+                        const top = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([word]) => word);
+                        return text(`Keywords: ${top.join(', ') || '(none)'}`);
+                    }
+                    return text(`Summary: ${(input.match(/[^.!?]+[.!?]?/) || [input])[0].trim()}`);
+                }
+            },
+            {
+                name: 'draft-reply',
+                description: 'Draft a reply by asking the client for a model response (sampling)',
+                inputSchema: {
+                    type: 'object',
+                    properties: { topic: { type: 'string' } },
+                    required: ['topic']
+                },
+                handler: async ({ topic }, context) => {
+                    if (!server.clientCapabilities.sampling) throw new ToolError('The client does not support sampling');
+
+                    const result = await server.request('sampling/createMessage', {
+                        messages: [{ role: 'user', content: { type: 'text', text: `Draft a short, friendly reply about: ${topic}` } }],
+                        systemPrompt: 'You help moderators answer questions in a Discord server.',
+                        maxTokens: 400,
+                        _meta: context.meta
+                    }).catch(error => {
+                        throw new ToolError(`Sampling failed: ${error.message}`);
+                    });
+                    return text(`Draft (${result.model}): ${result.content.text}`);
+                }
+            },
+            {
+                name: 'ask-user',
+                description: 'Ask the user a question through the client (elicitation)',
+                inputSchema: {
+                    type: 'object',
+                    properties: { question: { type: 'string' } },
+                    required: ['question']
+                },
+                handler: async ({ question }, context) => {
+                    if (!server.clientCapabilities.elicitation) throw new ToolError('The client does not support elicitation');
+
+                    const result = await server.request('elicitation/create', {
+                        message: question,
+                        requestedSchema: {
+                            type: 'object',
+                            properties: {
+                                answer: { type: 'string', title: 'Answer', description: question },
+                                confident: { type: 'boolean', title: 'Are you sure?', default: true }
+                            },
+                            required: ['answer']
+                        },
+                        _meta: context.meta
+                    });
+
+                    if (result.action !== 'accept') return text(`The user chose to ${result.action}.`);
+                    return text(`The user answered "${result.content.answer}"${result.content.confident === false ? ' (not sure)' : ''}.`);
+                }
+            }
+        ],
+        prompts: [
+            {
+                name: 'code-review',
+                description: 'Review code for bugs and style issues',
+                arguments: [
+                    { name: 'code', description: 'Code to review', required: true },
+                    { name: 'language', description: 'Programming language', required: false }
+                ],
+                render: ({ code, language }) => `Please review this ${language ? `${language} ` : ''}code and point out bugs, risks and style issues:\n\n${code}`
+            },
+            {
+                name: 'standup',
+                description: 'Draft a daily standup update',
+                arguments: [
+                    { name: 'done', description: 'What you finished', required: true },
+                    { name: 'next', description: 'What you will do next', required: true }
+                ],
+                render: ({ done, next }) => `Turn these notes into a short standup update.\nDone: ${done}\nNext: ${next}`
+            }
+        ],
+        completions: {
+            language: ['javascript', 'typescript', 'python', 'go', 'rust', 'java']
+        }
+    }),
+
+    'file-manager': (server) => {
+        const files = new Map([
+            ['file:///README.md', { name: 'README.md', mimeType: 'text/markdown', text: '# Shared files\n\nManaged by the demo file manager.' }],
+            ['file:///notes/todo.txt', { name: 'todo.txt', mimeType: 'text/plain', text: '- try !mcp call\n- watch a resource' }]
+        ]);
+        const toUri = (path) => `file://${path.startsWith('/') ? path : `/${path}`}`;
+
+        return {
+            serverInfo: { name: 'file-manager', title: 'File Manager', version: '1.0.0' },
+            instructions: 'An in-memory file system. Writes are lost on restart.',
+            capabilities: {
+                tools: { listChanged: true },
+                resources: { subscribe: true, listChanged: true }
+            },
+            tools: [
+                {
+                    name: 'read-file',
+                    description: 'Read file contents',
+                    inputSchema: {
+                        type: 'object',
+                        properties: { path: { type: 'string' } },
+                        required: ['path']
+                    },
+                    annotations: { readOnlyHint: true },
+                    handler: ({ path }) => {
+                        const file = files.get(toUri(path));
+                        if (!file) throw new ToolError(`No such file: ${path}`);
+                        return {
+                            content: [{ type: 'resource', resource: { uri: toUri(path), mimeType: file.mimeType, text: file.text } }]
+                        };
+                    }
+                },
+                {
+                    name: 'write-file',
+                    description: 'Write file contents',
+                    inputSchema: {
+                        type: 'object',
+                        properties: { path: { type: 'string' }, content: { type: 'string' } },
+                        required: ['path', 'content']
+                    },
+                    annotations: { destructiveHint: true, idempotentHint: true },
+                    handler: ({ path, content }) => {
+                        const uri = toUri(path);
+                        const created = !files.has(uri);
+                        files.set(uri, { name: uri.split('/').pop(), mimeType: 'text/plain', text: content });
+
+                        if (created) server.notify('notifications/resources/list_changed');
+                        if (server.subscriptions.has(uri)) server.notify('notifications/resources/updated', { uri });
+                        return text(`${created ? 'Created' : 'Updated'} ${path} (${content.length} bytes)`);
+                    }
+                },
+                {
+                    name: 'list-files',
+                    description: 'List directory contents',
+                    inputSchema: {
+                        type: 'object',
+                        properties: { path: { type: 'string', default: '/' } }
+                    },
+                    annotations: { readOnlyHint: true },
+                    handler: ({ path = '/' }) => {
+                        const prefix = toUri(path.endsWith('/') ? path : `${path}/`);
+                        const entries = [...files.keys()].filter(uri => uri.startsWith(prefix)).map(uri => uri.slice('file://'.length));
+                        return text(entries.length > 0 ? entries.join('\n') : `(no files under ${path})`);
+                    }
+                }
+            ],
+            files,
+            resourceTemplates: [
+                { uriTemplate: 'file:///{path}', name: 'Files', mimeType: 'text/plain' }
+            ],
+            prompts: []
+        };
+    }
+};
+
+class MockMCPServer extends EventEmitter {
+    constructor(profile) {
+        super();
+        const createProfile = PROFILES[profile];
+        if (!createProfile) {
+            throw new Error(`Unknown mock MCP server profile: ${profile}`);
+        }
+
+        this.subscriptions = new Set();
+        this.inFlight = new Map();
+        this.clientCapabilities = {};
+        this.outgoing = new Map();
+        this.nextRequestId = 1;
+        this.initialized = false;
+        this.logLevel = 'info';
+        this.profile = createProfile(this);
+    }
+
+    static get profiles() {
+        return Object.keys(PROFILES);
+    }
+
+    // Server-to-client request, e.g. sampling or elicitation
+    request(method, params) {
+        const id = `mock-${this.nextRequestId++}`;
+        return new Promise((resolve, reject) => {
+            this.outgoing.set(id, { resolve, reject });
+            this.emit('message', { jsonrpc: '2.0', id, method, params });
+        });
+    }
+
+    notify(method, params) {
+        this.emit('message', { jsonrpc: '2.0', method, ...(params !== undefined && { params }) });
+    }
+
+    // Handle one incoming message; resolves with the response, or null for notifications
+    async handleMessage(message) {
+        if (message.id === undefined || message.id === null) {
+            if (message.method === 'notifications/initialized') {
+                this.initialized = true;
+            }
+            if (message.method === 'notifications/cancelled') {
+                const request = this.inFlight.get(message.params?.requestId);
+                if (request) request.cancelled = true;
+            }
+            return null;
+        }
+
+        if (!message.method) {
+            const outgoing = this.outgoing.get(message.id);
+            if (outgoing) {
+                this.outgoing.delete(message.id);
+                if (message.error) outgoing.reject(Object.assign(new Error(message.error.message), { code: message.error.code }));
+                else outgoing.resolve(message.result);
+            }
+            return null;
+        }
+
+        try {
+            if (!this.initialized && !['initialize', 'ping'].includes(message.method)) {
+                throw Object.assign(new Error('Server not initialized'), { code: ErrorCodes.INVALID_REQUEST });
+            }
+
+            const request = { id: message.id, cancelled: false };
+            this.inFlight.set(message.id, request);
+            const result = await this.dispatch(message.method, message.params || {}, request);
+
+            // Cancelled requests get no response at all
+            return request.cancelled ? null : { jsonrpc: '2.0', id: message.id, result };
+        } catch (error) {
+            return {
+                jsonrpc: '2.0',
+                id: message.id,
+                error: { code: error.code || ErrorCodes.INTERNAL_ERROR, message: error.message, ...(error.data && { data: error.data }) }
+            };
+        } finally {
+            this.inFlight.delete(message.id);
+        }
+    }
+
+    async dispatch(method, params, request) {
+        const { profile } = this;
+        const invalid = (message, data) => Object.assign(new Error(message), { code: ErrorCodes.INVALID_PARAMS, data });
+        const requireCapability = (capability) => {
+            if (!profile.capabilities[capability]) {
+                throw Object.assign(new Error(`Method not found: ${method}`), { code: ErrorCodes.METHOD_NOT_FOUND });
+            }
+        };
+
+        switch (method) {
+            case 'initialize': {
+                const requested = params.protocolVersion;
+                this.clientCapabilities = params.capabilities || {};
+                return {
+                    protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+                    capabilities: profile.capabilities,
+                    serverInfo: profile.serverInfo,
+                    instructions: profile.instructions
+                };
+            }
+
+            case 'ping':
+                return {};
+
+            case 'logging/setLevel':
+                requireCapability('logging');
+                this.logLevel = params.level;
+                return {};
+
+            case 'tools/list': {
+                requireCapability('tools');
+                const { page, nextCursor } = paginate(profile.tools, params.cursor);
+                return { tools: page.map(({ handler, ...tool }) => tool), ...(nextCursor && { nextCursor }) };
+            }
+
+            case 'tools/call': {
+                requireCapability('tools');
+                const tool = profile.tools.find(entry => entry.name === params.name);
+                if (!tool) throw invalid(`Unknown tool: ${params.name}`);
+
+                const args = params.arguments || {};
+                const missing = (tool.inputSchema.required || []).filter(key => args[key] === undefined);
+                if (missing.length > 0) throw invalid(`Missing required arguments: ${missing.join(', ')}`);
+
+                // Tool failures are results, not protocol errors
+                const progressToken = params._meta?.progressToken;
+                const context = {
+                    meta: params._meta || {},
+                    isCancelled: () => request.cancelled,
+                    progress: (progress, total, message) => {
+                        if (progressToken === undefined || request.cancelled) return;
+                        this.notify('notifications/progress', { progressToken, progress, total, message });
+                    }
+                };
+
+                try {
+                    return await tool.handler(args, context);
+                } catch (error) {
+                    if (!(error instanceof ToolError)) throw error;
+                    return { ...text(error.message), isError: true };
+                }
+            }
+
+            case 'resources/list': {
+                requireCapability('resources');
+                const resources = [...profile.files.entries()].map(([uri, file]) => ({ uri, name: file.name, mimeType: file.mimeType }));
+                const { page, nextCursor } = paginate(resources, params.cursor);
+                return { resources: page, ...(nextCursor && { nextCursor }) };
+            }
+
+            case 'resources/templates/list':
+                requireCapability('resources');
+                return { resourceTemplates: profile.resourceTemplates };
+
+            case 'resources/read': {
+                requireCapability('resources');
+                const file = profile.files.get(params.uri);
+                if (!file) {
+                    throw Object.assign(new Error('Resource not found'), { code: RESOURCE_NOT_FOUND, data: { uri: params.uri } });
+                }
+                return {
+                    contents: [{
+                        uri: params.uri,
+                        mimeType: file.mimeType,
+                        ...(file.blob !== undefined ? { blob: file.blob } : { text: file.text })
+                    }]
+                };
+            }
+
+            case 'resources/subscribe':
+                requireCapability('resources');
+                this.subscriptions.add(params.uri);
+                return {};
+
+            case 'resources/unsubscribe':
+                requireCapability('resources');
+                this.subscriptions.delete(params.uri);
+                return {};
+
+            case 'prompts/list': {
+                requireCapability('prompts');
+                const { page, nextCursor } = paginate(profile.prompts, params.cursor);
+                return { prompts: page.map(({ render, ...prompt }) => prompt), ...(nextCursor && { nextCursor }) };
+            }
+
+            case 'prompts/get': {
+                requireCapability('prompts');
+                const prompt = profile.prompts.find(entry => entry.name === params.name);
+                if (!prompt) throw invalid(`Unknown prompt: ${params.name}`);
+
+                const args = params.arguments || {};
+                const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]).map(arg => arg.name);
+                if (missing.length > 0) throw invalid(`Missing required arguments: ${missing.join(', ')}`);
+
+                return {
+                    description: prompt.description,
+                    messages: [{ role: 'user', content: { type: 'text', text: prompt.render(args) } }]
+                };
+            }
+
+            case 'completion/complete': {
+                requireCapability('completions');
+                const values = (profile.completions[params.argument?.name] || [])
+                    .filter(value => value.startsWith(params.argument?.value || ''));
+                return { completion: { values, total: values.length, hasMore: false } };
+            }
+
+            default:
+                throw Object.assign(new Error(`Method not found: ${method}`), { code: ErrorCodes.METHOD_NOT_FOUND });
+        }
+    }
+}
+
+// Standalone mode: serve one profile over WebSocket for testing real transports
+if (require.main === module) {
+    const WebSocket = require('ws');
+    const profile = process.argv[2] || 'demo-server';
+    const port = parseInt(process.argv[3]) || 3001;
+
+    const wss = new WebSocket.Server({ port, path: '/mcp' });
+    wss.on('connection', (ws) => {
+        const server = new MockMCPServer(profile);
+        server.on('message', (message) => ws.send(JSON.stringify(message)));
+        ws.on('message', async (data) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                ws.send(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: ErrorCodes.PARSE_ERROR, message: 'Parse error' } }));
+                return;
+            }
+            const response = await server.handleMessage(message);
+            if (response) ws.send(JSON.stringify(response));
+        });
+    });
+
+    console.log(`🧪 Mock MCP server "${profile}" listening on ws://localhost:${port}/mcp`);
+}
+
+module.exports = MockMCPServer;
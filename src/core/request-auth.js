@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+function matchesToken(value, token) {
+    if (typeof value !== 'string') return false;
+
+    const expected = Buffer.from(token);
+    const given = Buffer.from(value);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Without a token only local clients are accepted
+function authorizeRequest(req, token) {
+    if (!token) {
+        return LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress);
+    }
+
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    return Boolean(match) && matchesToken(match[1], token);
+}
+
+// Socket.IO clients can't set headers from a browser, so they pass the token in the handshake's auth payload
+function authorizeSocket(socket, token) {
+    if (!token) {
+        return LOOPBACK_ADDRESSES.includes(socket.request.socket.remoteAddress);
+    }
+
+    return matchesToken((socket.handshake.auth || {}).token, token);
+}
+
+// Browsers send Origin; rejecting foreign ones prevents DNS rebinding attacks
+function checkOrigin(req, allowedOrigins = []) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+
+    try {
+        const { hostname } = new URL(origin);
+        return LOOPBACK_HOSTNAMES.includes(hostname) || allowedOrigins.includes(origin);
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    LOOPBACK_ADDRESSES,
+    authorizeRequest,
+    authorizeSocket,
+    checkOrigin
+};
@@ -0,0 +1,144 @@
+const { MCPQueueFullError, MCPQueueTimeoutError } = require('./errors');
+
+// Wait times are averaged over the most recent requests only
+const WAIT_SAMPLE_SIZE = 100;
+
+// Runs at most `concurrency` tasks at once; the rest wait in a bounded FIFO queue
+class RequestQueue {
+    constructor(name, { concurrency = 10, maxQueue = 100, queueTimeout = 30000 } = {}) {
+        this.name = name;
+        this.concurrency = concurrency;
+        this.maxQueue = maxQueue;
+        this.queueTimeout = queueTimeout;
+        this.active = 0;
+        this.waiting = [];
+        this.waits = [];
+        this.totals = {
+            started: 0,
+            enqueued: 0,
+            timedOut: 0,
+            rejected: 0
+        };
+    }
+
+    get size() {
+        return this.waiting.length;
+    }
+
+    configure({ concurrency = this.concurrency, maxQueue = this.maxQueue, queueTimeout = this.queueTimeout }) {
+        this.concurrency = concurrency;
+        this.maxQueue = maxQueue;
+        this.queueTimeout = queueTimeout;
+        this.drain();
+    }
+
+    // Resolves with the task's result; an aborted signal removes a waiting task from the queue
+    run(task, { signal } = {}) {
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        if (this.active < this.concurrency && this.waiting.length === 0) {
+            return this.execute(task, 0);
+        }
+
+        if (this.waiting.length >= this.maxQueue) {
+            this.totals.rejected++;
+            return Promise.reject(new MCPQueueFullError(this.name, this.maxQueue));
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { task, resolve, reject, signal, enqueuedAt: Date.now() };
+
+            entry.timer = setTimeout(() => {
+                this.remove(entry);
+                this.totals.timedOut++;
+                reject(new MCPQueueTimeoutError(this.name, this.queueTimeout));
+            }, this.queueTimeout);
+
+            if (signal) {
+                entry.onAbort = () => {
+                    this.remove(entry);
+                    reject(signal.reason);
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            this.waiting.push(entry);
+            this.totals.enqueued++;
+        });
+    }
+
+    execute(task, waited) {
+        this.active++;
+        this.totals.started++;
+        this.recordWait(waited);
+
+        let promise;
+        try {
+            promise = Promise.resolve(task());
+        } catch (error) {
+            promise = Promise.reject(error);
+        }
+
+        return promise.finally(() => {
+            this.active--;
+            this.drain();
+        });
+    }
+
+    drain() {
+        while (this.active < this.concurrency && this.waiting.length > 0) {
+            const entry = this.waiting.shift();
+            this.detach(entry);
+            this.execute(entry.task, Date.now() - entry.enqueuedAt).then(entry.resolve, entry.reject);
+        }
+    }
+
+    detach(entry) {
+        clearTimeout(entry.timer);
+        if (entry.signal) {
+            entry.signal.removeEventListener('abort', entry.onAbort);
+        }
+    }
+
+    remove(entry) {
+        const index = this.waiting.indexOf(entry);
+        if (index !== -1) {
+            this.waiting.splice(index, 1);
+        }
+        this.detach(entry);
+    }
+
+    // Rejects every waiting task; tasks already running are left alone
+    clear(error) {
+        for (const entry of this.waiting.splice(0)) {
+            this.detach(entry);
+            entry.reject(error);
+        }
+    }
+
+    recordWait(waited) {
+        this.waits.push(waited);
+        if (this.waits.length > WAIT_SAMPLE_SIZE) {
+            this.waits.shift();
+        }
+    }
+
+    getStats() {
+        const waits = this.waits;
+        return {
+            concurrency: this.concurrency,
+            active: this.active,
+            queued: this.waiting.length,
+            maxQueue: this.maxQueue,
+            queueTimeout: this.queueTimeout,
+            oldestWaitMs: this.waiting.length > 0 ? Date.now() - this.waiting[0].enqueuedAt : 0,
+            averageWaitMs: waits.length > 0 ? Math.round(waits.reduce((sum, wait) => sum + wait, 0) / waits.length) : 0,
+            maxWaitMs: waits.length > 0 ? Math.max(...waits) : 0,
+            ...this.totals
+        };
+    }
+}
+
+module.exports = RequestQueue;
@@ -0,0 +1,66 @@
+const Ajv = require('ajv');
+const { ValidationError } = require('./errors');
+
+// Tool schemas come from third-party servers, so unknown keywords are tolerated
+const ajv = new Ajv({ allErrors: true, useDefaults: true, strict: false });
+const validators = new WeakMap();
+
+function getValidator(schema) {
+    let validate = validators.get(schema);
+    if (!validate) {
+        // Servers declare assorted drafts and may reuse $id values; validate the body only
+        const { $schema, $id, ...body } = schema;
+        validate = ajv.compile(body);
+        validators.set(schema, validate);
+    }
+    return validate;
+}
+
+function formatField(error) {
+    const path = error.instancePath
+        .split('/')
+        .slice(1)
+        .map(segment => /^\d+$/.test(segment) ? `[${segment}]` : `.${segment}`)
+        .join('')
+        .replace(/^\./, '');
+
+    const child = error.params.missingProperty || error.params.additionalProperty;
+    if (child) {
+        return path ? `${path}.${child}` : child;
+    }
+    return path || '(root)';
+}
+
+function formatErrors(errors = []) {
+    return errors.map(error => ({
+        field: formatField(error),
+        message: error.keyword === 'additionalProperties' ? 'is not an allowed property'
+            : error.keyword === 'required' ? 'is required'
+            : error.keyword === 'enum' ? `must be one of: ${error.params.allowedValues.join(', ')}`
+            : error.message,
+        keyword: error.keyword
+    }));
+}
+
+// Returns a copy of the arguments with schema defaults filled in
+function validateToolArguments(tool, args = {}) {
+    const value = structuredClone(args);
+    if (!tool.inputSchema) return value;
+
+    let validate;
+    try {
+        validate = getValidator(tool.inputSchema);
+    } catch (error) {
+        console.warn(`⚠️ Skipping validation for ${tool.name}, schema does not compile:`, error.message);
+        return value;
+    }
+
+    if (!validate(value)) {
+        throw new ValidationError(`Invalid arguments for tool ${tool.name}`, formatErrors(validate.errors));
+    }
+    return value;
+}
+
+module.exports = {
+    validateToolArguments
+};
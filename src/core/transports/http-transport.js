@@ -0,0 +1,406 @@
+const EventEmitter = require('events');
+const axios = require('axios');
+
+const DEFAULT_RETRY_DELAY = 1000;
+const MAX_STREAM_RETRIES = 5;
+// Requests in a row that got no HTTP response at all before the server counts as gone
+const MAX_NETWORK_FAILURES = 3;
+
+// Incremental parser for text/event-stream bodies
+function createSSEParser(onEvent) {
+    let buffer = '';
+    let event = { id: undefined, event: 'message', data: [], retry: undefined };
+
+    const dispatch = () => {
+        // retry counts on its own, even in an event without data
+        if (event.data.length > 0 || event.id !== undefined || event.retry !== undefined) {
+            onEvent({ ...event, data: event.data.join('\n') });
+        }
+        event = { id: undefined, event: 'message', data: [], retry: undefined };
+    };
+
+    return (chunk) => {
+        buffer += chunk;
+        let index;
+        while ((index = buffer.search(/\r?\n/)) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(buffer[index] === '\r' ? index + 2 : index + 1);
+
+            if (line === '') {
+                dispatch();
+                continue;
+            }
+            if (line.startsWith(':')) continue;
+
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+            if (field === 'data') event.data.push(value);
+            else if (field === 'event') event.event = value;
+            else if (field === 'id') event.id = value;
+            else if (field === 'retry' && /^\d+$/.test(value)) event.retry = parseInt(value);
+        }
+    };
+}
+
+class HttpTransport extends EventEmitter {
+    constructor(server) {
+        super();
+        this.server = server;
+        this.type = 'http';
+        this.open = false;
+        this.sessionId = null;
+        this.protocolVersion = null;
+        this.initializeRequestId = null;
+        this.lastEventId = null;
+        this.retryDelay = DEFAULT_RETRY_DELAY;
+        this.networkFailures = 0;
+        this.eventStream = null;
+        this.controllers = new Set();
+    }
+
+    get isOpen() {
+        return this.open;
+    }
+
+    async start() {
+        if (!/^https?:\/\//.test(this.server.url || '')) {
+            throw new Error(`Invalid Streamable HTTP endpoint: ${this.server.url}`);
+        }
+        this.open = true;
+    }
+
+    buildHeaders(extra = {}) {
+        return {
+            ...(this.server.headers || {}),
+            ...(this.sessionId && { 'Mcp-Session-Id': this.sessionId }),
+            ...(this.protocolVersion && { 'MCP-Protocol-Version': this.protocolVersion }),
+            ...extra
+        };
+    }
+
+    send(message) {
+        if (message.method === 'initialize') {
+            this.initializeRequestId = message.id;
+        }
+
+        this.post(message)
+            .then(() => {
+                // The standalone GET stream carries server-initiated messages once the session is live
+                if (message.method === 'notifications/initialized') {
+                    this.openEventStream();
+                }
+            })
+            .catch((error) => this.handleRequestError(message, error));
+    }
+
+    async post(message) {
+        const controller = new AbortController();
+        this.controllers.add(controller);
+
+        try {
+            const response = await axios.post(this.server.url, message, {
+                headers: this.buildHeaders({
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json, text/event-stream'
+                }),
+                responseType: 'stream',
+                signal: controller.signal,
+                timeout: 0,
+                validateStatus: () => true
+            });
+            this.networkFailures = 0;
+
+            const sessionId = response.headers['mcp-session-id'];
+            if (sessionId) {
+                this.sessionId = sessionId;
+            }
+
+            if (response.status === 404 && this.sessionId && message.method !== 'initialize') {
+                response.data.destroy();
+                this.terminate('MCP session expired');
+                return;
+            }
+
+            if (response.status >= 400) {
+                const body = await this.readBody(response.data);
+                throw new Error(`HTTP ${response.status}: ${body.slice(0, 200) || 'request failed'}`);
+            }
+
+            // Notifications and responses are acknowledged with 202 and no body
+            if (response.status === 202 || message.id === undefined) {
+                response.data.destroy();
+                return;
+            }
+
+            const contentType = response.headers['content-type'] || '';
+            if (contentType.includes('text/event-stream')) {
+                await this.consumeStream(response.data, message.id);
+            } else {
+                this.deliver(await this.readBody(response.data));
+            }
+        } finally {
+            this.controllers.delete(controller);
+        }
+    }
+
+    readBody(stream) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            stream.setEncoding('utf8');
+            stream.on('data', (chunk) => { body += chunk; });
+            stream.on('end', () => resolve(body));
+            stream.on('error', reject);
+        });
+    }
+
+    // Reads an SSE stream; resolves with true when the awaited response was seen
+    consumeStream(stream, awaitedId, resumed = null) {
+        return new Promise((resolve) => {
+            let answered = false;
+            let finished = false;
+            // Event ids only mean something to the stream that sent them
+            let lastEventId = resumed ? resumed.lastEventId : null;
+
+            const finish = () => {
+                if (finished) return;
+                finished = true;
+
+                // A POST stream that dropped before its response arrived is resumed over a GET of its own
+                if (awaitedId !== undefined && !answered && this.open && lastEventId) {
+                    this.resumeStream(awaitedId, lastEventId, resumed ? resumed.attempt + 1 : 0);
+                }
+                resolve(answered);
+            };
+
+            const parse = createSSEParser((event) => {
+                if (event.id !== undefined) {
+                    lastEventId = event.id;
+                    if (awaitedId === undefined) this.lastEventId = event.id;
+                }
+                if (event.retry !== undefined) this.retryDelay = event.retry;
+                if (event.event !== 'message' || !event.data) return;
+
+                this.deliver(event.data);
+                if (awaitedId !== undefined && this.containsResponse(event.data, awaitedId)) {
+                    answered = true;
+                }
+            });
+
+            stream.setEncoding('utf8');
+            stream.on('data', parse);
+            stream.on('end', () => finish());
+            stream.on('error', () => finish());
+        });
+    }
+
+    containsResponse(data, id) {
+        try {
+            const parsed = JSON.parse(data);
+            const messages = Array.isArray(parsed) ? parsed : [parsed];
+            return messages.some(msg => msg.id === id && !msg.method);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    deliver(data) {
+        if (!data) return;
+
+        if (this.initializeRequestId !== null) {
+            try {
+                const message = JSON.parse(data);
+                if (message.id === this.initializeRequestId && message.result) {
+                    this.protocolVersion = message.result.protocolVersion;
+                    this.initializeRequestId = null;
+                }
+            } catch (error) {
+                // Malformed payloads are reported by the bridge
+            }
+        }
+
+        this.emit('message', data);
+    }
+
+    async openEventStream(lastEventId = null, attempt = 0) {
+        if (!this.open) return;
+
+        if (this.eventStream) {
+            this.eventStream.abort();
+        }
+
+        const controller = new AbortController();
+        this.eventStream = controller;
+
+        try {
+            const response = await axios.get(this.server.url, {
+                headers: this.buildHeaders({
+                    'Accept': 'text/event-stream',
+                    ...(lastEventId && { 'Last-Event-ID': lastEventId })
+                }),
+                responseType: 'stream',
+                signal: controller.signal,
+                timeout: 0,
+                validateStatus: () => true
+            });
+            this.networkFailures = 0;
+
+            // Servers are not required to offer a standalone stream
+            if (response.status === 405) {
+                response.data.destroy();
+                return;
+            }
+
+            if (response.status === 404 && this.sessionId) {
+                response.data.destroy();
+                this.terminate('MCP session expired');
+                return;
+            }
+
+            if (response.status >= 400) {
+                response.data.destroy();
+                throw new Error(`HTTP ${response.status} opening event stream`);
+            }
+
+            await this.consumeStream(response.data);
+            attempt = 0;
+        } catch (error) {
+            if (axios.isCancel(error) || controller.signal.aborted) return;
+            this.emit('error', new Error(`Event stream for ${this.server.name} failed: ${error.message}`));
+            this.recordFailure(error);
+            attempt++;
+        }
+
+        if (this.eventStream !== controller || controller.signal.aborted || !this.open) return;
+
+        if (attempt >= MAX_STREAM_RETRIES) {
+            this.emit('error', new Error(`Giving up on event stream for ${this.server.name}`));
+            return;
+        }
+
+        // Resume the dropped stream from the last event we saw
+        setTimeout(() => {
+            if (this.eventStream === controller) {
+                this.openEventStream(this.lastEventId, attempt);
+            }
+        }, this.retryDelay * (attempt + 1)).unref();
+    }
+
+    // Replays what a POST stream missed, leaving the standalone stream alone
+    async resumeStream(awaitedId, lastEventId, attempt) {
+        if (!this.open) return;
+
+        if (attempt >= MAX_STREAM_RETRIES) {
+            this.failRequest(awaitedId, new Error(`Lost the response stream for request ${awaitedId}`));
+            return;
+        }
+        if (attempt > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.retryDelay * attempt).unref());
+            if (!this.open) return;
+        }
+
+        const controller = new AbortController();
+        this.controllers.add(controller);
+
+        try {
+            const response = await axios.get(this.server.url, {
+                headers: this.buildHeaders({
+                    'Accept': 'text/event-stream',
+                    'Last-Event-ID': lastEventId
+                }),
+                responseType: 'stream',
+                signal: controller.signal,
+                timeout: 0,
+                validateStatus: () => true
+            });
+            this.networkFailures = 0;
+
+            if (response.status === 404 && this.sessionId) {
+                response.data.destroy();
+                this.terminate('MCP session expired');
+                return;
+            }
+
+            if (response.status >= 400) {
+                response.data.destroy();
+                throw new Error(`HTTP ${response.status} resuming the response stream`);
+            }
+
+            await this.consumeStream(response.data, awaitedId, { lastEventId, attempt });
+        } catch (error) {
+            if (axios.isCancel(error) || controller.signal.aborted || !this.open) return;
+            this.emit('error', new Error(`Resuming request ${awaitedId} on ${this.server.name} failed: ${error.message}`));
+            this.recordFailure(error);
+            this.resumeStream(awaitedId, lastEventId, attempt + 1);
+        } finally {
+            this.controllers.delete(controller);
+        }
+    }
+
+    handleRequestError(message, error) {
+        if (axios.isCancel(error) || !this.open) return;
+
+        this.emit('error', error);
+        if (message.id !== undefined) {
+            this.failRequest(message.id, error);
+        }
+        this.recordFailure(error);
+    }
+
+    // Fails a pending request right away instead of leaving it to its timeout
+    failRequest(id, error) {
+        this.emit('message', JSON.stringify({
+            jsonrpc: '2.0',
+            id,
+            error: { code: -32000, message: error.message }
+        }));
+    }
+
+    // Refused or reset connections mean the server is down, so the session ends and the bridge can reconnect;
+    // an HTTP error status only fails its own request
+    recordFailure(error) {
+        if (!axios.isAxiosError(error) || error.response) return;
+
+        this.networkFailures++;
+        if (this.networkFailures >= MAX_NETWORK_FAILURES) {
+            this.terminate(`Server unreachable: ${error.message}`);
+        }
+    }
+
+    terminate(reason) {
+        if (!this.open) return;
+
+        this.open = false;
+        if (this.eventStream) {
+            this.eventStream.abort();
+            this.eventStream = null;
+        }
+        for (const controller of this.controllers) {
+            controller.abort();
+        }
+        this.controllers.clear();
+        this.emit('close', { reason });
+    }
+
+    async close() {
+        if (!this.open) return;
+
+        const sessionId = this.sessionId;
+        this.terminate('Session closed');
+
+        if (sessionId) {
+            try {
+                await axios.delete(this.server.url, {
+                    headers: this.buildHeaders(),
+                    timeout: 5000,
+                    validateStatus: () => true
+                });
+            } catch (error) {
+                // The server may already be gone; nothing left to clean up
+            }
+        }
+    }
+}
+
+module.exports = HttpTransport;
@@ -0,0 +1,32 @@
+const WebSocketTransport = require('./websocket-transport');
+const StdioTransport = require('./stdio-transport');
+const HttpTransport = require('./http-transport');
+const MemoryTransport = require('./memory-transport');
+
+const transports = {
+    websocket: WebSocketTransport,
+    stdio: StdioTransport,
+    http: HttpTransport,
+    mock: MemoryTransport
+};
+
+function getTransportType(server) {
+    if (server.transport) return server.transport;
+    if (server.command) return 'stdio';
+    if (/^https?:\/\//.test(server.url || '')) return 'http';
+    return 'websocket';
+}
+
+function createTransport(server) {
+    const type = getTransportType(server);
+    const Transport = transports[type];
+    if (!Transport) {
+        throw new Error(`Unsupported MCP transport: ${type}`);
+    }
+    return new Transport(server);
+}
+
+module.exports = {
+    createTransport,
+    getTransportType
+};
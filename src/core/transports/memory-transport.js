@@ -0,0 +1,53 @@
+const EventEmitter = require('events');
+const MockMCPServer = require('../mock-server');
+
+// Connects to a bundled mock MCP server in the same process. Messages are
+// serialized in both directions so the bridge sees exactly what a remote server would send.
+class MemoryTransport extends EventEmitter {
+    constructor(server) {
+        super();
+        this.server = server;
+        this.type = 'mock';
+        this.mock = null;
+    }
+
+    get isOpen() {
+        return this.mock !== null;
+    }
+
+    async start() {
+        this.mock = new MockMCPServer(this.server.profile);
+        this.mock.on('message', (message) => this.deliver(message));
+    }
+
+    deliver(message) {
+        const data = JSON.stringify(message);
+        setImmediate(() => {
+            if (this.isOpen) this.emit('message', data);
+        });
+    }
+
+    send(message) {
+        const mock = this.mock;
+        const payload = JSON.parse(JSON.stringify(message));
+
+        setImmediate(async () => {
+            try {
+                const response = await mock.handleMessage(payload);
+                if (response) this.deliver(response);
+            } catch (error) {
+                this.emit('error', error);
+            }
+        });
+    }
+
+    async close() {
+        if (!this.mock) return;
+
+        this.mock.removeAllListeners();
+        this.mock = null;
+        this.emit('close', { reason: 'Mock server closed' });
+    }
+}
+
+module.exports = MemoryTransport;
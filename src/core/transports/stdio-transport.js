@@ -0,0 +1,120 @@
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+
+// Only a safe subset of the platform environment is passed to spawned
+// servers, so secrets such as DISCORD_TOKEN never leak into them
+const INHERITED_ENV_VARS = process.platform === 'win32'
+    ? ['APPDATA', 'HOMEDRIVE', 'HOMEPATH', 'LOCALAPPDATA', 'PATH', 'PROCESSOR_ARCHITECTURE',
+        'SYSTEMDRIVE', 'SYSTEMROOT', 'TEMP', 'USERNAME', 'USERPROFILE']
+    : ['HOME', 'LOGNAME', 'PATH', 'SHELL', 'TERM', 'USER', 'LANG'];
+
+const KILL_TIMEOUT = 2000;
+
+class StdioTransport extends EventEmitter {
+    constructor(server) {
+        super();
+        this.server = server;
+        this.type = 'stdio';
+        this.process = null;
+        this.stdoutBuffer = '';
+        this.stderrBuffer = '';
+    }
+
+    get isOpen() {
+        return this.process !== null && this.process.exitCode === null && this.process.signalCode === null;
+    }
+
+    get pid() {
+        return this.process ? this.process.pid : null;
+    }
+
+    buildEnv() {
+        const env = {};
+        for (const key of INHERITED_ENV_VARS) {
+            if (process.env[key] !== undefined) {
+                env[key] = process.env[key];
+            }
+        }
+        return { ...env, ...(this.server.env || {}) };
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.process = spawn(this.server.command, this.server.args || [], {
+                cwd: this.server.cwd || process.cwd(),
+                env: this.buildEnv(),
+                stdio: ['pipe', 'pipe', 'pipe'],
+                windowsHide: true
+            });
+
+            this.process.once('spawn', () => resolve());
+
+            this.process.on('error', (error) => {
+                reject(error);
+                this.emit('error', error);
+            });
+
+            this.process.stdout.setEncoding('utf8');
+            this.process.stdout.on('data', (chunk) => {
+                this.stdoutBuffer = this.splitLines(this.stdoutBuffer + chunk, (line) => {
+                    this.emit('message', line);
+                });
+            });
+
+            this.process.stderr.setEncoding('utf8');
+            this.process.stderr.on('data', (chunk) => {
+                this.stderrBuffer = this.splitLines(this.stderrBuffer + chunk, (line) => {
+                    this.emit('stderr', line);
+                });
+            });
+
+            // Writing to a process that already exited raises EPIPE here
+            this.process.stdin.on('error', (error) => {
+                this.emit('error', error);
+            });
+
+            this.process.on('exit', (code, signal) => {
+                if (this.stderrBuffer.trim()) {
+                    this.emit('stderr', this.stderrBuffer.trim());
+                    this.stderrBuffer = '';
+                }
+                const reason = signal ? `Process killed by ${signal}` : `Process exited with code ${code}`;
+                this.emit('close', { code, signal, reason });
+            });
+        });
+    }
+
+    // Newline-delimited framing: emit every complete line, return the remainder
+    splitLines(buffer, onLine) {
+        let index;
+        while ((index = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+            if (line.trim()) {
+                onLine(line);
+            }
+        }
+        return buffer;
+    }
+
+    send(message) {
+        this.process.stdin.write(JSON.stringify(message) + '\n');
+    }
+
+    async close() {
+        if (!this.isOpen) return;
+
+        const child = this.process;
+        child.stdin.end();
+        child.kill('SIGTERM');
+
+        const timer = setTimeout(() => {
+            if (child.exitCode === null && child.signalCode === null) {
+                child.kill('SIGKILL');
+            }
+        }, KILL_TIMEOUT);
+        timer.unref();
+    }
+}
+
+module.exports = StdioTransport;
@@ -0,0 +1,48 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+class WebSocketTransport extends EventEmitter {
+    constructor(server) {
+        super();
+        this.server = server;
+        this.type = 'websocket';
+        this.ws = null;
+    }
+
+    get isOpen() {
+        return this.ws !== null && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.ws = new WebSocket(this.server.url, { headers: this.server.headers || {} });
+
+            this.ws.once('open', () => resolve());
+
+            this.ws.on('message', (data) => {
+                this.emit('message', data.toString());
+            });
+
+            this.ws.on('close', (code, reason) => {
+                this.emit('close', { code, reason: reason.toString() || `WebSocket closed (${code})` });
+            });
+
+            this.ws.on('error', (error) => {
+                reject(error);
+                this.emit('error', error);
+            });
+        });
+    }
+
+    send(message) {
+        this.ws.send(JSON.stringify(message));
+    }
+
+    async close() {
+        if (this.ws && this.ws.readyState !== WebSocket.CLOSED) {
+            this.ws.close();
+        }
+    }
+}
+
+module.exports = WebSocketTransport;
@@ -19,6 +19,7 @@ class DatabaseManager {
             this.db = new sqlite3.Database(this.dbPath);
             
             await this.createTables();
+            await this.migrateTables();
             await this.seedData();
             
             this.isInitialized = true;
@@ -79,6 +80,69 @@ class DatabaseManager {
                     value TEXT,
                     type TEXT DEFAULT 'string',
                     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`,
+
+                // Per-guild bot settings table
+                `CREATE TABLE IF NOT EXISTS guild_settings (
+                    guild_id TEXT PRIMARY KEY,
+                    prefix TEXT,
+                    disabled_commands TEXT,
+                    default_server TEXT,
+                    log_channel_id TEXT,
+                    approver_role_id TEXT,
+                    language TEXT,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`,
+
+                // Per-guild command permission rules table
+                `CREATE TABLE IF NOT EXISTS command_permissions (
+                    guild_id TEXT NOT NULL,
+                    command TEXT NOT NULL,
+                    allowed_roles TEXT,
+                    allowed_channels TEXT,
+                    allowed_users TEXT,
+                    denied_users TEXT,
+                    owner_only BOOLEAN DEFAULT 0,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (guild_id, command)
+                )`,
+
+                // Command rate limiter snapshots table
+                `CREATE TABLE IF NOT EXISTS rate_limits (
+                    bucket TEXT PRIMARY KEY,
+                    data TEXT NOT NULL,
+                    expires_at INTEGER NOT NULL
+                )`,
+
+                // Thread conversations with an MCP tool, and their transcripts
+                `CREATE TABLE IF NOT EXISTS conversation_sessions (
+                    id TEXT PRIMARY KEY,
+                    guild_id TEXT,
+                    channel_id TEXT,
+                    thread_id TEXT NOT NULL,
+                    server_id TEXT NOT NULL,
+                    tool TEXT NOT NULL,
+                    message_field TEXT NOT NULL,
+                    history_field TEXT,
+                    user_id TEXT,
+                    user_tag TEXT,
+                    status TEXT DEFAULT 'active',
+                    end_reason TEXT,
+                    message_count INTEGER DEFAULT 0,
+                    started_at TEXT,
+                    last_activity_at TEXT,
+                    ended_at TEXT
+                )`,
+
+                `CREATE TABLE IF NOT EXISTS conversation_messages (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    session_id TEXT NOT NULL,
+                    role TEXT NOT NULL,
+                    author_id TEXT,
+                    author_tag TEXT,
+                    content TEXT,
+                    is_error BOOLEAN DEFAULT 0,
+                    created_at TEXT
                 )`
             ];
 
@@ -98,6 +162,34 @@ class DatabaseManager {
         });
     }
 
+    // Columns added after the first release; CREATE TABLE IF NOT EXISTS won't add them to existing databases
+    async migrateTables() {
+        const migrations = [
+            ['mcp_connections', 'transport', 'TEXT'],
+            ['mcp_connections', 'config', 'TEXT'],
+            ['mcp_connections', 'enabled', 'BOOLEAN DEFAULT 1'],
+            ['mcp_connections', 'updated_at', 'DATETIME']
+        ];
+
+        for (const [table, column, definition] of migrations) {
+            const columns = await new Promise((resolve, reject) => {
+                this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows.map(row => row.name));
+                });
+            });
+
+            if (!columns.includes(column)) {
+                await new Promise((resolve, reject) => {
+                    this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+                        if (err) reject(err);
+                        else resolve();
+                    });
+                });
+            }
+        }
+    }
+
     async seedData() {
         return new Promise((resolve, reject) => {
             // Insert initial configuration
@@ -172,10 +264,23 @@ class DatabaseManager {
         });
     }
 
+    async updateMCPConnectionStatus(id, status, capabilities) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE mcp_connections SET status = ?, capabilities = ?, last_active = CURRENT_TIMESTAMP WHERE id = ?',
+                [status, JSON.stringify(capabilities), id],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+
     async getMCPConnections() {
         return new Promise((resolve, reject) => {
             this.db.all(
-                'SELECT * FROM mcp_connections ORDER BY created_at DESC',
+                'SELECT id, name, url, transport, enabled, status, capabilities, created_at, last_active FROM mcp_connections ORDER BY created_at DESC',
                 (err, rows) => {
                     if (err) reject(err);
                     else {
@@ -190,6 +295,385 @@ class DatabaseManager {
         });
     }
 
+    // MCP server registry methods
+    async saveMCPServer(definition) {
+        return new Promise((resolve, reject) => {
+            const { id, name, url = null, transport, enabled = true, ...config } = definition;
+            this.db.run(
+                `INSERT INTO mcp_connections (id, name, url, transport, config, enabled, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                 ON CONFLICT(id) DO UPDATE SET
+                    name = excluded.name,
+                    url = excluded.url,
+                    transport = excluded.transport,
+                    config = excluded.config,
+                    enabled = excluded.enabled,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [id, name, url, transport, JSON.stringify(config), enabled ? 1 : 0],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+
+    async getMCPServers() {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT id, name, url, transport, config, enabled FROM mcp_connections WHERE config IS NOT NULL ORDER BY created_at ASC',
+                (err, rows) => {
+                    if (err) reject(err);
+                    else {
+                        const servers = rows.map(row => ({
+                            ...JSON.parse(row.config),
+                            id: row.id,
+                            name: row.name,
+                            ...(row.url && { url: row.url }),
+                            transport: row.transport,
+                            enabled: row.enabled === 1
+                        }));
+                        resolve(servers);
+                    }
+                }
+            );
+        });
+    }
+
+    async deleteMCPServer(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM mcp_connections WHERE id = ?',
+                [id],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+
+    // Guild settings methods
+    async getGuildSettings(guildId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM guild_settings WHERE guild_id = ?',
+                [guildId],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row ? {
+                        guildId: row.guild_id,
+                        prefix: row.prefix,
+                        disabledCommands: JSON.parse(row.disabled_commands || '[]'),
+                        defaultServer: row.default_server,
+                        logChannelId: row.log_channel_id,
+                        approverRoleId: row.approver_role_id,
+                        language: row.language
+                    } : null);
+                }
+            );
+        });
+    }
+
+    async saveGuildSettings(guildId, settings) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO guild_settings (guild_id, prefix, disabled_commands, default_server, log_channel_id, approver_role_id, language, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                 ON CONFLICT(guild_id) DO UPDATE SET
+                    prefix = excluded.prefix,
+                    disabled_commands = excluded.disabled_commands,
+                    default_server = excluded.default_server,
+                    log_channel_id = excluded.log_channel_id,
+                    approver_role_id = excluded.approver_role_id,
+                    language = excluded.language,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [
+                    guildId,
+                    settings.prefix,
+                    JSON.stringify(settings.disabledCommands || []),
+                    settings.defaultServer || null,
+                    settings.logChannelId || null,
+                    settings.approverRoleId || null,
+                    settings.language
+                ],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+
+    async deleteGuildSettings(guildId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM guild_settings WHERE guild_id = ?',
+                [guildId],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+
+    // Command permission methods
+    async getCommandPermissions(guildId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM command_permissions WHERE guild_id = ? ORDER BY command ASC',
+                [guildId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows.map(row => ({
+                        command: row.command,
+                        allowedRoles: JSON.parse(row.allowed_roles || '[]'),
+                        allowedChannels: JSON.parse(row.allowed_channels || '[]'),
+                        allowedUsers: JSON.parse(row.allowed_users || '[]'),
+                        deniedUsers: JSON.parse(row.denied_users || '[]'),
+                        ownerOnly: row.owner_only === 1
+                    })));
+                }
+            );
+        });
+    }
+
+    async saveCommandPermission(guildId, rule) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO command_permissions (guild_id, command, allowed_roles, allowed_channels, allowed_users, denied_users, owner_only, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                 ON CONFLICT(guild_id, command) DO UPDATE SET
+                    allowed_roles = excluded.allowed_roles,
+                    allowed_channels = excluded.allowed_channels,
+                    allowed_users = excluded.allowed_users,
+                    denied_users = excluded.denied_users,
+                    owner_only = excluded.owner_only,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [
+                    guildId,
+                    rule.command,
+                    JSON.stringify(rule.allowedRoles || []),
+                    JSON.stringify(rule.allowedChannels || []),
+                    JSON.stringify(rule.allowedUsers || []),
+                    JSON.stringify(rule.deniedUsers || []),
+                    rule.ownerOnly ? 1 : 0
+                ],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+
+    async deleteCommandPermission(guildId, command) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM command_permissions WHERE guild_id = ? AND command = ?',
+                [guildId, command],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+
+    // Rate limiter methods
+    async getRateLimits(now = Date.now()) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT data FROM rate_limits WHERE expires_at > ?',
+                [now],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows.map(row => JSON.parse(row.data)));
+                }
+            );
+        });
+    }
+
+    // Replaces the stored snapshot; each bucket expires when its newest hit leaves the window
+    async saveRateLimits(buckets) {
+        return new Promise((resolve, reject) => {
+            let failure = null;
+            const track = (err) => {
+                if (err && !failure) failure = err;
+            };
+
+            // Once the last statement has run, keep the snapshot only if every statement succeeded
+            const finish = (err) => {
+                track(err);
+                this.db.run(failure ? 'ROLLBACK' : 'COMMIT', (endErr) => {
+                    if (failure || endErr) reject(failure || endErr);
+                    else resolve(buckets.length);
+                });
+            };
+
+            this.db.serialize(() => {
+                this.db.run('BEGIN TRANSACTION', track);
+                this.db.run('DELETE FROM rate_limits', buckets.length === 0 ? finish : track);
+                buckets.forEach((bucket, index) => {
+                    this.db.run(
+                        'INSERT INTO rate_limits (bucket, data, expires_at) VALUES (?, ?, ?)',
+                        [bucket.key, JSON.stringify(bucket), Math.max(...bucket.hits) + bucket.window],
+                        index === buckets.length - 1 ? finish : track
+                    );
+                });
+            });
+        });
+    }
+
+    async createConversationSession(session) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO conversation_sessions
+                    (id, guild_id, channel_id, thread_id, server_id, tool, message_field, history_field, user_id, user_tag, status, started_at, last_activity_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    session.id,
+                    session.guildId,
+                    session.channelId,
+                    session.threadId,
+                    session.serverId,
+                    session.tool,
+                    session.messageField,
+                    session.historyField,
+                    session.userId,
+                    session.userTag,
+                    session.status,
+                    session.startedAt,
+                    session.lastActivityAt
+                ],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+
+    async addConversationMessage(sessionId, message) {
+        return new Promise((resolve, reject) => {
+            let failure = null;
+            const track = (err) => {
+                if (err && !failure) failure = err;
+            };
+
+            this.db.serialize(() => {
+                this.db.run(
+                    `INSERT INTO conversation_messages (session_id, role, author_id, author_tag, content, is_error, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [sessionId, message.role, message.authorId, message.authorTag, message.content, message.isError ? 1 : 0, message.createdAt],
+                    track
+                );
+                this.db.run(
+                    'UPDATE conversation_sessions SET message_count = message_count + 1, last_activity_at = ? WHERE id = ?',
+                    [message.createdAt, sessionId],
+                    (err) => {
+                        if (err || failure) reject(err || failure);
+                        else resolve();
+                    }
+                );
+            });
+        });
+    }
+
+    async endConversationSession(id, reason, endedAt) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                "UPDATE conversation_sessions SET status = 'ended', end_reason = ?, ended_at = ? WHERE id = ?",
+                [reason, endedAt, id],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+
+    async getConversationSessions({ id = null, status = null, guildId = null, limit = null } = {}) {
+        return new Promise((resolve, reject) => {
+            let query = 'SELECT * FROM conversation_sessions';
+            const conditions = [];
+            const params = [];
+
+            if (id) {
+                conditions.push('id = ?');
+                params.push(id);
+            }
+            if (status) {
+                conditions.push('status = ?');
+                params.push(status);
+            }
+            if (guildId) {
+                conditions.push('guild_id = ?');
+                params.push(guildId);
+            }
+            if (conditions.length > 0) {
+                query += ` WHERE ${conditions.join(' AND ')}`;
+            }
+
+            query += ' ORDER BY started_at DESC';
+            if (limit) {
+                query += ' LIMIT ?';
+                params.push(limit);
+            }
+
+            this.db.all(query, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows.map(row => ({
+                    id: row.id,
+                    guildId: row.guild_id,
+                    channelId: row.channel_id,
+                    threadId: row.thread_id,
+                    serverId: row.server_id,
+                    tool: row.tool,
+                    messageField: row.message_field,
+                    historyField: row.history_field,
+                    userId: row.user_id,
+                    userTag: row.user_tag,
+                    status: row.status,
+                    endReason: row.end_reason,
+                    messageCount: row.message_count,
+                    startedAt: row.started_at,
+                    lastActivityAt: row.last_activity_at,
+                    endedAt: row.ended_at
+                })));
+            });
+        });
+    }
+
+    async getConversationSession(id) {
+        const [session] = await this.getConversationSessions({ id });
+        return session || null;
+    }
+
+    // The latest `limit` messages, oldest first; the whole transcript without a limit
+    async getConversationMessages(sessionId, limit = null) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM (
+                    SELECT * FROM conversation_messages WHERE session_id = ? ORDER BY id DESC ${limit ? 'LIMIT ?' : ''}
+                 ) ORDER BY id ASC`,
+                limit ? [sessionId, limit] : [sessionId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows.map(row => ({
+                        role: row.role,
+                        authorId: row.author_id,
+                        authorTag: row.author_tag,
+                        content: row.content,
+                        isError: Boolean(row.is_error),
+                        createdAt: row.created_at
+                    })));
+                }
+            );
+        });
+    }
+
     // Activity logging
     async logActivity(type, source, message, data = null) {
         return new Promise((resolve, reject) => {
@@ -242,6 +726,7 @@ class DatabaseManager {
                         let value = row.value;
                         if (row.type === 'boolean') value = value === 'true';
                         else if (row.type === 'number') value = parseFloat(value);
+                        else if (row.type === 'json') value = JSON.parse(value);
                         resolve(value);
                     } else {
                         resolve(null);
@@ -253,7 +738,7 @@ class DatabaseManager {
 
     async setConfig(key, value, type = 'string') {
         return new Promise((resolve, reject) => {
-            const stringValue = String(value);
+            const stringValue = type === 'json' ? JSON.stringify(value) : String(value);
             this.db.run(
                 'INSERT OR REPLACE INTO configurations (key, value, type, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
                 [key, stringValue, type],
@@ -9,6 +9,7 @@ require('dotenv').config();
 
 const DiscordBot = require('./bot/discord-bot');
 const MCPBridge = require('./core/mcp-bridge');
+const MCPServer = require('./core/mcp-server');
 const WebController = require('./web/controller');
 const DatabaseManager = require('./database/manager');
 
@@ -57,12 +58,21 @@ class DiscordEXServer {
         this.app.use((req, res, next) => {
             req.app.locals.discordBot = this.bot;
             req.app.locals.mcpBridge = this.mcpBridge;
+            req.app.locals.mcpServer = this.mcpServer;
             req.app.locals.database = this.db;
             next();
         });
 
         // API routes
         this.app.use('/api', require('./api/routes'));
+
+        // MCP endpoint for external clients (Streamable HTTP; WebSocket upgrades share the path)
+        this.app.use('/mcp', (req, res, next) => {
+            if (!this.mcpServer) {
+                return res.status(503).json({ error: 'MCP server not available' });
+            }
+            this.mcpServer.router(req, res, next);
+        });
         
         // Serve web interface
         this.app.get('*', (req, res) => {
@@ -77,18 +87,22 @@ class DiscordEXServer {
             await this.db.initialize();
 
             // Initialize MCP Bridge
-            this.mcpBridge = new MCPBridge();
+            this.mcpBridge = new MCPBridge(this.db, { demoMode: this.isDemo });
             await this.mcpBridge.initialize();
 
             // Initialize Discord Bot (demo or real)
             if (this.isDemo) {
                 console.log('🚀 Starting in DEMO mode (no Discord token provided)');
-                this.bot = new DiscordBot(null, true); // Demo mode
+                this.bot = new DiscordBot(null, true, this.mcpBridge, this.db); // Demo mode
             } else {
                 console.log('🤖 Starting with Discord integration');
-                this.bot = new DiscordBot(process.env.DISCORD_TOKEN);
-                await this.bot.start();
+                this.bot = new DiscordBot(process.env.DISCORD_TOKEN, false, this.mcpBridge, this.db);
             }
+            await this.bot.start();
+
+            // Expose the bridge and the bot to external MCP clients
+            this.mcpServer = new MCPServer(this.mcpBridge, this.bot, this.db);
+            this.mcpServer.attach(this.server);
 
             // Initialize Web Controller
             this.webController = new WebController(this.io, this.bot, this.mcpBridge, this.db);
@@ -123,6 +137,9 @@ ${this.isDemo ? '💡 Demo mode: Set DISCORD_TOKEN environment variable for Disc
         if (this.bot) {
             await this.bot.stop();
         }
+        if (this.mcpServer) {
+            this.mcpServer.close();
+        }
         if (this.mcpBridge) {
             await this.mcpBridge.close();
         }
@@ -1,4 +1,11 @@
 const crypto = require('crypto');
+const { authorizeSocket, checkOrigin } = require('../core/request-auth');
+const { ErrorCodes, MCPError } = require('../core/errors');
+const { redactUrl } = require('../core/server-definition');
+
+// Dashboards that may confirm tool calls: the same API_TOKEN as the operator API routes, or local clients without one
+const API_TOKEN = process.env.API_TOKEN || null;
+const API_ALLOWED_ORIGINS = (process.env.API_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
 
 class WebController {
     constructor(io, discordBot, mcpBridge, database) {
@@ -7,11 +14,40 @@ class WebController {
         this.mcpBridge = mcpBridge;
         this.database = database;
         this.connectedClients = new Map();
+        this.resourceSubscriptions = new Map();
         
         this.setupSocketHandlers();
+        this.setupBridgeEvents();
         this.startDataStreaming();
     }
 
+    setupBridgeEvents() {
+        this.mcpBridge.on('tools-changed', ({ serverId, tools }) => {
+            this.io.emit('mcp-tools-changed', { serverId, tools });
+        });
+
+        this.mcpBridge.on('resource-updated', ({ serverId, uri }) => {
+            this.handleResourceUpdate(serverId, uri);
+        });
+
+        // Tool call lifecycle is broadcast so every dashboard can show and cancel running calls
+        this.mcpBridge.on('call-started', (call) => {
+            this.io.emit('mcp-call-started', call);
+        });
+
+        this.mcpBridge.on('call-progress', (progress) => {
+            this.io.emit('mcp-progress', progress);
+        });
+
+        this.mcpBridge.on('call-finished', (call) => {
+            this.io.emit('mcp-call-finished', call);
+        });
+
+        this.mcpBridge.on('server-health', ({ id, health }) => {
+            this.io.emit('mcp-health', { serverId: id, health });
+        });
+    }
+
     setupSocketHandlers() {
         this.io.on('connection', (socket) => {
             const sessionId = crypto.randomUUID();
@@ -21,7 +57,8 @@ class WebController {
                 connectedAt: new Date(),
                 lastActivity: new Date(),
                 ipAddress: socket.handshake.address,
-                userAgent: socket.handshake.headers['user-agent']
+                userAgent: socket.handshake.headers['user-agent'],
+                operator: checkOrigin(socket.request, API_ALLOWED_ORIGINS) && authorizeSocket(socket, API_TOKEN)
             };
             
             this.connectedClients.set(sessionId, clientInfo);
@@ -52,11 +89,28 @@ class WebController {
             });
 
             socket.on('mcp-call', (data) => {
-                this.handleMCPCall(socket, data);
+                this.handleMCPCall(socket, sessionId, data);
+            });
+
+            socket.on('mcp-cancel', (data) => {
+                this.handleMCPCancel(socket, sessionId, data);
+            });
+
+            socket.on('mcp-confirmation-cancel', (data) => {
+                this.handleConfirmationCancel(socket, sessionId, data);
+            });
+
+            socket.on('mcp-resource-subscribe', (data) => {
+                this.handleResourceSubscribe(socket, sessionId, data);
+            });
+
+            socket.on('mcp-resource-unsubscribe', (data) => {
+                this.handleResourceUnsubscribe(socket, sessionId, data);
             });
 
             socket.on('disconnect', () => {
                 this.connectedClients.delete(sessionId);
+                this.releaseResourceSubscriptions(sessionId);
                 console.log(`🔌 Client disconnected: ${sessionId}`);
             });
 
@@ -87,7 +141,8 @@ class WebController {
                 },
                 mcp: {
                     connections: this.mcpBridge.getConnections(),
-                    stats: this.mcpBridge.getStats()
+                    stats: this.mcpBridge.getStats(),
+                    activeCalls: this.mcpBridge.getActiveCalls()
                 },
                 clients: this.connectedClients.size
             };
@@ -121,7 +176,7 @@ class WebController {
             socket.emit('mcp-status', {
                 connections,
                 stats,
-                history: dbConnections
+                history: dbConnections.map(conn => ({ ...conn, url: redactUrl(conn.url) }))
             });
         } catch (error) {
             socket.emit('error', { message: 'Failed to fetch MCP status', error: error.message });
@@ -175,13 +230,25 @@ class WebController {
         }
     }
 
-    async handleMCPCall(socket, data) {
+    async handleMCPCall(socket, sessionId, data = {}) {
+        const callId = data.callId || crypto.randomUUID();
+
         try {
             const { serverId, method, params = {} } = data;
+
+            // Only operators can confirm, so other dashboards don't get confirmations nobody could use
+            if (method === 'tools/call' && !this.isOperator(sessionId) && this.mcpBridge.requiresConfirmation(serverId, params.name)) {
+                throw new MCPError(`${params.name} needs confirmation, which only an operator can give; set the API token in the dashboard`,
+                    ErrorCodes.CONFIRMATION_REQUIRED, { tool: params.name, serverId });
+            }
             
             const result = await this.mcpBridge.sendMessage(serverId, {
                 method,
                 params
+            }, {
+                callId,
+                confirmationId: data.confirmationId,
+                context: { source: 'web', sessionId }
             });
 
             // Log the MCP call
@@ -192,9 +259,165 @@ class WebController {
                 { serverId, method, params, result }
             );
 
-            socket.emit('mcp-result', { serverId, method, result });
+            socket.emit('mcp-result', { serverId, method, callId, result });
         } catch (error) {
-            socket.emit('error', { message: 'MCP call failed', error: error.message });
+            socket.emit('error', {
+                message: 'MCP call failed',
+                callId,
+                error: error.message,
+                code: error.code,
+                data: error.data,
+                details: error.details
+            });
+        }
+    }
+
+    async handleMCPCancel(socket, sessionId, data = {}) {
+        try {
+            const { callId, reason = 'Cancelled from the dashboard' } = data;
+
+            // A dashboard may cancel its own calls; calls from Discord or other clients need an operator
+            const active = this.mcpBridge.getActiveCall(callId);
+            const own = active && active.context && active.context.source === 'web' && active.context.sessionId === sessionId;
+            if (active && !own && !this.isOperator(sessionId)) {
+                throw new Error('Only an operator can cancel calls started elsewhere');
+            }
+
+            const call = this.mcpBridge.cancelCall(callId, reason);
+
+            await this.database.logActivity(
+                'mcp-cancel',
+                'web-interface',
+                `Cancelled ${call.tool} on ${call.serverId}`,
+                { ...call, reason, sessionId }
+            );
+
+            socket.emit('mcp-cancelled', { callId });
+        } catch (error) {
+            socket.emit('error', { message: 'Cancel failed', error: error.message });
+        }
+    }
+
+    async handleConfirmationCancel(socket, sessionId, data = {}) {
+        try {
+            if (!this.isOperator(sessionId)) {
+                throw new Error('Only an operator can turn down confirmations');
+            }
+
+            const { confirmationId, reason = 'Cancelled from the dashboard' } = data;
+            this.mcpBridge.cancelConfirmation(confirmationId, reason);
+
+            await this.database.logActivity(
+                'mcp-cancel',
+                'web-interface',
+                `Cancelled confirmation ${confirmationId}`,
+                { confirmationId, reason, sessionId }
+            );
+
+            socket.emit('mcp-confirmation-cancelled', { confirmationId });
+        } catch (error) {
+            socket.emit('error', { message: 'Cancel failed', error: error.message });
+        }
+    }
+
+    isOperator(sessionId) {
+        const client = this.connectedClients.get(sessionId);
+        return Boolean(client && client.operator);
+    }
+
+    resourceKey(serverId, uri) {
+        return `${serverId}\n${uri}`;
+    }
+
+    async handleResourceSubscribe(socket, sessionId, data = {}) {
+        const { serverId, uri } = data;
+        const key = this.resourceKey(serverId, uri);
+
+        // One upstream subscription is shared by every client watching the resource
+        let entry = this.resourceSubscriptions.get(key);
+        if (!entry) {
+            entry = { subscribers: new Set(), subscribed: false, queue: Promise.resolve() };
+            this.resourceSubscriptions.set(key, entry);
+        }
+        const added = !entry.subscribers.has(sessionId);
+        entry.subscribers.add(sessionId);
+
+        try {
+            await this.syncResourceSubscription(serverId, uri, entry);
+            socket.emit('mcp-resource-subscribed', { serverId, uri });
+        } catch (error) {
+            if (added) {
+                entry.subscribers.delete(sessionId);
+                this.syncResourceSubscription(serverId, uri, entry).catch(() => {});
+            }
+            socket.emit('error', { message: 'Resource subscription failed', error: error.message });
+        }
+    }
+
+    async handleResourceUnsubscribe(socket, sessionId, data = {}) {
+        try {
+            const { serverId, uri } = data;
+            await this.removeResourceSubscriber(serverId, uri, sessionId);
+            socket.emit('mcp-resource-unsubscribed', { serverId, uri });
+        } catch (error) {
+            socket.emit('error', { message: 'Resource unsubscription failed', error: error.message });
+        }
+    }
+
+    async removeResourceSubscriber(serverId, uri, sessionId) {
+        const entry = this.resourceSubscriptions.get(this.resourceKey(serverId, uri));
+        if (!entry || !entry.subscribers.delete(sessionId)) return;
+
+        await this.syncResourceSubscription(serverId, uri, entry);
+    }
+
+    // Subscriber sets change right away; the upstream subscribe and unsubscribe calls for a resource run
+    // one after another and follow the set, so a call still in flight never leaves a watched resource unsubscribed
+    syncResourceSubscription(serverId, uri, entry) {
+        const key = this.resourceKey(serverId, uri);
+        const run = entry.queue.then(async () => {
+            if (entry.subscribers.size > 0 && !entry.subscribed) {
+                await this.mcpBridge.subscribeResource(serverId, uri);
+                entry.subscribed = true;
+            } else if (entry.subscribers.size === 0 && entry.subscribed) {
+                entry.subscribed = false;
+                await this.mcpBridge.unsubscribeResource(serverId, uri);
+            }
+        }).finally(() => {
+            if (entry.subscribers.size === 0 && !entry.subscribed && this.resourceSubscriptions.get(key) === entry) {
+                this.resourceSubscriptions.delete(key);
+            }
+        });
+        entry.queue = run.catch(() => {});
+        return run;
+    }
+
+    releaseResourceSubscriptions(sessionId) {
+        for (const [key, entry] of this.resourceSubscriptions) {
+            if (!entry.subscribers.has(sessionId)) continue;
+
+            const [serverId, uri] = key.split('\n');
+            this.removeResourceSubscriber(serverId, uri, sessionId)
+                .catch(err => console.error('Failed to release resource subscription:', err));
+        }
+    }
+
+    async handleResourceUpdate(serverId, uri) {
+        const entry = this.resourceSubscriptions.get(this.resourceKey(serverId, uri));
+        if (!entry || entry.subscribers.size === 0) return;
+
+        let contents = null;
+        try {
+            contents = await this.mcpBridge.readResource(serverId, uri);
+        } catch (error) {
+            console.warn(`⚠️ Could not read updated resource ${uri}:`, error.message);
+        }
+
+        for (const sessionId of entry.subscribers) {
+            const client = this.connectedClients.get(sessionId);
+            if (client) {
+                client.socket.emit('mcp-resource-updated', { serverId, uri, contents, timestamp: new Date() });
+            }
         }
     }
 
@@ -213,8 +436,12 @@ class WebController {
     }
 
     async reconnectMCP(serverId) {
+        if (!serverId) {
+            return { message: 'Server id is required', success: false };
+        }
+
         try {
-            // Implementation would reconnect specific MCP server
+            await this.mcpBridge.reconnectServer(serverId);
             return { message: `MCP server ${serverId} reconnected`, success: true };
         } catch (error) {
             return { message: 'Failed to reconnect MCP server', success: false, error: error.message };
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, parseKeyValues, coerceArguments, parseToolArguments } = require('../src/bot/arguments');
+const { ValidationError } = require('../src/core/errors');
+
+describe('tokenize', () => {
+    it('splits on any whitespace', () => {
+        assert.deepEqual(tokenize('  call demo\techo \n text=hi '), ['call', 'demo', 'echo', 'text=hi']);
+        assert.deepEqual(tokenize(''), []);
+    });
+
+    it('keeps quoted strings together and drops the quotes', () => {
+        assert.deepEqual(tokenize(`text="hello world" 'single quoted' empty=""`), ['text=hello world', 'single quoted', 'empty=']);
+    });
+
+    it('unescapes the quote character inside a quoted string', () => {
+        assert.deepEqual(tokenize('text="say \\"hi\\""'), ['text=say "hi"']);
+        assert.deepEqual(tokenize('path="C:\\dir"'), ['path=C:\\dir']);
+    });
+
+    it('keeps JSON objects and arrays in one token, spaces and all', () => {
+        assert.deepEqual(tokenize('echo {"text": "a } b", "n": [1, 2]} next'), ['echo', '{"text": "a } b", "n": [1, 2]}', 'next']);
+        assert.deepEqual(tokenize('tags=[ "a", "b" ] limit=2'), ['tags=[ "a", "b" ]', 'limit=2']);
+    });
+
+    it('only starts a JSON value at the start of a token or right after key=', () => {
+        assert.deepEqual(tokenize('a{b c}'), ['a{b', 'c}']);
+    });
+
+    it('keeps an unterminated JSON value or quote to the end of the text', () => {
+        assert.deepEqual(tokenize('echo {"text": "a'), ['echo', '{"text": "a']);
+        assert.deepEqual(tokenize('text="open ended'), ['text=open ended']);
+    });
+});
+
+describe('parseKeyValues', () => {
+    it('separates key=value pairs from positional tokens', () => {
+        assert.deepEqual(parseKeyValues(['server', 'a=1', 'b.c-d_e=x=y', '=nokey', 'multi=line\ntext']), {
+            args: { a: '1', 'b.c-d_e': 'x=y', multi: 'line\ntext' },
+            positional: ['server', '=nokey']
+        });
+    });
+
+    it('lets a repeated key win with its last value', () => {
+        assert.deepEqual(parseKeyValues(['a=1', 'a=2']).args, { a: '2' });
+    });
+});
+
+describe('coerceArguments', () => {
+    const schema = {
+        properties: {
+            count: { type: 'integer' },
+            ratio: { type: 'number' },
+            enabled: { type: 'boolean' },
+            options: { type: 'object' },
+            tags: { type: 'array' },
+            name: { type: 'string' }
+        }
+    };
+
+    it('converts values to the declared type', () => {
+        assert.deepEqual(coerceArguments({
+            count: '3', ratio: '0.5', enabled: 'false', options: '{"a":1}', tags: '["x"]', name: '42', other: '7'
+        }, schema), {
+            count: 3, ratio: 0.5, enabled: false, options: { a: 1 }, tags: ['x'], name: '42', other: '7'
+        });
+    });
+
+    it('leaves values that do not fit the type as strings for validation to report', () => {
+        assert.deepEqual(coerceArguments({
+            count: 'many', ratio: ' ', enabled: 'yes', options: '{broken', tags: 'x'
+        }, schema), {
+            count: 'many', ratio: ' ', enabled: 'yes', options: '{broken', tags: 'x'
+        });
+    });
+
+    it('works without a schema', () => {
+        assert.deepEqual(coerceArguments({ count: '3' }), { count: '3' });
+        assert.deepEqual(coerceArguments({ count: '3' }, null), { count: '3' });
+    });
+});
+
+describe('parseToolArguments', () => {
+    const schema = { properties: { limit: { type: 'integer' } } };
+
+    it('parses a single JSON object as is', () => {
+        assert.deepEqual(parseToolArguments(['{"limit": "3", "query": "mcp"}'], schema), { limit: '3', query: 'mcp' });
+    });
+
+    it('reports invalid JSON as a ValidationError', () => {
+        assert.throws(() => parseToolArguments(['{"limit": }']), (error) => {
+            assert.ok(error instanceof ValidationError);
+            assert.equal(error.details[0].field, 'arguments');
+            return true;
+        });
+    });
+
+    it('coerces key=value pairs with the schema', () => {
+        assert.deepEqual(parseToolArguments(tokenize('limit=3 query="model context"'), schema), { limit: 3, query: 'model context' });
+        assert.deepEqual(parseToolArguments([], schema), {});
+    });
+});
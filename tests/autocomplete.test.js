@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SuggestionCache, filterChoices, suggestArguments } = require('../src/bot/autocomplete');
+
+const translate = {
+    name: 'translate',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            formal: { type: 'boolean' },
+            text: { type: 'string' },
+            target: { type: 'string', enum: ['es', 'fr', 'pt-BR'] },
+            note: { enum: ['needs "quotes"', 'two words'] }
+        },
+        required: ['text', 'target']
+    }
+};
+
+// Just enough of the bot for the suggestions: a cache and a bridge that knows one tool
+function fakeBot(tool = translate) {
+    const lookups = [];
+    return {
+        lookups,
+        suggestions: new SuggestionCache(),
+        mcpBridge: {
+            getTool(serverId, name) {
+                lookups.push(`${serverId}:${name}`);
+                return name === tool.name ? tool : null;
+            }
+        }
+    };
+}
+
+describe('filterChoices', () => {
+    const choices = ['alpha', 'beta', 'alphabet', 'gamma-alpha'].map(name => ({ name, value: name }));
+
+    it('puts prefix matches before other matches and ignores case', () => {
+        assert.deepEqual(filterChoices(choices, 'ALPHA').map(choice => choice.value), ['alpha', 'alphabet', 'gamma-alpha']);
+        assert.equal(filterChoices(choices).length, 4);
+    });
+
+    it('keeps within Discord\'s limits', () => {
+        const many = Array.from({ length: 30 }, (_, i) => ({ name: `tool-${i}`, value: `tool-${i}` }));
+        assert.equal(filterChoices(many, 'tool').length, 25);
+
+        const long = filterChoices([
+            { name: 'n'.repeat(150), value: 'short' },
+            { name: 'long value', value: 'v'.repeat(101) }
+        ]);
+        assert.deepEqual(long.map(choice => choice.value), ['short']);
+        assert.equal(long[0].name.length, 100);
+        assert.ok(long[0].name.endsWith('…'));
+    });
+});
+
+describe('suggestArguments', () => {
+    it('suggests required keys first while a key is being typed', () => {
+        const suggestions = suggestArguments(fakeBot(), 'demo', 'translate', '');
+        assert.deepEqual(suggestions.map(choice => choice.value), ['text=', 'target=', 'formal=', 'note=']);
+        assert.equal(suggestions[0].name, 'text= (required) string');
+        assert.equal(suggestions[3].name, 'note=');
+    });
+
+    it('leaves out keys that were already given and keeps what was typed', () => {
+        const suggestions = suggestArguments(fakeBot(), 'demo', 'translate', 'text="hi there" ta');
+        assert.deepEqual(suggestions.map(choice => choice.value), ['text="hi there" target=']);
+    });
+
+    it('suggests enum and boolean values after key=', () => {
+        assert.deepEqual(suggestArguments(fakeBot(), 'demo', 'translate', 'text=hi target=p'), [
+            { name: 'target=pt-BR', value: 'text=hi target=pt-BR' }
+        ]);
+        assert.deepEqual(suggestArguments(fakeBot(), 'demo', 'translate', 'formal=').map(choice => choice.value), ['formal=true', 'formal=false']);
+    });
+
+    it('quotes values with spaces or quotes', () => {
+        assert.deepEqual(suggestArguments(fakeBot(), 'demo', 'translate', 'note=').map(choice => choice.value), [
+            'note="needs \\"quotes\\""',
+            'note="two words"'
+        ]);
+    });
+
+    it('has nothing to suggest for free-form values, JSON or unknown tools', () => {
+        assert.deepEqual(suggestArguments(fakeBot(), 'demo', 'translate', 'text='), []);
+        assert.deepEqual(suggestArguments(fakeBot(), 'demo', 'translate', 'unknown='), []);
+        assert.deepEqual(suggestArguments(fakeBot(), 'demo', 'translate', ' {"text": '), []);
+        assert.deepEqual(suggestArguments(fakeBot(), 'demo', 'missing', ''), []);
+        assert.deepEqual(suggestArguments(fakeBot(), null, 'translate', ''), []);
+        assert.deepEqual(suggestArguments(fakeBot(), 'demo', null, ''), []);
+    });
+
+    it('reads each tool\'s schema once until the cache is cleared', () => {
+        const bot = fakeBot();
+        suggestArguments(bot, 'demo', 'translate', '');
+        suggestArguments(bot, 'demo', 'translate', 'text=hi ');
+        assert.deepEqual(bot.lookups, ['demo:translate']);
+
+        bot.suggestions.clear();
+        suggestArguments(bot, 'demo', 'translate', '');
+        assert.equal(bot.lookups.length, 2);
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EMPTY_RULE, CommandPermissionStore, normalizeCommandPermission, evaluateRule } = require('../src/bot/command-permissions');
+const { ValidationError, NotFoundError } = require('../src/core/errors');
+
+const USER = '100000000000000001';
+const OTHER_USER = '100000000000000002';
+const ROLE = '200000000000000001';
+const OTHER_ROLE = '200000000000000002';
+const CHANNEL = '300000000000000001';
+const THREAD = '300000000000000002';
+const OTHER_CHANNEL = '300000000000000003';
+
+const rule = (changes) => ({ ...EMPTY_RULE, ...changes });
+const subject = (changes = {}) => ({ userId: USER, roleIds: [ROLE], channelIds: [CHANNEL], ...changes });
+
+describe('evaluateRule', () => {
+    it('allows everyone when the rule is empty', () => {
+        assert.equal(evaluateRule(rule({}), subject()), null);
+    });
+
+    it('refuses denied users even when their role or id is allowed', () => {
+        assert.equal(evaluateRule(rule({ deniedUsers: [USER], allowedUsers: [USER] }), subject()), 'user');
+        assert.equal(evaluateRule(rule({ deniedUsers: [USER], allowedRoles: [ROLE] }), subject()), 'user');
+    });
+
+    it('refuses channels that are not allowed, even to allowed users', () => {
+        const channelRule = rule({ allowedChannels: [CHANNEL], allowedUsers: [USER] });
+        assert.equal(evaluateRule(channelRule, subject()), null);
+        assert.equal(evaluateRule(channelRule, subject({ channelIds: [OTHER_CHANNEL] })), 'channel');
+    });
+
+    it('allows threads whose parent channel is allowed', () => {
+        assert.equal(evaluateRule(rule({ allowedChannels: [CHANNEL] }), subject({ channelIds: [THREAD, CHANNEL] })), null);
+    });
+
+    it('allows members with an allowed role or listed as allowed users', () => {
+        const restricted = rule({ allowedRoles: [ROLE], allowedUsers: [OTHER_USER] });
+        assert.equal(evaluateRule(restricted, subject()), null);
+        assert.equal(evaluateRule(restricted, subject({ userId: OTHER_USER, roleIds: [] })), null);
+        assert.equal(evaluateRule(restricted, subject({ roleIds: [OTHER_ROLE] })), 'role');
+    });
+
+    it('names the user list when only users are allowed', () => {
+        assert.equal(evaluateRule(rule({ allowedUsers: [OTHER_USER] }), subject()), 'user');
+    });
+
+    it('checks the deny list before the channel, and the channel before roles', () => {
+        const strict = rule({ deniedUsers: [USER], allowedChannels: [OTHER_CHANNEL], allowedRoles: [OTHER_ROLE] });
+        assert.equal(evaluateRule(strict, subject()), 'user');
+        assert.equal(evaluateRule({ ...strict, deniedUsers: [] }, subject()), 'channel');
+        assert.equal(evaluateRule({ ...strict, deniedUsers: [], allowedChannels: [] }, subject()), 'role');
+    });
+
+    it('only lets owners run owner-only commands', () => {
+        assert.equal(evaluateRule(rule({ ownerOnly: true, allowedUsers: [USER] }), subject()), 'ownerOnly');
+        assert.equal(evaluateRule(rule({ ownerOnly: true }), subject({ isOwner: true })), null);
+    });
+
+    it('never refuses owners', () => {
+        const strict = rule({ deniedUsers: [USER], allowedChannels: [OTHER_CHANNEL], allowedRoles: [OTHER_ROLE] });
+        assert.equal(evaluateRule(strict, subject({ isOwner: true })), null);
+    });
+});
+
+describe('normalizeCommandPermission', () => {
+    it('accepts mentions and removes duplicates', () => {
+        assert.deepEqual(normalizeCommandPermission('mcp', {
+            allowedRoles: [`<@&${ROLE}>`, ROLE],
+            allowedChannels: [`<#${CHANNEL}>`],
+            deniedUsers: [`<@!${USER}>`],
+            ownerOnly: false
+        }), { allowedRoles: [ROLE], allowedChannels: [CHANNEL], deniedUsers: [USER], ownerOnly: false });
+    });
+
+    it('reports unknown commands, fields and bad values', () => {
+        assert.throws(() => normalizeCommandPermission('nope', { allowedRoles: ['admins'], ownerOnly: 'yes', extra: true }, { commands: ['mcp'] }), (error) => {
+            assert.ok(error instanceof ValidationError);
+            assert.deepEqual(error.details.map(detail => detail.field), ['command', 'extra', 'allowedRoles', 'ownerOnly']);
+            return true;
+        });
+    });
+});
+
+describe('CommandPermissionStore', () => {
+    it('requires every rule that applies, command first, then subcommand', async () => {
+        const store = new CommandPermissionStore(null, { listCommands: () => ['mcp', 'mcp.call'] });
+        await store.update('guild', 'mcp', { allowedChannels: [CHANNEL] });
+        await store.update('guild', 'mcp.call', { allowedRoles: [OTHER_ROLE] });
+
+        assert.equal(await store.check('guild', ['mcp', 'mcp.list'], subject()), null);
+
+        const callDenied = await store.check('guild', ['mcp', 'mcp.call'], subject());
+        assert.deepEqual([callDenied.command, callDenied.reason], ['mcp.call', 'role']);
+
+        const channelDenied = await store.check('guild', ['mcp', 'mcp.call'], subject({ channelIds: [OTHER_CHANNEL] }));
+        assert.deepEqual([channelDenied.command, channelDenied.reason], ['mcp', 'channel']);
+
+        assert.equal(await store.check('other-guild', ['mcp', 'mcp.call'], subject({ channelIds: [OTHER_CHANNEL] })), null);
+    });
+
+    it('merges updates into the existing rule and removes rules', async () => {
+        const store = new CommandPermissionStore();
+        await store.update('guild', 'ping', { allowedRoles: [ROLE] });
+        const updated = await store.update('guild', 'ping', { deniedUsers: [USER] });
+        assert.deepEqual(updated.allowedRoles, [ROLE]);
+        assert.deepEqual(updated.deniedUsers, [USER]);
+
+        await store.remove('guild', 'ping');
+        assert.equal(await store.get('guild', 'ping'), null);
+        await assert.rejects(store.remove('guild', 'ping'), NotFoundError);
+    });
+});
@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseManager = require('../src/database/manager');
+const { RateLimiter } = require('../src/bot/rate-limiter');
+
+// Each run gets a fresh in-memory database with the real schema
+describe('DatabaseManager', () => {
+    let database;
+
+    before(async () => {
+        database = new DatabaseManager();
+        database.dbPath = ':memory:';
+        await database.initialize();
+    });
+
+    after(() => database.close());
+
+    describe('rate limits', () => {
+        const limit = (id) => ({ command: 'ping', scope: 'user', id, limit: 1, window: 60000 });
+
+        it('round-trips a rate limiter snapshot', async () => {
+            const now = Date.now();
+            const limiter = new RateLimiter();
+            limiter.consume([limit('a')], now);
+            limiter.consume([limit('b')], now);
+
+            assert.equal(await database.saveRateLimits(limiter.snapshot(now)), 2);
+
+            const restored = new RateLimiter();
+            restored.restore(await database.getRateLimits(now), now);
+            assert.equal(restored.consume([limit('a')], now + 10).allowed, false);
+            assert.equal(restored.consume([limit('c')], now + 10).allowed, true);
+        });
+
+        it('replaces the previous snapshot and skips expired buckets', async () => {
+            const now = Date.now();
+            await database.saveRateLimits([
+                { key: 'ping:user:old', command: 'ping', scope: 'user', id: 'old', limit: 1, window: 1000, hits: [now - 5000] },
+                { key: 'ping:user:new', command: 'ping', scope: 'user', id: 'new', limit: 1, window: 1000, hits: [now] }
+            ]);
+
+            const stored = await database.getRateLimits(now);
+            assert.deepEqual(stored.map(bucket => bucket.id), ['new']);
+        });
+
+        it('keeps the previous snapshot when saving fails part way', async () => {
+            const now = Date.now();
+            const bucket = (id) => ({ key: `ping:user:${id}`, command: 'ping', scope: 'user', id, limit: 1, window: 60000, hits: [now] });
+            await database.saveRateLimits([bucket('kept')]);
+
+            // The duplicate key fails the second insert, after the delete and the first insert have run
+            await assert.rejects(database.saveRateLimits([bucket('a'), bucket('a')]), /UNIQUE/);
+
+            const stored = await database.getRateLimits(now);
+            assert.deepEqual(stored.map(entry => entry.id), ['kept']);
+            assert.equal(await database.saveRateLimits([bucket('b')]), 1);
+        });
+    });
+});
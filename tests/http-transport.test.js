@@ -0,0 +1,245 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const HttpTransport = require('../src/core/transports/http-transport');
+
+// A local stand-in for a Streamable HTTP server; each test decides how it answers
+describe('HttpTransport against a local HTTP server', () => {
+    let server;
+    let url;
+    let handle;
+    let requests;
+    let transport;
+
+    const listen = async () => {
+        const stub = http.createServer((req, res) => {
+            let body = '';
+            req.setEncoding('utf8');
+            req.on('data', (chunk) => { body += chunk; });
+            req.on('end', () => {
+                const request = { method: req.method, headers: req.headers, body: body ? JSON.parse(body) : null };
+                requests.push(request);
+                if (req.method === 'DELETE') {
+                    res.writeHead(200);
+                    return res.end();
+                }
+                handle(request, res);
+            });
+        });
+        stub.listen(0, '127.0.0.1');
+        await once(stub, 'listening');
+        return stub;
+    };
+
+    const stop = (stub) => {
+        stub.closeAllConnections();
+        stub.close();
+    };
+
+    before(async () => {
+        server = await listen();
+        url = `http://127.0.0.1:${server.address().port}/mcp`;
+    });
+
+    after(() => stop(server));
+
+    const connect = async (headers, endpoint = url) => {
+        requests = [];
+        transport = new HttpTransport({ name: 'stub', url: endpoint, headers });
+        transport.on('error', () => {});
+        await transport.start();
+        return transport;
+    };
+
+    afterEach(() => transport.close());
+
+    // Resolves with the next message the transport delivers that matches
+    const nextMessage = (predicate) => new Promise((resolve) => {
+        const onMessage = (data) => {
+            const message = JSON.parse(data);
+            if (!predicate(message)) return;
+            transport.off('message', onMessage);
+            resolve(message);
+        };
+        transport.on('message', onMessage);
+    });
+
+    const sendJSON = (res, message, headers = {}) => {
+        res.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(message));
+    };
+
+    const initialize = async () => {
+        const response = nextMessage(message => message.id === 1);
+        transport.send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } });
+        await response;
+    };
+
+    const answerInitialize = (request, res) => sendJSON(res, {
+        jsonrpc: '2.0',
+        id: request.body.id,
+        result: { protocolVersion: '2025-06-18', capabilities: {}, serverInfo: { name: 'stub', version: '1.0.0' } }
+    }, { 'Mcp-Session-Id': 'session-1' });
+
+    it('rejects endpoints that are not http(s) URLs', async () => {
+        transport = new HttpTransport({ name: 'stub', url: 'ftp://example.com' });
+        await assert.rejects(transport.start(), /Invalid Streamable HTTP endpoint/);
+    });
+
+    it('keeps the session id and protocol version on later requests', async () => {
+        handle = (request, res) => {
+            if (request.body && request.body.method === 'initialize') return answerInitialize(request, res);
+            if (request.method === 'GET') {
+                res.writeHead(405);
+                return res.end();
+            }
+            if (request.body && request.body.id === undefined) {
+                res.writeHead(202);
+                return res.end();
+            }
+            sendJSON(res, { jsonrpc: '2.0', id: request.body.id, result: { tools: [] } });
+        };
+
+        await connect({ 'X-Api-Key': 'secret' });
+        await initialize();
+        assert.equal(transport.sessionId, 'session-1');
+        assert.equal(transport.protocolVersion, '2025-06-18');
+        assert.equal(requests[0].headers['mcp-session-id'], undefined);
+        assert.match(requests[0].headers.accept, /application\/json/);
+        assert.match(requests[0].headers.accept, /text\/event-stream/);
+
+        const response = nextMessage(message => message.id === 2);
+        transport.send({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+        assert.deepEqual((await response).result, { tools: [] });
+
+        const [, list] = requests;
+        assert.equal(list.headers['mcp-session-id'], 'session-1');
+        assert.equal(list.headers['mcp-protocol-version'], '2025-06-18');
+        assert.equal(list.headers['x-api-key'], 'secret');
+    });
+
+    it('parses SSE responses', async () => {
+        handle = (request, res) => {
+            if (request.body && request.body.method === 'initialize') return answerInitialize(request, res);
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            // Comments, CRLF line endings, multi-line data and split chunks are all valid SSE
+            res.write(': keep-alive\r\n\r\n');
+            res.write('event: message\r\ndata: {"jsonrpc":"2.0","method":"notifications/progress",\r\n');
+            res.write('data: "params":{"progressToken":"t","progress":1}}\r\n\r\n');
+            res.write('data: {"jsonrpc":"2.0","id":2,');
+            res.end('"result":{"content":[]}}\n\n');
+        };
+
+        await connect();
+        await initialize();
+
+        const progress = nextMessage(message => message.method === 'notifications/progress');
+        const response = nextMessage(message => message.id === 2);
+        transport.send({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'slow' } });
+
+        assert.deepEqual((await progress).params, { progressToken: 't', progress: 1 });
+        assert.deepEqual((await response).result, { content: [] });
+    });
+
+    it('resumes a dropped SSE response with Last-Event-ID', async () => {
+        let standalone;
+        handle = (request, res) => {
+            if (request.body && request.body.method === 'initialize') return answerInitialize(request, res);
+            if (request.body && request.body.id === undefined) {
+                res.writeHead(202);
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            if (request.method === 'POST') {
+                // The stream drops after the first event, before the response
+                res.end('id: event-1\nretry: 60000\ndata: {"jsonrpc":"2.0","method":"notifications/message","params":{}}\n\n');
+            } else if (request.headers['last-event-id']) {
+                res.write('id: event-2\ndata: {"jsonrpc":"2.0","id":2,"result":{"resumed":true}}\n\n');
+            } else {
+                standalone = res;
+                res.write('id: stream-1\ndata: {"jsonrpc":"2.0","method":"notifications/tools/list_changed"}\n\n');
+            }
+        };
+
+        await connect();
+        await initialize();
+        const listening = nextMessage(message => message.method === 'notifications/tools/list_changed');
+        transport.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+        await listening;
+
+        const response = nextMessage(message => message.id === 2);
+        transport.send({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'slow' } });
+        assert.deepEqual((await response).result, { resumed: true });
+
+        const resume = requests.find(request => request.headers['last-event-id']);
+        assert.equal(resume.method, 'GET');
+        assert.equal(resume.headers['last-event-id'], 'event-1');
+        assert.equal(resume.headers['mcp-session-id'], 'session-1');
+        assert.equal(transport.retryDelay, 60000);
+
+        // The standalone stream was not replaced, and still resumes from its own events
+        const notified = nextMessage(message => message.method === 'notifications/resources/list_changed');
+        standalone.write('id: stream-2\ndata: {"jsonrpc":"2.0","method":"notifications/resources/list_changed"}\n\n');
+        await notified;
+        assert.equal(requests.filter(request => request.method === 'GET').length, 2);
+        assert.equal(transport.lastEventId, 'stream-2');
+    });
+
+    it('closes when the server forgets the session', async () => {
+        handle = (request, res) => {
+            if (request.body && request.body.method === 'initialize') return answerInitialize(request, res);
+            res.writeHead(404);
+            res.end();
+        };
+
+        await connect();
+        await initialize();
+
+        const closed = once(transport, 'close');
+        transport.send({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+        const [{ reason }] = await closed;
+        assert.equal(reason, 'MCP session expired');
+        assert.equal(transport.isOpen, false);
+    });
+
+    it('closes when the server goes away', async () => {
+        handle = (request, res) => {
+            if (request.body && request.body.method === 'initialize') return answerInitialize(request, res);
+            if (request.method === 'GET') {
+                // Keep the stream open, and ask for quick reconnects once it drops
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                return res.write('retry: 10\n\n');
+            }
+            res.writeHead(202);
+            res.end();
+        };
+
+        const stub = await listen();
+        await connect({}, `http://127.0.0.1:${stub.address().port}/mcp`);
+        await initialize();
+        transport.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+        while (!requests.some(request => request.method === 'GET')) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        // Each failed attempt also emits 'error', which once() would treat as a rejection
+        const closed = new Promise(resolve => transport.once('close', (...args) => resolve(args)));
+        stop(stub);
+        const [{ reason }] = await closed;
+        assert.match(reason, /Server unreachable/);
+        assert.equal(transport.isOpen, false);
+    });
+
+    it('ends the session with DELETE on close', async () => {
+        handle = answerInitialize;
+
+        await connect();
+        await initialize();
+        await transport.close();
+
+        const end = requests[requests.length - 1];
+        assert.equal(end.method, 'DELETE');
+        assert.equal(end.headers['mcp-session-id'], 'session-1');
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const http = require('http');
+const express = require('express');
+const MCPServer = require('../src/core/mcp-server');
+const { ErrorCodes } = require('../src/core/errors');
+
+// The platform endpoint only needs the bridge's catalog and the bot's send, so both are stand-ins
+function createServer(sent = []) {
+    const bridge = Object.assign(new EventEmitter(), {
+        getTools: () => [],
+        requiresConfirmation: () => false
+    });
+    const bot = { sendChannelMessage: async (channelId, content) => sent.push({ channelId, content }) };
+    return new MCPServer(bridge, bot, null, { token: null });
+}
+
+async function initialized(server) {
+    const session = server.createSession('websocket', () => {});
+    await server.handleMessage(session, { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } });
+    await server.handleMessage(session, { jsonrpc: '2.0', method: 'notifications/initialized' });
+    return session;
+}
+
+describe('MCPServer', () => {
+    describe('discord.send_message', () => {
+        it('is refused as needing confirmation and sends nothing', async () => {
+            const sent = [];
+            const server = createServer(sent);
+            const session = await initialized(server);
+
+            const response = await server.handleMessage(session, {
+                jsonrpc: '2.0',
+                id: 2,
+                method: 'tools/call',
+                params: { name: 'discord.send_message', arguments: { channelId: '1', content: 'hi' } }
+            });
+            assert.equal(response.error.code, ErrorCodes.CONFIRMATION_REQUIRED);
+            assert.deepEqual(response.error.data, { tool: 'discord.send_message', serverId: 'discord', name: 'send_message' });
+            assert.deepEqual(sent, []);
+            server.close();
+        });
+
+        it('is still listed, without the internal flag', () => {
+            const server = createServer();
+            const tool = server.listTools().find(entry => entry.name === 'discord.send_message');
+            assert.ok(tool);
+            assert.equal(tool.needsConfirmation, undefined);
+            server.close();
+        });
+    });
+
+    describe('HTTP sessions', () => {
+        let server;
+        let httpServer;
+        let url;
+
+        before(async () => {
+            server = createServer();
+            const app = express();
+            app.use(express.json());
+            app.use('/mcp', server.router);
+            httpServer = http.createServer(app).listen(0, '127.0.0.1');
+            await new Promise(resolve => httpServer.once('listening', resolve));
+            url = `http://127.0.0.1:${httpServer.address().port}/mcp`;
+        });
+
+        after(() => {
+            server.close();
+            httpServer.close();
+        });
+
+        const initialize = () => fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } })
+        });
+
+        it('closes sessions idle for longer than the timeout, but not ones in use', () => {
+            const idle = server.createSession('http', () => {});
+            const busy = server.createSession('http', () => {});
+            const recent = server.createSession('http', () => {});
+            const longAgo = new Date(Date.now() - 11 * 60 * 1000);
+            idle.lastActivity = longAgo;
+            busy.lastActivity = longAgo;
+            busy.calls.set(1, 'call');
+
+            server.sweepSessions();
+            assert.equal(server.sessions.has(idle.id), false);
+            assert.equal(server.sessions.has(busy.id), true);
+            assert.equal(server.sessions.has(recent.id), true);
+
+            busy.calls.clear();
+            server.closeSession(busy);
+            server.closeSession(recent);
+        });
+
+        it('closes the longest-idle session to make room at the cap', async () => {
+            const sessions = Array.from({ length: 100 }, () => server.createSession('http', () => {}));
+            sessions[5].lastActivity = new Date(Date.now() - 60000);
+
+            const response = await initialize();
+            assert.equal(response.status, 200);
+            assert.equal(server.sessions.has(sessions[5].id), false);
+            assert.ok(server.sessions.has(response.headers.get('mcp-session-id')));
+            assert.equal(server.sessions.size, 100);
+
+            for (const session of server.sessions.values()) server.closeSession(session);
+        });
+
+        it('refuses new sessions when every session is in use', async () => {
+            const sessions = Array.from({ length: 100 }, () => server.createSession('http', () => {}));
+            sessions.forEach((session, index) => session.calls.set(index, `call-${index}`));
+
+            const response = await initialize();
+            assert.equal(response.status, 503);
+            assert.equal(server.sessions.size, 100);
+
+            for (const session of sessions) {
+                session.calls.clear();
+                server.closeSession(session);
+            }
+        });
+    });
+});
@@ -0,0 +1,242 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const MCPBridge = require('../src/core/mcp-bridge');
+const { MCPError, MCPCancelledError, MCPTimeoutError, MCPNotConnectedError, ValidationError, NotFoundError } = require('../src/core/errors');
+
+// The demo servers run in-process behind the mock transport, so these tests exercise the same
+// handshake, catalog, request and notification code as remote servers do
+describe('MCPBridge with the mock MCP server', () => {
+    let bridge;
+
+    before(async () => {
+        bridge = new MCPBridge();
+        await bridge.initialize();
+    });
+
+    after(() => bridge.close());
+
+    const callTool = (serverId, name, args, options) => bridge.sendMessage(serverId, {
+        method: 'tools/call',
+        params: { name, arguments: args }
+    }, options);
+
+    describe('handshake', () => {
+        it('connects every demo server over the mock transport', () => {
+            const connections = bridge.getConnections();
+            assert.deepEqual(connections.map(conn => conn.id).sort(), ['ai-assistant', 'demo-server', 'file-manager']);
+            for (const conn of connections) {
+                assert.equal(conn.transport, 'mock');
+                assert.equal(conn.status, 'connected');
+                assert.equal(conn.protocolVersion, '2025-06-18');
+            }
+        });
+
+        it('records the negotiated server info and capabilities', () => {
+            const conn = bridge.getConnections().find(entry => entry.id === 'demo-server');
+            assert.equal(conn.serverInfo.name, 'demo-server');
+            assert.equal(conn.capabilities.resources.subscribe, true);
+            assert.match(conn.instructions, /Demo tools/);
+        });
+    });
+
+    describe('tools', () => {
+        it('lists the whole catalog across pages', () => {
+            assert.deepEqual(bridge.getTools('demo-server').map(tool => tool.name), ['calculate', 'weather', 'translate', 'long-task']);
+            assert.deepEqual(bridge.getTool('demo-server', 'calculate').inputSchema.required, ['expression']);
+        });
+
+        it('calls a tool', async () => {
+            const result = await callTool('demo-server', 'calculate', { expression: '(2 + 3) * 4' });
+            assert.deepEqual(result.content, [{ type: 'text', text: '(2 + 3) * 4 = 20' }]);
+        });
+
+        it('returns tool failures as error results', async () => {
+            const result = await callTool('demo-server', 'calculate', { expression: '2 +' });
+            assert.equal(result.isError, true);
+            assert.match(result.content[0].text, /Unexpected token/);
+        });
+
+        it('rejects invalid arguments before dispatch', async () => {
+            await assert.rejects(callTool('demo-server', 'calculate', {}), ValidationError);
+            await assert.rejects(callTool('demo-server', 'missing-tool', {}), ValidationError);
+        });
+
+        it('reports unknown and disconnected servers with their HTTP status', async () => {
+            await assert.rejects(callTool('no-such-server', 'calculate', {}), (error) => {
+                assert.ok(error instanceof NotFoundError);
+                assert.equal(error.statusCode, 404);
+                return true;
+            });
+
+            const connection = bridge.connections.get('demo-server');
+            connection.status = 'disconnected';
+            try {
+                await assert.rejects(callTool('demo-server', 'calculate', { expression: '1' }), (error) => {
+                    assert.ok(error instanceof MCPNotConnectedError);
+                    assert.equal(error.statusCode, 409);
+                    assert.deepEqual(error.data, { serverId: 'demo-server', status: 'disconnected' });
+                    return true;
+                });
+            } finally {
+                connection.status = 'connected';
+            }
+        });
+
+        it('reports progress', async () => {
+            const progress = [];
+            const result = await callTool('demo-server', 'long-task', { steps: 3, delayMs: 5 }, {
+                onProgress: ({ progress: step, total }) => progress.push(`${step}/${total}`)
+            });
+            assert.equal(result.content[0].text, 'Completed 3 step(s)');
+            assert.deepEqual(progress, ['1/3', '2/3', '3/3']);
+        });
+    });
+
+    describe('resources', () => {
+        it('lists and reads text and binary resources', async () => {
+            const resources = await bridge.listResources('demo-server');
+            assert.deepEqual(resources.map(resource => resource.uri), ['file://demo.txt', 'file://pixel.png']);
+
+            const [text] = await bridge.readResource('demo-server', 'file://demo.txt');
+            assert.equal(text.text, 'Hello from the Discord EX demo server!');
+
+            const [image] = await bridge.readResource('demo-server', 'file://pixel.png');
+            assert.equal(image.mimeType, 'image/png');
+            assert.ok(Buffer.from(image.blob, 'base64').length > 0);
+        });
+
+        it('passes resource errors through with their code', async () => {
+            await assert.rejects(bridge.readResource('demo-server', 'file://missing.txt'), (error) => {
+                assert.ok(error instanceof MCPError);
+                assert.equal(error.code, -32002);
+                return true;
+            });
+        });
+
+        it('forwards updates of subscribed resources', async () => {
+            const uri = 'file:///notes/todo.txt';
+            await bridge.subscribeResource('file-manager', uri);
+
+            // write-file is destructive, so it runs with a confirmation
+            const args = { path: '/notes/todo.txt', content: '- ship it' };
+            const confirmation = bridge.requestConfirmation('file-manager', { name: 'write-file', arguments: args });
+            const updated = once(bridge, 'resource-updated');
+            await callTool('file-manager', 'write-file', args, { confirmationId: confirmation.id });
+
+            const [event] = await updated;
+            assert.deepEqual(event, { serverId: 'file-manager', uri });
+            const [contents] = await bridge.readResource('file-manager', uri);
+            assert.equal(contents.text, '- ship it');
+
+            await bridge.unsubscribeResource('file-manager', uri);
+        });
+    });
+
+    describe('resource subscriptions', () => {
+        const uri = 'file://demo.txt';
+
+        // Runs fn while outgoing subscribe requests are recorded, and optionally answered with an error
+        const withSubscribeRequests = async (fn, { refuse = false } = {}) => {
+            const transport = bridge.connections.get('demo-server').transport;
+            const send = transport.send;
+            const sent = [];
+            transport.send = (message) => {
+                if (message.method !== 'resources/subscribe') return send.call(transport, message);
+                sent.push(message.params.uri);
+                if (!refuse) return send.call(transport, message);
+                setImmediate(() => transport.emit('message', JSON.stringify({
+                    jsonrpc: '2.0', id: message.id, error: { code: -32603, message: 'refused' }
+                })));
+            };
+            try {
+                await fn();
+            } finally {
+                transport.send = send;
+            }
+            return sent;
+        };
+
+        it('sends one subscribe request for concurrent subscribers', async () => {
+            const sent = await withSubscribeRequests(() => Promise.all([
+                bridge.subscribeResource('demo-server', uri),
+                bridge.subscribeResource('demo-server', uri)
+            ]));
+            assert.deepEqual(sent, [uri]);
+            assert.ok(bridge.connections.get('demo-server').subscriptions.has(uri));
+
+            await bridge.unsubscribeResource('demo-server', uri);
+        });
+
+        it('forgets a subscription the server refused', async () => {
+            const sent = await withSubscribeRequests(async () => {
+                const results = await Promise.allSettled([
+                    bridge.subscribeResource('demo-server', uri),
+                    bridge.subscribeResource('demo-server', uri)
+                ]);
+                assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected']);
+            }, { refuse: true });
+            assert.deepEqual(sent, [uri]);
+            assert.equal(bridge.connections.get('demo-server').subscriptions.has(uri), false);
+        });
+    });
+
+    describe('prompts', () => {
+        it('lists and renders prompts', async () => {
+            assert.deepEqual(bridge.getPrompts('ai-assistant').map(prompt => prompt.name), ['code-review', 'standup']);
+
+            const result = await bridge.getPrompt('ai-assistant', 'code-review', { code: 'let x = 1', language: 'javascript' });
+            assert.equal(result.messages[0].role, 'user');
+            assert.match(result.messages[0].content.text, /review this javascript code[\s\S]*let x = 1/);
+        });
+
+        it('checks required prompt arguments', async () => {
+            await assert.rejects(bridge.getPrompt('ai-assistant', 'standup', { done: 'tests' }), (error) => {
+                assert.ok(error instanceof ValidationError);
+                assert.deepEqual(error.details, [{ field: 'next', message: 'is required' }]);
+                return true;
+            });
+        });
+    });
+
+    describe('cancellation', () => {
+        it('cancels an in-flight call and tells the server', async () => {
+            const connection = bridge.connections.get('demo-server');
+            const mock = connection.transport.mock;
+            let inFlight = null;
+
+            const call = callTool('demo-server', 'long-task', { steps: 50, delayMs: 10 }, {
+                callId: 'cancel-me',
+                onProgress: () => {
+                    if (inFlight) return;
+                    inFlight = Array.from(mock.inFlight.values())[0];
+                    bridge.cancelCall('cancel-me', 'test');
+                }
+            });
+
+            await assert.rejects(call, MCPCancelledError);
+            assert.equal(bridge.getActiveCall('cancel-me'), null);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            assert.equal(inFlight.cancelled, true);
+        });
+
+        it('cancels requests that time out', async () => {
+            const mock = bridge.connections.get('demo-server').transport.mock;
+            const timeout = bridge.requestTimeout;
+            bridge.requestTimeout = 50;
+            let inFlight = null;
+            const started = setTimeout(() => {
+                inFlight = Array.from(mock.inFlight.values())[0];
+            }, 20);
+
+            try {
+                await assert.rejects(callTool('demo-server', 'long-task', { steps: 1, delayMs: 200 }), MCPTimeoutError);
+            } finally {
+                bridge.requestTimeout = timeout;
+                clearTimeout(started);
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+            assert.equal(inFlight.cancelled, true);
+        });
+    });
+});
@@ -0,0 +1,146 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, normalizeCooldowns, formatRetryAfter } = require('../src/bot/rate-limiter');
+const { ValidationError } = require('../src/core/errors');
+
+const userLimit = (id, limit = 2, window = 1000) => ({ command: 'mcp.call', scope: 'user', id, limit, window });
+const guildLimit = (id, limit = 3, window = 1000) => ({ command: 'mcp.call', scope: 'guild', id, limit, window });
+
+describe('normalizeCooldowns', () => {
+    it('turns a number into one use per that many ms', () => {
+        assert.deepEqual(normalizeCooldowns({ user: 5000, guild: { limit: 10, window: 60000 } }), {
+            user: { limit: 1, window: 5000 },
+            guild: { limit: 10, window: 60000 }
+        });
+    });
+
+    it('reports every invalid scope and value', () => {
+        assert.throws(() => normalizeCooldowns({ server: 1000, user: -1, channel: { limit: 2 } }, 'ping'), (error) => {
+            assert.ok(error instanceof ValidationError);
+            assert.deepEqual(error.details.map(detail => detail.field), ['ping.server', 'ping.user', 'ping.channel']);
+            return true;
+        });
+        assert.throws(() => normalizeCooldowns([1000]), ValidationError);
+    });
+});
+
+describe('formatRetryAfter', () => {
+    it('rounds up to whole seconds and minutes', () => {
+        assert.equal(formatRetryAfter(1), '1s');
+        assert.equal(formatRetryAfter(1500), '2s');
+        assert.equal(formatRetryAfter(120000), '2m');
+        assert.equal(formatRetryAfter(90000), '1m 30s');
+    });
+});
+
+describe('RateLimiter', () => {
+    it('allows `limit` uses per window and frees them as the window slides', () => {
+        const limiter = new RateLimiter();
+
+        assert.equal(limiter.consume([userLimit('a')], 0).allowed, true);
+        assert.equal(limiter.consume([userLimit('a')], 100).allowed, true);
+
+        const refused = limiter.consume([userLimit('a')], 200);
+        assert.equal(refused.allowed, false);
+        assert.equal(refused.scope, 'user');
+        assert.equal(refused.retryAfter, 800);
+
+        // The first use leaves the window after 1000ms, the second only after 1100ms
+        assert.equal(limiter.consume([userLimit('a')], 1000).allowed, true);
+        assert.equal(limiter.consume([userLimit('a')], 1050).allowed, false);
+        assert.equal(limiter.consume([userLimit('a')], 1100).allowed, true);
+    });
+
+    it('counts each user separately', () => {
+        const limiter = new RateLimiter();
+        limiter.consume([userLimit('a', 1)], 0);
+
+        assert.equal(limiter.consume([userLimit('a', 1)], 10).allowed, false);
+        assert.equal(limiter.consume([userLimit('b', 1)], 10).allowed, true);
+    });
+
+    it('shares a guild limit between users', () => {
+        const limiter = new RateLimiter();
+        const attempt = (user, now) => limiter.consume([userLimit(user), guildLimit('g')], now).allowed;
+
+        assert.equal(attempt('a', 0), true);
+        assert.equal(attempt('b', 10), true);
+        assert.equal(attempt('c', 20), true);
+
+        const refused = limiter.consume([userLimit('d'), guildLimit('g')], 30);
+        assert.equal(refused.allowed, false);
+        assert.equal(refused.scope, 'guild');
+        assert.equal(limiter.consume([userLimit('d'), guildLimit('other')], 30).allowed, true);
+    });
+
+    it('does not count refused attempts against the other limits', () => {
+        const limiter = new RateLimiter();
+        limiter.consume([userLimit('a', 1), guildLimit('g', 2)], 0);
+
+        // The user limit refuses this one, so the guild keeps its second use for someone else
+        assert.equal(limiter.consume([userLimit('a', 1), guildLimit('g', 2)], 10).allowed, false);
+        assert.equal(limiter.consume([userLimit('b', 1), guildLimit('g', 2)], 20).allowed, true);
+    });
+
+    it('reports the longest wait when several limits refuse', () => {
+        const limiter = new RateLimiter();
+        limiter.consume([userLimit('a', 1, 1000), guildLimit('g', 1, 5000)], 0);
+
+        const refused = limiter.consume([userLimit('a', 1, 1000), guildLimit('g', 1, 5000)], 100);
+        assert.equal(refused.scope, 'guild');
+        assert.equal(refused.retryAfter, 4900);
+    });
+
+    it('warns once per cooldown', () => {
+        const limiter = new RateLimiter();
+        limiter.consume([userLimit('a', 1)], 0);
+
+        assert.equal(limiter.consume([userLimit('a', 1)], 10).firstWarning, true);
+        assert.equal(limiter.consume([userLimit('a', 1)], 20).firstWarning, false);
+
+        limiter.consume([userLimit('a', 1)], 1000);
+        assert.equal(limiter.consume([userLimit('a', 1)], 1010).firstWarning, true);
+    });
+
+    it('follows limits that change at runtime', () => {
+        const limiter = new RateLimiter();
+        limiter.consume([userLimit('a', 1)], 0);
+
+        assert.equal(limiter.consume([userLimit('a', 1)], 10).allowed, false);
+        assert.equal(limiter.consume([userLimit('a', 2)], 20).allowed, true);
+    });
+
+    it('reports busy buckets and forgets idle ones', () => {
+        const limiter = new RateLimiter();
+        limiter.consume([userLimit('a', 1)], 0);
+        limiter.consume([userLimit('b', 2)], 0);
+        limiter.consume([userLimit('a', 1)], 10);
+
+        const status = limiter.getStatus(100);
+        assert.equal(status.allowed, 2);
+        assert.equal(status.limited, 1);
+        assert.equal(status.activeBuckets, 2);
+        assert.equal(status.limitedBuckets, 1);
+        assert.equal(status.buckets[0].id, 'a');
+        assert.equal(status.buckets[0].resetsInMs, 900);
+
+        assert.equal(limiter.getStatus(1000).activeBuckets, 0);
+    });
+
+    it('restores a snapshot, dropping uses that have left their window', () => {
+        const limiter = new RateLimiter();
+        limiter.consume([userLimit('a', 1)], 0);
+        limiter.consume([guildLimit('g', 3, 5000)], 500);
+        limiter.consume([guildLimit('g', 3, 5000)], 900);
+
+        // Serialized the way the database stores it
+        const snapshot = JSON.parse(JSON.stringify(limiter.snapshot(950)));
+        assert.equal(snapshot.length, 2);
+
+        const restored = new RateLimiter();
+        restored.restore(snapshot, 1200);
+        assert.equal(restored.consume([userLimit('a', 1)], 1200).allowed, true);
+        assert.equal(restored.consume([guildLimit('g', 3, 5000)], 1200).allowed, true);
+        assert.equal(restored.consume([guildLimit('g', 3, 5000)], 1300).allowed, false);
+    });
+});
@@ -0,0 +1,169 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RequestQueue = require('../src/core/request-queue');
+const { MCPQueueFullError, MCPQueueTimeoutError } = require('../src/core/errors');
+
+// A task that stays running until the test releases it
+function deferredTask(log, name) {
+    let release;
+    const task = () => {
+        log.push(`start ${name}`);
+        return new Promise((resolve) => {
+            release = () => resolve(name);
+        });
+    };
+    return { task, release: () => release() };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RequestQueue', () => {
+    it('runs at most `concurrency` tasks at once', async () => {
+        const queue = new RequestQueue('test', { concurrency: 2 });
+        const log = [];
+        const tasks = ['a', 'b', 'c'].map(name => deferredTask(log, name));
+        const results = tasks.map(({ task }) => queue.run(task));
+
+        assert.deepEqual(log, ['start a', 'start b']);
+        assert.equal(queue.getStats().active, 2);
+        assert.equal(queue.size, 1);
+
+        tasks[0].release();
+        await tick();
+        assert.deepEqual(log, ['start a', 'start b', 'start c']);
+        assert.equal(queue.size, 0);
+
+        tasks[1].release();
+        tasks[2].release();
+        assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+        assert.equal(queue.getStats().active, 0);
+    });
+
+    it('starts waiting tasks in FIFO order', async () => {
+        const queue = new RequestQueue('test', { concurrency: 1 });
+        const log = [];
+        const tasks = ['a', 'b', 'c', 'd'].map(name => deferredTask(log, name));
+        const results = tasks.map(({ task }) => queue.run(task));
+
+        for (const { release } of tasks) {
+            await tick();
+            release();
+        }
+        await Promise.all(results);
+        assert.deepEqual(log, ['start a', 'start b', 'start c', 'start d']);
+    });
+
+    it('frees the slot when a task fails', async () => {
+        const queue = new RequestQueue('test', { concurrency: 1 });
+        const failing = queue.run(() => {
+            throw new Error('boom');
+        });
+        const next = queue.run(() => 'next');
+
+        await assert.rejects(failing, /boom/);
+        assert.equal(await next, 'next');
+    });
+
+    it('rejects tasks when the queue is full', async () => {
+        const queue = new RequestQueue('test', { concurrency: 1, maxQueue: 1 });
+        const log = [];
+        const running = deferredTask(log, 'a');
+        const results = [queue.run(running.task), queue.run(() => 'b')];
+
+        await assert.rejects(queue.run(() => 'c'), MCPQueueFullError);
+        assert.equal(queue.getStats().rejected, 1);
+
+        running.release();
+        assert.deepEqual(await Promise.all(results), ['a', 'b']);
+    });
+
+    it('times out tasks that wait too long', async () => {
+        const queue = new RequestQueue('test', { concurrency: 1, queueTimeout: 20 });
+        const log = [];
+        const running = deferredTask(log, 'a');
+        const first = queue.run(running.task);
+
+        await assert.rejects(queue.run(() => 'b'), MCPQueueTimeoutError);
+        assert.equal(queue.size, 0);
+        assert.equal(queue.getStats().timedOut, 1);
+
+        running.release();
+        await first;
+        assert.deepEqual(log, ['start a']);
+    });
+
+    it('removes a waiting task when its signal aborts', async () => {
+        const queue = new RequestQueue('test', { concurrency: 1 });
+        const log = [];
+        const running = deferredTask(log, 'a');
+        const first = queue.run(running.task);
+        const controller = new AbortController();
+        const waiting = queue.run(() => log.push('start b'), { signal: controller.signal });
+        const last = queue.run(() => 'c');
+
+        controller.abort(new Error('cancelled'));
+        await assert.rejects(waiting, /cancelled/);
+        assert.equal(queue.size, 1);
+
+        running.release();
+        await first;
+        assert.equal(await last, 'c');
+        assert.deepEqual(log, ['start a']);
+    });
+
+    it('rejects tasks whose signal already aborted', async () => {
+        const queue = new RequestQueue('test');
+        const controller = new AbortController();
+        controller.abort(new Error('too late'));
+
+        await assert.rejects(queue.run(() => 'a', { signal: controller.signal }), /too late/);
+        assert.equal(queue.getStats().started, 0);
+    });
+
+    it('clear() rejects waiting tasks and leaves running ones alone', async () => {
+        const queue = new RequestQueue('test', { concurrency: 1 });
+        const log = [];
+        const running = deferredTask(log, 'a');
+        const first = queue.run(running.task);
+        const waiting = queue.run(() => 'b');
+
+        queue.clear(new Error('closed'));
+        await assert.rejects(waiting, /closed/);
+
+        running.release();
+        assert.equal(await first, 'a');
+    });
+
+    it('starts waiting tasks when the limit is raised', async () => {
+        const queue = new RequestQueue('test', { concurrency: 1 });
+        const log = [];
+        const tasks = ['a', 'b'].map(name => deferredTask(log, name));
+        const results = tasks.map(({ task }) => queue.run(task));
+
+        queue.configure({ concurrency: 2 });
+        assert.deepEqual(log, ['start a', 'start b']);
+
+        tasks.forEach(({ release }) => release());
+        await Promise.all(results);
+    });
+
+    it('reports queue depth and wait times', async () => {
+        const queue = new RequestQueue('test', { concurrency: 1 });
+        const log = [];
+        const running = deferredTask(log, 'a');
+        const results = [queue.run(running.task), queue.run(() => 'b')];
+
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const stats = queue.getStats();
+        assert.equal(stats.queued, 1);
+        assert.ok(stats.oldestWaitMs >= 15);
+
+        running.release();
+        await Promise.all(results);
+        const after = queue.getStats();
+        assert.equal(after.queued, 0);
+        assert.equal(after.started, 2);
+        assert.equal(after.enqueued, 1);
+        assert.ok(after.maxWaitMs >= 15);
+    });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateToolArguments } = require('../src/core/schema-validator');
+const { ValidationError } = require('../src/core/errors');
+
+const tool = {
+    name: 'search',
+    inputSchema: {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        type: 'object',
+        properties: {
+            query: { type: 'string', minLength: 1 },
+            limit: { type: 'integer', default: 10 },
+            sort: { enum: ['relevance', 'date'] },
+            filters: {
+                type: 'object',
+                properties: { tags: { type: 'array', items: { type: 'string' } } },
+                additionalProperties: false
+            }
+        },
+        required: ['query'],
+        additionalProperties: false
+    }
+};
+
+// Runs the validation and returns the ValidationError's details
+function detailsOf(args) {
+    try {
+        validateToolArguments(tool, args);
+    } catch (error) {
+        assert.ok(error instanceof ValidationError);
+        assert.equal(error.message, 'Invalid arguments for tool search');
+        return error.details;
+    }
+    assert.fail('arguments were accepted');
+}
+
+describe('validateToolArguments', () => {
+    it('fills in defaults without changing the caller\'s object', () => {
+        const args = { query: 'mcp' };
+        assert.deepEqual(validateToolArguments(tool, args), { query: 'mcp', limit: 10 });
+        assert.deepEqual(args, { query: 'mcp' });
+    });
+
+    it('maps missing and unknown properties to their field', () => {
+        assert.deepEqual(detailsOf({ extra: true }), [
+            { field: 'query', message: 'is required', keyword: 'required' },
+            { field: 'extra', message: 'is not an allowed property', keyword: 'additionalProperties' }
+        ]);
+    });
+
+    it('lists the allowed values of an enum', () => {
+        assert.deepEqual(detailsOf({ query: 'mcp', sort: 'size' }), [
+            { field: 'sort', message: 'must be one of: relevance, date', keyword: 'enum' }
+        ]);
+    });
+
+    it('names nested fields and array items with dots and brackets', () => {
+        assert.deepEqual(detailsOf({ query: 'mcp', filters: { tags: ['ok', 3], color: 'red' } }), [
+            { field: 'filters.color', message: 'is not an allowed property', keyword: 'additionalProperties' },
+            { field: 'filters.tags[1]', message: 'must be string', keyword: 'type' }
+        ]);
+    });
+
+    it('keeps ajv\'s message for other keywords', () => {
+        assert.deepEqual(detailsOf({ query: '', limit: 1.5 }), [
+            { field: 'query', message: 'must NOT have fewer than 1 characters', keyword: 'minLength' },
+            { field: 'limit', message: 'must be integer', keyword: 'type' }
+        ]);
+    });
+
+    it('reports a wrong root type as (root)', () => {
+        const listTool = { name: 'list', inputSchema: { type: 'array' } };
+        assert.throws(() => validateToolArguments(listTool, {}), (error) => {
+            assert.deepEqual(error.details, [{ field: '(root)', message: 'must be array', keyword: 'type' }]);
+            return true;
+        });
+    });
+
+    it('skips tools without a usable schema', () => {
+        assert.deepEqual(validateToolArguments({ name: 'free' }, { anything: 1 }), { anything: 1 });
+        const broken = { name: 'broken', inputSchema: { type: 'object', properties: { a: { type: 'no-such-type' } } } };
+        assert.deepEqual(validateToolArguments(broken, { a: 1 }), { a: 1 });
+    });
+});
@@ -0,0 +1,9 @@
+// Runs every *.test.js suite in this directory with Node's built-in test runner.
+// The suites need no network: MCP servers are the bundled mock or local stand-ins.
+const fs = require('fs');
+const path = require('path');
+
+fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.test.js'))
+    .sort()
+    .forEach(file => require(path.join(__dirname, file)));